@@ -330,6 +330,42 @@ class AchievementManager {
         };
     }
 
+    // Update a completed quiz after it was regraded: adjust the XP that
+    // depends on the score (correct answers and score bonus), the stored
+    // score and rank, and the profile's totals. Achievements already unlocked
+    // are kept. Returns the XP change, or null without a matching quiz.
+    applyRegrade(userId, quizName, before, after) {
+        const profile = this.getUserProfile(userId);
+        if (!profile) return null;
+
+        const entry = [...profile.quizHistory].reverse().find(q => q.quizName === quizName);
+        if (!entry) return null;
+
+        const correctAnswerXP = this.xpSources.correct_answer?.baseXP || 10;
+        const countCorrect = (result) => (result.detailedResults || []).filter(r => r.isCorrect).length;
+        const xpDelta = Math.round(
+            (countCorrect(after) - countCorrect(before)) * correctAnswerXP +
+            this.calculateScoreBonus(after.percentage || 0) -
+            this.calculateScoreBonus(before.percentage || 0)
+        );
+
+        entry.score = after.score || 0;
+        entry.percentage = after.percentage || 0;
+        entry.xpEarned = (entry.xpEarned || 0) + xpDelta;
+        entry.rank = after.rank || entry.rank;
+        entry.regradedAt = new Date().toISOString();
+
+        profile.totalXP = Math.max(0, profile.totalXP + xpDelta);
+        profile.bestScore = Math.max(0, ...profile.quizHistory.map(q => q.percentage));
+        profile.averageScore = Math.round(
+            profile.quizHistory.reduce((sum, q) => sum + q.percentage, 0) / profile.quizHistory.length
+        );
+        profile.currentTier = this.getCurrentTier(profile.totalXP).id;
+
+        this.saveUserProfile(profile);
+        return xpDelta;
+    }
+
     // Leaderboard Management
     getGlobalLeaderboard(limit = 50) {
         try {
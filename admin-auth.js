@@ -0,0 +1,144 @@
+/**
+ * Admin Auth
+ * Admin accounts for the dashboard APIs. Passwords are stored as scrypt hashes
+ * in data/admins.json. The first account (the owner) is created from the
+ * Electron app on first run; the owner can then add proctors and graders.
+ *
+ * Roles:
+ *   owner   - everything, including sessions and account management
+ *   proctor - live monitoring (participants, progress, proctoring alerts)
+ *   grader  - grading and results
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const StateStore = require('./state-store');
+
+const ROLES = ['owner', 'proctor', 'grader'];
+const MIN_PASSWORD_LENGTH = 8;
+
+class AdminAuth {
+    /**
+     * @param {String} filePath - Location of the admin accounts file
+     */
+    constructor(filePath) {
+        this.store = new StateStore(filePath, { users: [] });
+        this.users = this.store.load().users;
+    }
+
+    save() {
+        this.store.save({ users: this.users });
+    }
+
+    /**
+     * True until the owner account has been created
+     */
+    needsSetup() {
+        return this.users.length === 0;
+    }
+
+    hashPassword(password, salt) {
+        return crypto.scryptSync(password, salt, 64).toString('hex');
+    }
+
+    /**
+     * Create an admin account
+     * @param {String} username
+     * @param {String} password
+     * @param {String} role - One of ROLES
+     * @returns {Object} Public view of the new user
+     * @throws {Error} If the input is invalid or the username is taken
+     */
+    createUser(username, password, role) {
+        username = String(username || '').trim();
+        if (!username) {
+            throw new Error('Username is required');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (this.getUser(username)) {
+            throw new Error('Username already exists');
+        }
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        const user = {
+            username,
+            role,
+            salt,
+            passwordHash: this.hashPassword(password, salt),
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.push(user);
+        this.save();
+
+        return this.toPublic(user);
+    }
+
+    getUser(username) {
+        const name = String(username || '').toLowerCase();
+        return this.users.find(u => u.username.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Check a username/password pair
+     * @returns {Object|null} Public view of the user, or null if invalid
+     */
+    verifyPassword(username, password) {
+        const user = this.getUser(username);
+        if (!user || typeof password !== 'string') return null;
+
+        const expected = Buffer.from(user.passwordHash, 'hex');
+        const actual = Buffer.from(this.hashPassword(password, user.salt), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? this.toPublic(user) : null;
+    }
+
+    /**
+     * Remove an account; the last owner can't be removed
+     * @throws {Error} If the user is missing or is the last owner
+     */
+    removeUser(username) {
+        const user = this.getUser(username);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        if (user.role === 'owner' && this.users.filter(u => u.role === 'owner').length === 1) {
+            throw new Error('Cannot remove the last owner');
+        }
+
+        this.users.splice(this.users.indexOf(user), 1);
+        this.save();
+    }
+
+    listUsers() {
+        return this.users.map(u => this.toPublic(u));
+    }
+
+    toPublic(user) {
+        return { username: user.username, role: user.role, createdAt: user.createdAt };
+    }
+
+    /**
+     * Whether a request comes from the machine running the server (the
+     * Electron app); only those may create the owner account
+     * @param {Object} req - Express request
+     * @returns {Boolean}
+     */
+    static isLocalRequest(req) {
+        const address = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+        if (address === '127.0.0.1' || address === '::1') return true;
+
+        const nets = os.networkInterfaces();
+        return Object.values(nets).some(list =>
+            list.some(net => net.address === address)
+        );
+    }
+}
+
+AdminAuth.ROLES = ROLES;
+
+module.exports = AdminAuth;
@@ -242,26 +242,44 @@ class AdvancedQuestionTypes {
   }
 
   /**
-   * Evaluate code submission
+   * Score a code submission from its test run (see code-runner.js): each
+   * passing test earns an equal share of the points
    * @param {Object} question - Question with test cases
    * @param {String} answer - Student's code
-   * @returns {Object} {isCorrect, score, feedback, testResults}
+   * @param {Object} codeRun - Report of the server-side run, or null when the
+   *   submission can't be run (unknown language, no test cases)
+   * @returns {Object} {isCorrect, score, feedback, codeRun}
    */
-  static scoreCodeQuestion(question, answer) {
-    // This is a simplified version - in production, use a sandboxed environment
+  static scoreCodeQuestion(question, answer, codeRun = null) {
     const points = question.points || 1;
-    const testCases = question.testCases || [];
 
-    // For security, code execution should be done server-side in a sandboxed environment
-    // This is a placeholder implementation
+    if (!codeRun) {
+      return {
+        isCorrect: false,
+        score: 0,
+        needsManualGrading: true,
+        feedback: 'Code submission requires manual evaluation',
+        submittedCode: answer
+      };
+    }
+
+    const { passedCount, totalCount } = codeRun;
+    const feedback = codeRun.error
+      ? `Your code could not be tested: ${codeRun.error}`
+      : `${passedCount} of ${totalCount} test(s) passed`;
+
+    // Questions marked with a rubric are still graded by hand; the test
+    // results are there for the markers
+    if (question.rubric && question.rubric.length > 0) {
+      return { isCorrect: false, score: 0, needsManualGrading: true, feedback, codeRun };
+    }
+
     return {
-      isCorrect: false,
-      score: 0,
-      needsManualGrading: true,
-      feedback: 'Code submission requires manual evaluation or server-side execution',
-      note: 'For production: Implement server-side code execution in sandboxed environment (Docker, VM, etc.)',
-      submittedCode: answer,
-      testCases: testCases
+      isCorrect: totalCount > 0 && passedCount === totalCount,
+      score: totalCount > 0 ? Math.round((passedCount / totalCount) * points * 100) / 100 : 0,
+      needsManualGrading: false,
+      feedback,
+      codeRun
     };
   }
 
@@ -379,37 +397,20 @@ class AdvancedQuestionTypes {
    * @returns {Object} Scoring result
    */
   static scoreQuestion(question, answer, additionalData = {}) {
-    const type = question.type;
-
-    switch (type) {
-      case 'matching':
-        return this.scoreMatchingQuestion(question, answer);
-
-      case 'ordering':
-        return this.scoreOrderingQuestion(question, answer);
-
-      case 'hotspot':
-        return this.scoreHotspotQuestion(question, answer);
+    // Types are defined by the question type registry (loaded lazily: the
+    // registry's plugins use the scoring functions above)
+    const QuestionTypes = require('./public/question-types');
+    const plugin = QuestionTypes.get(question.type);
 
-      case 'drag-drop':
-        return this.scoreDragDropQuestion(question, answer);
-
-      case 'code':
-        return this.scoreCodeQuestion(question, answer);
-
-      case 'essay':
-        return this.scoreEssayQuestion(question, answer, additionalData.rubricScores);
-
-      case 'audio-video':
-        return this.scoreMediaQuestion(question, answer);
-
-      default:
-        return {
-          isCorrect: false,
-          score: 0,
-          error: `Unknown question type: ${type}`
-        };
+    if (!plugin || !plugin.score) {
+      return {
+        isCorrect: false,
+        score: 0,
+        error: `Unknown question type: ${question.type}`
+      };
     }
+
+    return plugin.score(question, answer, additionalData);
   }
 }
 
@@ -0,0 +1,57 @@
+/**
+ * Attempt Limiter
+ * Slows down guessing (passwords, rejoin codes): once a key (an address, or
+ * an address plus a user name) has failed too often within a window, its
+ * attempts are refused until that window has passed. Kept in memory only, so
+ * a restart clears it.
+ */
+
+class AttemptLimiter {
+    /**
+     * @param {Object} options - { maxFailures, windowMs }
+     */
+    constructor({ maxFailures, windowMs }) {
+        this.maxFailures = maxFailures;
+        this.windowMs = windowMs;
+        this.failures = new Map(); // key -> { count, resetAt }
+
+        this.cleanup = setInterval(() => this.prune(), windowMs);
+        this.cleanup.unref();
+    }
+
+    /**
+     * Seconds until the key may try again, or 0 if it may try now
+     */
+    retryAfter(key, now = Date.now()) {
+        const entry = this.failures.get(key);
+        if (!entry || entry.resetAt <= now || entry.count < this.maxFailures) return 0;
+        return Math.ceil((entry.resetAt - now) / 1000);
+    }
+
+    /**
+     * Count a failed attempt; the window starts at the first failure
+     */
+    fail(key, now = Date.now()) {
+        let entry = this.failures.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.failures.set(key, entry);
+        }
+        entry.count++;
+    }
+
+    /**
+     * Forget a key's failures (after it succeeded)
+     */
+    clear(key) {
+        this.failures.delete(key);
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, entry] of this.failures) {
+            if (entry.resetAt <= now) this.failures.delete(key);
+        }
+    }
+}
+
+module.exports = AttemptLimiter;
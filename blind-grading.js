@@ -0,0 +1,136 @@
+/**
+ * Blind Grading
+ * With settings.blindGrading on, the grading APIs show each result under a
+ * stable pseudonym instead of the participant's (or team's) name and ids, so
+ * graders can't be swayed by who wrote an answer. Identities come back once
+ * no answer is waiting for manual grading, or when the owner reveals them.
+ *
+ * Quiz fields:
+ *   pseudonymSalt   - Secret the pseudonyms are derived from (never sent
+ *                     to graders, so pseudonyms can't be matched to ids)
+ *   identityReveals - Log of every reveal: [{ revealedAt, revealedBy,
+ *                     reason, type: 'admin' | 'grading-complete' }]
+ */
+
+const crypto = require('crypto');
+
+// Result fields that identify who submitted it
+const IDENTITY_FIELDS = ['participantId', 'participantName', 'teamId', 'teamName', 'teamMembers'];
+
+class BlindGrading {
+    static isEnabled(quiz) {
+        return Boolean(quiz.settings && quiz.settings.blindGrading);
+    }
+
+    /**
+     * Give a blind-graded quiz its pseudonym secret
+     * @returns {Boolean} Whether anything changed (the caller saves the file)
+     */
+    static prepare(quiz) {
+        if (!this.isEnabled(quiz) || quiz.pseudonymSalt) return false;
+        quiz.pseudonymSalt = crypto.randomBytes(16).toString('hex');
+        return true;
+    }
+
+    static hasPendingGrading(quiz) {
+        return (quiz.results || []).some(r => r.manualGradingNeeded);
+    }
+
+    static isRevealedByAdmin(quiz) {
+        return (quiz.identityReveals || []).some(r => r.type === 'admin');
+    }
+
+    /**
+     * Whether graders currently see pseudonyms instead of identities
+     */
+    static isHidden(quiz) {
+        return this.isEnabled(quiz) && this.hasPendingGrading(quiz) && !this.isRevealedByAdmin(quiz);
+    }
+
+    /**
+     * Stable pseudonym for whoever submitted a result (or a regrade change)
+     */
+    static pseudonym(quiz, entry, fallback = '') {
+        const identity = entry.participantId || entry.teamId || entry.participantName || entry.teamName || fallback;
+        const code = crypto.createHmac('sha256', quiz.pseudonymSalt || '')
+            .update(String(identity))
+            .digest('hex')
+            .slice(0, 6)
+            .toUpperCase();
+        return `Candidate ${code}`;
+    }
+
+    /**
+     * Record a reveal in the quiz's log
+     * @returns {Object} The log entry
+     */
+    static logReveal(quiz, { revealedBy = null, reason = null, type = 'admin' } = {}) {
+        const entry = { revealedAt: new Date().toISOString(), revealedBy, reason, type };
+        quiz.identityReveals = (quiz.identityReveals || []).concat(entry);
+        return entry;
+    }
+
+    /**
+     * Log the reveal that happens when the last manual grade is given
+     * @param {Boolean} wasHidden - isHidden() before the grading change
+     */
+    static noteGradingChange(quiz, wasHidden) {
+        if (wasHidden && !this.isHidden(quiz)) {
+            this.logReveal(quiz, { reason: 'Manual grading complete', type: 'grading-complete' });
+        }
+    }
+
+    /**
+     * A result as graders see it: identities replaced by the pseudonym while
+     * hidden (team members' names on answers and plagiarism matches too)
+     */
+    static maskResult(quiz, result, index) {
+        const pseudonym = this.pseudonym(quiz, result, `result-${index}`);
+        if (!this.isHidden(quiz)) return { ...result, pseudonym };
+
+        const masked = { ...result, pseudonym };
+        IDENTITY_FIELDS.forEach(field => {
+            if (masked[field] !== undefined) masked[field] = null;
+        });
+        masked.participantName = pseudonym;
+        masked.plagiarismAnalysis = null;
+        masked.detailedResults = (result.detailedResults || []).map(({ answeredBy, answeredById, ...detail }) => detail);
+        return masked;
+    }
+
+    /**
+     * A regrade audit record as graders see it
+     */
+    static maskAudit(quiz, audit) {
+        if (!this.isHidden(quiz)) return audit;
+
+        return {
+            ...audit,
+            changes: (audit.changes || []).map(change => ({
+                ...change,
+                participantId: null,
+                teamId: null,
+                name: this.pseudonym(quiz, change, `result-${change.resultIndex}`)
+            }))
+        };
+    }
+
+    /**
+     * The quiz as graders see it (results and regrade history masked while
+     * identities are hidden); the pseudonym secret is never included
+     * @returns {Object} A copy with `identitiesHidden`
+     */
+    static view(quiz) {
+        const { pseudonymSalt, ...rest } = quiz;
+        if (!this.isEnabled(quiz)) return rest;
+
+        return {
+            ...rest,
+            identitiesHidden: this.isHidden(quiz),
+            results: (quiz.results || []).map((result, idx) => this.maskResult(quiz, result, idx)),
+            regrades: (quiz.regrades || []).map(audit => this.maskAudit(quiz, audit))
+        };
+    }
+}
+
+module.exports = BlindGrading;
@@ -0,0 +1,399 @@
+/**
+ * Code Runner
+ * Runs a code question's submission against its test cases on the server.
+ * Each run is a separate child process started from a language runner's
+ * harness (code-runners/), with a CPU-time limit, a memory limit and an
+ * overall time limit, and a bare environment.
+ *
+ * The boundary is the operating system, not the harnesses: every run gets
+ * its own network namespace (no network at all), its own PID, IPC and mount
+ * namespaces with the server's directory hidden under an empty tmpfs, and
+ * runs as the unprivileged nobody user with no capabilities and no way to
+ * gain any. That needs Linux, util-linux's unshare and setpriv, and a server
+ * running as root to set it up. Where it can't be set up, nothing is run and
+ * code answers are graded by hand. The harnesses' own limits (Node's
+ * permission model, Python's audit hook) only narrow things further.
+ *
+ * The submission defines a function (question.functionName, or the first
+ * function in question.template) that is called once per test case with the
+ * case's `input` as its only argument; a test passes when the return value
+ * equals `expectedOutput` (compared as JSON data).
+ *
+ * Runners are registered per language and can be added for any interpreter
+ * installed on the server:
+ *   CodeRunner.register('ruby', { name, aliases, command(limits, harnessPath) })
+ * `command` returns { command, args } for a process that reads the job from
+ * stdin and writes the report to fd 3 (its stdout and stderr are discarded,
+ * so nothing the submission prints can pass for a report):
+ *   job:    { code, functionName, inputs, timeoutMs, memoryMb }
+ *   report: { error, stdout, tests: [{ value, error, stdout, timedOut }] }
+ *
+ * Runs are asynchronous and go through a bounded queue: a few run at once,
+ * and when too many are waiting a submission is left for grading by hand
+ * rather than holding up the server. Answers are run once, when they are
+ * graded; the report records which test cases it ran (testsKey) so a regrade
+ * can reuse it unless those changed.
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Per test case; a run may take this long once per test, plus start-up
+const DEFAULT_LIMITS = { timeoutMs: 2000, memoryMb: 128 };
+const STARTUP_MS = 2000;
+const MAX_REPORT_BYTES = 1024 * 1024;
+
+// Runs execute as nobody, with the server's directory hidden
+const SANDBOX_UID = 65534;
+const HIDDEN_DIR = __dirname;
+
+// Runs started at once, and runs allowed to wait for a free slot
+const QUEUE_LIMITS = { concurrent: Math.max(1, Math.min(4, os.cpus().length)), waiting: 100 };
+
+const runners = new Map();
+const waiting = [];
+let activeRuns = 0;
+
+class CodeRunner {
+    /**
+     * Add (or replace) the runner for a language
+     * @param {String} language - As used in question.language
+     * @param {Object} runner - { name, aliases, harness (file in code-runners/),
+     *   command(limits, harnessPath) => { command, args }, available() }
+     */
+    static register(language, runner) {
+        [language, ...(runner.aliases || [])].forEach(key => runners.set(key.toLowerCase(), runner));
+    }
+
+    static get(language) {
+        return runners.get(String(language || 'javascript').toLowerCase()) || null;
+    }
+
+    /**
+     * Whether submissions in this language can be run here (runs can be
+     * isolated, a runner is registered and its interpreter is installed)
+     */
+    static canRun(language) {
+        const runner = this.get(language);
+        return Boolean(runner) && canIsolate() && (!runner.available || runner.available());
+    }
+
+    /**
+     * Name of the function the tests call
+     */
+    static getFunctionName(question) {
+        if (question.functionName) return question.functionName;
+        const match = /(?:function\s+|def\s+)([A-Za-z_$][\w$]*)/.exec(question.template || '');
+        return match ? match[1] : 'solve';
+    }
+
+    /**
+     * Fingerprint of what a run depends on besides the code: the language,
+     * the function called and the test cases
+     */
+    static testsKey(question) {
+        return crypto.createHash('sha256').update(JSON.stringify({
+            language: String(question.language || 'javascript').toLowerCase(),
+            functionName: this.getFunctionName(question),
+            testCases: question.testCases || []
+        })).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Whether a stored run still reflects the question's test cases
+     */
+    static isCurrent(question, codeRun) {
+        return Boolean(codeRun) && codeRun.testsKey === this.testsKey(question);
+    }
+
+    /**
+     * Run a submission against the question's test cases
+     * @param {Object} question - Code question (test cases included)
+     * @param {String} code - The student's code
+     * @returns {Promise<Object|null>} { language, passedCount, totalCount,
+     *   error, stdout, durationMs, testsKey, tests: [{ description, passed,
+     *   actual, error, stdout, timedOut }] }, or null when the language can't
+     *   be run here or the queue is full (the answer is then graded by hand)
+     */
+    static async run(question, code) {
+        const testCases = question.testCases || [];
+        if (testCases.length === 0 || !this.canRun(question.language)) return null;
+
+        const language = String(question.language || 'javascript').toLowerCase();
+        const functionName = this.getFunctionName(question);
+        const limits = DEFAULT_LIMITS;
+        const testsKey = this.testsKey(question);
+        const finish = (report, durationMs) => ({ ...this.buildReport(language, testCases, report, durationMs), testsKey });
+
+        if (typeof code !== 'string' || code.trim() === '') {
+            return finish({ error: 'No code submitted' }, 0);
+        }
+        if (!/^[A-Za-z_$][\w$]*$/.test(functionName)) {
+            return finish({ error: `Invalid function name: ${functionName}` }, 0);
+        }
+
+        const runner = this.get(language);
+        const job = {
+            code,
+            functionName,
+            inputs: testCases.map(t => (t.input === undefined ? null : t.input)),
+            timeoutMs: limits.timeoutMs,
+            memoryMb: limits.memoryMb
+        };
+        const timeoutMs = limits.timeoutMs * (testCases.length + 1) + STARTUP_MS;
+        const { command, args } = isolate(
+            runner.command(limits, harnessPath(runner.harness)),
+            Math.ceil(timeoutMs / 1000)
+        );
+
+        return enqueue(async () => {
+            const startedAt = Date.now();
+            const child = await execute(command, args, JSON.stringify(job), timeoutMs);
+            const durationMs = Date.now() - startedAt;
+
+            if (!child.report) {
+                return finish({ error: describeFailure(child) }, durationMs);
+            }
+
+            try {
+                return finish(JSON.parse(child.report), durationMs);
+            } catch (error) {
+                return finish({ error: 'The run produced an unreadable report' }, durationMs);
+            }
+        });
+    }
+
+    /**
+     * Compare a harness report with the expected outputs
+     */
+    static buildReport(language, testCases, report, durationMs) {
+        const outcomes = report.tests || [];
+        const tests = testCases.map((testCase, idx) => {
+            const outcome = outcomes[idx] || { error: report.error || 'Not run' };
+            const ran = outcome.error === undefined || outcome.error === null;
+            return {
+                description: testCase.description || `Test ${idx + 1}`,
+                passed: ran && sameValue(outcome.value, testCase.expectedOutput),
+                actual: ran ? outcome.value : null,
+                error: ran ? null : outcome.error,
+                stdout: outcome.stdout || '',
+                timedOut: Boolean(outcome.timedOut)
+            };
+        });
+
+        return {
+            language,
+            passedCount: tests.filter(t => t.passed).length,
+            totalCount: tests.length,
+            error: report.error || null,
+            stdout: report.stdout || '',
+            durationMs,
+            tests
+        };
+    }
+}
+
+// Values are compared as JSON data: key order doesn't matter, types do
+function sameValue(actual, expected) {
+    if (expected === undefined) expected = null;
+    if (actual === undefined) actual = null;
+    if (actual === expected) return true;
+    if (typeof actual !== 'object' || typeof expected !== 'object' || actual === null || expected === null) {
+        return false;
+    }
+    if (Array.isArray(actual) !== Array.isArray(expected)) return false;
+
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(actual, key) && sameValue(actual[key], expected[key]));
+}
+
+// Start a run when a slot is free; resolves with its report, or null at once
+// when the queue is full
+function enqueue(start) {
+    if (waiting.length >= QUEUE_LIMITS.waiting) return Promise.resolve(null);
+    return new Promise(resolve => {
+        waiting.push({ start, resolve });
+        startWaiting();
+    });
+}
+
+function startWaiting() {
+    while (activeRuns < QUEUE_LIMITS.concurrent && waiting.length > 0) {
+        const { start, resolve } = waiting.shift();
+        activeRuns++;
+        start()
+            .then(resolve, () => resolve(null))
+            .finally(() => {
+                activeRuns--;
+                startWaiting();
+            });
+    }
+}
+
+// Run a process to completion with the job on its stdin. Resolves with
+// { report (what it wrote to fd 3), error, signal, timedOut, overflowed };
+// never rejects.
+function execute(command, args, input, timeoutMs) {
+    return new Promise(resolve => {
+        const outcome = { report: '', error: null, signal: null, timedOut: false, overflowed: false };
+        let bytes = 0;
+        const child = spawn(command, args, {
+            cwd: os.tmpdir(),
+            env: bareEnvironment(),
+            stdio: ['pipe', 'ignore', 'ignore', 'pipe']
+        });
+
+        const timer = setTimeout(() => {
+            outcome.timedOut = true;
+            child.kill('SIGKILL');
+        }, timeoutMs);
+
+        const reportStream = child.stdio[3];
+        reportStream.setEncoding('utf8');
+        reportStream.on('data', chunk => {
+            bytes += Buffer.byteLength(chunk);
+            if (bytes > MAX_REPORT_BYTES) {
+                outcome.overflowed = true;
+                child.kill('SIGKILL');
+                return;
+            }
+            outcome.report += chunk;
+        });
+        child.on('error', error => {
+            // Could not start (or kill) the process
+            clearTimeout(timer);
+            outcome.error = error;
+            resolve(outcome);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            outcome.signal = signal;
+            resolve(outcome);
+        });
+
+        // The process may exit before reading its job
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+// Start a command in its own network, PID, IPC, UTS and mount namespaces,
+// with the server's directory covered by an empty tmpfs, a CPU-time limit,
+// and as nobody with every capability dropped and no_new_privs set (so
+// setuid programs can't give any back). When the runner is killed, so is
+// everything it started: the command is the PID namespace's init.
+function isolate({ command, args }, cpuSeconds) {
+    const setup = 'mount -t tmpfs -o size=4k,mode=0700 tmpfs "$0" && ulimit -t "$1" && shift && ' +
+        `exec setpriv --reuid=${SANDBOX_UID} --regid=${SANDBOX_UID} --clear-groups --no-new-privs ` +
+        '--inh-caps=-all --bounding-set=-all -- "$@"';
+    return {
+        command: 'unshare',
+        args: [
+            '--net', '--ipc', '--uts', '--pid', '--mount', '--fork', '--kill-child', '--',
+            '/bin/sh', '-c', setup, HIDDEN_DIR, String(cpuSeconds), command, ...args
+        ]
+    };
+}
+
+// Whether runs can be isolated here (checked once, by isolating a no-op)
+let isolation;
+function canIsolate() {
+    if (isolation === undefined) {
+        isolation = process.platform === 'linux' && process.getuid() === 0 &&
+            succeeds(isolate({ command: 'true', args: [] }, 5));
+    }
+    return isolation;
+}
+
+function succeeds({ command, args }) {
+    const probe = spawnSync(command, args, { cwd: os.tmpdir(), env: bareEnvironment(), timeout: 5000, stdio: 'ignore' });
+    return !probe.error && probe.status === 0;
+}
+
+// The harnesses are copied out of the server's directory (which runs can't
+// see) into one the nobody user can read but not change
+let harnessDir;
+function harnessPath(file) {
+    if (!harnessDir) {
+        harnessDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quizserver-runners-'));
+        fs.chmodSync(harnessDir, 0o755);
+        process.on('exit', () => fs.rmSync(harnessDir, { recursive: true, force: true }));
+    }
+    const copy = path.join(harnessDir, file);
+    if (!fs.existsSync(copy)) {
+        fs.copyFileSync(path.join(__dirname, 'code-runners', file), copy);
+        fs.chmodSync(copy, 0o644);
+    }
+    return copy;
+}
+
+// Only what's needed to find and start the interpreter
+function bareEnvironment() {
+    return { PATH: process.env.PATH || '' };
+}
+
+function describeFailure(child) {
+    if (child.timedOut) return 'Time limit exceeded';
+    if (child.overflowed) return 'Too much output';
+    if (child.error) return `Could not start the runner: ${child.error.message}`;
+    if (child.signal === 'SIGXCPU' || child.signal === 'SIGKILL') return 'CPU time limit exceeded';
+    return 'The program crashed or ran out of memory';
+}
+
+// Whether an interpreter answers to --version inside the isolation, where
+// it runs as nobody (checked once)
+function installed(command) {
+    let found;
+    return () => {
+        if (found === undefined) {
+            found = succeeds(isolate({ command, args: ['--version'] }, 5));
+        }
+        return found;
+    };
+}
+
+// Node's permission model: --permission from Node 22, experimental before
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+    .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+const nodeInstalled = installed(process.execPath);
+
+CodeRunner.register('javascript', {
+    name: 'Node.js',
+    aliases: ['js', 'node'],
+    harness: 'javascript.js',
+    // The server runs under Node, so its own binary runs the harness
+    available: () => Boolean(PERMISSION_FLAG) && nodeInstalled(),
+    command: (limits, harnessPath) => ({
+        command: process.execPath,
+        args: [
+            PERMISSION_FLAG,
+            `--allow-fs-read=${harnessPath}`,
+            `--max-old-space-size=${limits.memoryMb}`,
+            '--no-warnings',
+            harnessPath
+        ]
+    })
+});
+
+const PYTHON = 'python3';
+
+CodeRunner.register('python', {
+    name: 'Python',
+    aliases: ['python3', 'py'],
+    harness: 'python.py',
+    available: installed(PYTHON),
+    command: (limits, harnessPath) => ({
+        command: PYTHON,
+        args: ['-I', '-S', harnessPath]
+    })
+});
+
+CodeRunner.DEFAULT_LIMITS = DEFAULT_LIMITS;
+CodeRunner.QUEUE_LIMITS = QUEUE_LIMITS;
+
+module.exports = CodeRunner;
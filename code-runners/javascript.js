@@ -0,0 +1,185 @@
+/**
+ * JavaScript harness for CodeRunner
+ * Runs in its own Node process, which CodeRunner isolates at the operating
+ * system level (see code-runner.js). Inside it, the Node permission model
+ * (no filesystem beyond this file, no child processes or workers) and a
+ * fresh V8 context narrow what the submission can reach: the context has
+ * only the language built-ins and a console that is captured per test, with
+ * no require, process, timers or network APIs. Neither is a security
+ * boundary on its own.
+ *
+ * No value made in this realm is handed to the context: what crosses back
+ * in is the submission's own values, and what comes out is strings, which
+ * are read (and checked) here. Everything that runs submission code, error
+ * messages included, runs under the time limit.
+ *
+ * Reads the job from stdin and writes the report to fd 3, which nothing in
+ * the context can reach (see code-runner.js for both formats).
+ */
+
+const fs = require('fs');
+const util = require('util');
+const vm = require('vm');
+
+const MAX_OUTPUT = 2000;
+
+const job = JSON.parse(fs.readFileSync(0, 'utf8'));
+const context = vm.createContext(Object.create(null));
+const limits = { timeout: job.timeoutMs };
+
+// Everything the submission can touch is created inside the context. The
+// helpers keep their own copies of the built-ins they use and can't be
+// replaced, so a submission that overrides JSON or String can't change what
+// they report.
+vm.runInContext(`
+  (() => {
+    const { parse, stringify } = JSON;
+    const toText = String;
+    const join = (list, separator) => Array.prototype.join.call(list, separator);
+    const fixed = value => ({ value, writable: false, configurable: false, enumerable: false });
+    let output = [];
+
+    const take = () => {
+      const text = join(output, '\\n');
+      output = [];
+      return text.length > ${MAX_OUTPUT} ? text.slice(0, ${MAX_OUTPUT}) + '…' : text;
+    };
+    const describe = error => {
+      try {
+        return toText(error);
+      } catch (e) {
+        return 'Error';
+      }
+    };
+
+    globalThis.console = {};
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+      console[level] = (...args) => {
+        output.push(join(args.map(a => typeof a === 'string' ? a : (stringify(a) ?? toText(a))), ' '));
+      };
+    });
+
+    Object.defineProperties(globalThis, {
+      __take: fixed(take),
+      __describe: fixed(describe),
+      // Call the submission's function with one test input; returns a JSON
+      // string, and fails the test when the return value isn't JSON data
+      __test: fixed((lookup, input) => {
+        try {
+          const value = lookup()(parse(input));
+          const json = value === undefined ? 'null' : stringify(value);
+          if (typeof json !== 'string') {
+            return stringify({ error: 'The return value can\\'t be compared (not JSON data)', stdout: take() });
+          }
+          return stringify({ json, stdout: take() });
+        } catch (error) {
+          return stringify({ error: describe(error), stdout: take() });
+        }
+      })
+    });
+  })();
+`, context);
+
+// vm reports the time limit with an error made in the context; its code is
+// read without running any of the submission's code (no getters or proxies)
+function isTimeout(error) {
+    if (error === null || typeof error !== 'object' || util.types.isProxy(error)) return false;
+    const code = Object.getOwnPropertyDescriptor(error, 'code');
+    return Boolean(code) && code.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+// Whether a thrown value was made in this realm (like the SyntaxError from
+// compiling the submission) rather than in the context. Only the context's
+// own values go back into it. Walking the prototypes of anything but a
+// proxy runs no submission code.
+function isHostValue(value) {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return false;
+    for (let proto = value; proto !== null; proto = Object.getPrototypeOf(proto)) {
+        if (util.types.isProxy(proto)) return false;
+        if (proto === Object.prototype || proto === Function.prototype) return true;
+    }
+    return false;
+}
+
+// Describe what a step threw: this realm's errors here, the submission's
+// values in the context, under the time limit
+function describe(error) {
+    if (isTimeout(error)) return 'Time limit exceeded';
+    if (isHostValue(error)) return `${error.name}: ${error.message}`;
+    try {
+        context.__error = error;
+        return text(vm.runInContext('__describe(__error)', context, limits), 'Error');
+    } catch (e) {
+        return isTimeout(e) ? 'Time limit exceeded' : 'Error';
+    } finally {
+        delete context.__error;
+    }
+}
+
+// What the submission printed since the last step
+function takeOutput() {
+    try {
+        return text(vm.runInContext('__take()', context, limits), '');
+    } catch (error) {
+        return '';
+    }
+}
+
+function text(value, fallback) {
+    return typeof value === 'string' ? value : fallback;
+}
+
+// Run one test; the context hands back a JSON string, which is read here
+function runTest(input, idx) {
+    const source = `__test(() => ${job.functionName}, ${JSON.stringify(JSON.stringify(input === undefined ? null : input))})`;
+    let result;
+    try {
+        result = vm.runInContext(source, context, { ...limits, filename: `test-${idx + 1}.js` });
+    } catch (error) {
+        const timedOut = isTimeout(error);
+        return { error: timedOut ? 'Time limit exceeded' : describe(error), timedOut, stdout: takeOutput() };
+    }
+
+    const outcome = readJson(result);
+    if (outcome === null || typeof outcome !== 'object') {
+        return { error: 'The test result could not be read', stdout: takeOutput() };
+    }
+    const stdout = text(outcome.stdout, '');
+    if (typeof outcome.error === 'string') {
+        return { error: outcome.error, stdout };
+    }
+
+    const value = readJson(outcome.json);
+    return value === undefined
+        ? { error: 'The return value can\'t be compared (not JSON data)', stdout }
+        : { value, stdout };
+}
+
+// Parse a JSON string here; undefined when it isn't one
+function readJson(value) {
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+const report = { error: null, stdout: '', tests: [] };
+
+// Top-level declarations (function, const, class) stay visible to the tests
+try {
+    const script = new vm.Script(job.code, { filename: 'submission.js' });
+    script.runInContext(context, limits);
+    report.error = vm.runInContext(`typeof ${job.functionName} === 'function'`, context, limits) === true
+        ? null
+        : `Function ${job.functionName} is not defined`;
+} catch (error) {
+    report.error = describe(error);
+}
+report.stdout = takeOutput();
+
+if (!report.error) {
+    report.tests = job.inputs.map(runTest);
+}
+
+fs.writeSync(3, JSON.stringify(report));
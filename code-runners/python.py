@@ -0,0 +1,221 @@
+"""
+Python harness for CodeRunner
+Two processes. This one reads the job from stdin, starts a second isolated
+interpreter (python -I -S, this file, --submission) that runs the
+submission, and writes the report to fd 3. The submission never runs here,
+and fd 3 isn't passed on, so the submission can't write (or forge) the
+report: what its process sends back, one JSON outcome per line, is read as
+untrusted data and checked and clipped here.
+
+The submission's process caps its address space and file sizes (where the
+platform has rlimits), installs an audit hook that refuses network access,
+new processes and any file access outside the standard library (which stays
+importable), and takes away os._exit and the raw stdout handles. Those only
+narrow what the submission can reach: audit hooks are no sandbox
+(_posixsubprocess, for one, starts processes without an audited event). The
+boundary is the operating system isolation CodeRunner starts this process
+in (no network, the server's directory hidden, the nobody user). Output is
+captured per test.
+"""
+
+import contextlib
+import io
+import json
+import os
+import signal
+import subprocess
+import sys
+
+try:
+    import resource
+except ImportError:  # Windows: only the runner's overall time limit applies
+    resource = None
+
+MAX_OUTPUT = 2000
+MAX_ERROR = 500
+# Under CodeRunner's own overall limit, so this process outlives the other
+STARTUP_SECONDS = 1
+
+BLOCKED_EVENTS = (
+    "socket.", "subprocess.", "os.system", "os.exec", "os.fork", "os.forkpty",
+    "os.posix_spawn", "os.spawn", "os.startfile", "os.kill", "os.remove",
+    "os.rename", "os.rmdir", "os.mkdir", "os.chmod", "os.chown", "os.link",
+    "os.symlink", "os.truncate", "os.putenv", "os.unsetenv", "shutil.",
+    "ctypes.", "urllib.", "http.", "ftplib.", "smtplib.", "webbrowser.",
+    "pty.", "winreg.",
+)
+
+
+def clip(text, limit=MAX_OUTPUT):
+    return text if len(text) <= limit else text[:limit] + "…"
+
+
+# ---- The submission's process ------------------------------------------------
+
+class TimeLimitExceeded(BaseException):
+    pass
+
+
+def run_submission():
+    job = json.loads(sys.stdin.read())
+    channel = sys.stdout
+
+    if resource:
+        memory = job["memoryMb"] * 1024 * 1024
+        resource.setrlimit(resource.RLIMIT_AS, (memory, memory))
+        resource.setrlimit(resource.RLIMIT_FSIZE, (0, 0))
+
+    # Directories the submission may read from: the standard library
+    library = tuple(os.path.join(os.path.abspath(p), "") for p in sys.path if p)
+
+    def in_library(path):
+        return isinstance(path, str) and os.path.join(os.path.abspath(path), "").startswith(library)
+
+    def audit(event, args):
+        if event == "open":
+            path, mode, flags = args
+            read_only = mode in ("r", "rb") if mode is not None else (flags & 3) == os.O_RDONLY
+            if read_only and in_library(path):
+                return
+            raise PermissionError("File access is not allowed")
+        if event in ("os.listdir", "os.scandir"):
+            if in_library(args[0]):
+                return
+            raise PermissionError("File access is not allowed")
+        if event.startswith(BLOCKED_EVENTS):
+            raise PermissionError(f"{event} is not allowed")
+
+    def blocked(*args, **kwargs):
+        raise PermissionError("Not allowed")
+
+    def on_alarm(signum, frame):
+        raise TimeLimitExceeded()
+
+    def run(action):
+        """Run one step under the time limit with its output captured"""
+        output = io.StringIO()
+        outcome = {}
+        if hasattr(signal, "setitimer"):
+            signal.signal(signal.SIGALRM, on_alarm)
+            signal.setitimer(signal.ITIMER_REAL, job["timeoutMs"] / 1000)
+        try:
+            with contextlib.redirect_stdout(output), contextlib.redirect_stderr(output):
+                outcome["value"] = action()
+        except TimeLimitExceeded:
+            outcome = {"error": "Time limit exceeded", "timedOut": True}
+        except BaseException as error:  # the submission's own errors, SystemExit included
+            outcome = {"error": f"{type(error).__name__}: {error}" if str(error) else type(error).__name__}
+        finally:
+            if hasattr(signal, "setitimer"):
+                signal.setitimer(signal.ITIMER_REAL, 0)
+        outcome["stdout"] = clip(output.getvalue())
+        return outcome
+
+    def send(outcome):
+        if "value" in outcome:
+            try:
+                line = json.dumps(outcome)
+            except (TypeError, ValueError):
+                line = json.dumps({"error": "The return value can't be compared (not JSON data)", "stdout": outcome["stdout"]})
+        else:
+            line = json.dumps(outcome)
+        channel.write(line + "\n")
+        channel.flush()
+
+    # Output outside a test goes nowhere; exiting early just loses the tests
+    # still to run
+    sys.stdout = sys.stderr = io.StringIO()
+    sys.__stdout__ = sys.__stderr__ = None
+    os._exit = blocked
+    try:
+        import posix
+        posix._exit = blocked
+    except ImportError:
+        pass
+
+    namespace = {"__name__": "__submission__", "__builtins__": __builtins__}
+    function_name = job["functionName"]
+    inputs = job["inputs"]
+    code = job["code"]
+    sys.addaudithook(audit)
+
+    loaded = run(lambda: exec(compile(code, "submission.py", "exec"), namespace))
+    if "error" not in loaded and not callable(namespace.get(function_name)):
+        loaded = {"error": f"Function {function_name} is not defined", "stdout": loaded["stdout"]}
+    send({"error": loaded.get("error"), "stdout": loaded["stdout"]})
+
+    if not loaded.get("error"):
+        function = namespace[function_name]
+        for value in inputs:
+            send(run(lambda: function(value)))
+
+
+# ---- This process: starts the submission and writes the report ---------------
+
+def read_outcome(line):
+    """An outcome from the submission's process, or None if it isn't one"""
+    try:
+        outcome = json.loads(line)
+    except ValueError:
+        return None
+    if not isinstance(outcome, dict):
+        return None
+
+    error = outcome.get("error")
+    checked = {
+        "error": clip(error, MAX_ERROR) if isinstance(error, str) else None,
+        "stdout": clip(outcome["stdout"]) if isinstance(outcome.get("stdout"), str) else "",
+        "timedOut": outcome.get("timedOut") is True
+    }
+    if checked["error"] is None:
+        checked["value"] = outcome.get("value")
+    return checked
+
+
+def main():
+    job = json.loads(sys.stdin.read())
+    report_stream = os.fdopen(3, "w", encoding="utf-8")
+    inputs = job["inputs"]
+    timeout = job["timeoutMs"] / 1000 * (len(inputs) + 1) + STARTUP_SECONDS
+
+    lines = []
+    try:
+        child = subprocess.run(
+            [sys.executable, "-I", "-S", os.path.abspath(__file__), "--submission"],
+            input=json.dumps(job), stdout=subprocess.PIPE, stderr=subprocess.DEVNULL,
+            timeout=timeout, text=True, errors="replace"
+        )
+        lines = child.stdout.splitlines()
+        failure = ("The program stopped before its tests finished" if child.returncode == 0
+                   else "The program crashed or ran out of memory")
+    except subprocess.TimeoutExpired as expired:
+        output = expired.stdout or ""
+        lines = (output if isinstance(output, str) else output.decode("utf-8", "replace")).splitlines()
+        failure = "Time limit exceeded"
+
+    outcomes = []
+    for line in lines[:len(inputs) + 1]:
+        outcome = read_outcome(line)
+        if outcome is None:
+            break
+        outcomes.append(outcome)
+
+    report = {"error": None, "stdout": "", "tests": []}
+    if not outcomes:
+        report["error"] = failure
+    else:
+        loaded, tests = outcomes[0], outcomes[1:]
+        report["error"] = loaded["error"]
+        report["stdout"] = loaded["stdout"]
+        if not report["error"]:
+            report["tests"] = tests + [{"error": failure, "stdout": ""}] * (len(inputs) - len(tests))
+
+    report_stream.write(json.dumps(report))
+    report_stream.close()
+
+
+if __name__ == "__main__":
+    if sys.argv[1:] == ["--submission"]:
+        run_submission()
+    else:
+        main()
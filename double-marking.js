@@ -0,0 +1,230 @@
+/**
+ * Double Marking
+ * Questions with `doubleMarking` (essays, or code questions with a marking
+ * rubric) are marked by two graders independently. Each marker records
+ * rubric scores without seeing the other's. When both are in:
+ *   - marks within the quiz's moderation threshold are agreed, and the
+ *     per-criterion average becomes the answer's grade
+ *   - marks further apart are disputed, and a moderator (the owner, or a
+ *     grader who did not mark the answer) sets the final rubric scores
+ * The final scores go through the essay rubric scoring like any rubric grade.
+ *
+ * State kept on the detailed result (detail.doubleMarking):
+ *   marks        - [{ grader, rubricScores, total, comment, markedAt }]
+ *   status       - 'marking' (fewer than two marks), 'agreed', 'disputed'
+ *                  or 'moderated'
+ *   difference   - Gap between the two marks, as a percentage of the rubric
+ *   moderatedBy, moderatedAt - Once a dispute is resolved
+ */
+
+const gradingEngine = require('./grading-engine');
+
+const DEFAULT_THRESHOLD = 20; // percent of the rubric's total
+
+class DoubleMarking {
+    static isDoubleMarked(question) {
+        return Boolean(question && question.doubleMarking && question.rubric && question.rubric.length > 0);
+    }
+
+    /**
+     * Largest gap between two marks (percent of the rubric) that still agrees
+     */
+    static getThreshold(quiz) {
+        const threshold = Number((quiz.settings || {}).moderationThreshold);
+        return Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_THRESHOLD;
+    }
+
+    static rubricTotal(question) {
+        return question.rubric.reduce((sum, c) => sum + (c.maxPoints || 0), 0);
+    }
+
+    static scoreTotal(rubricScores) {
+        return Object.values(rubricScores).reduce((sum, value) => sum + value, 0);
+    }
+
+    static getState(detail) {
+        return detail.doubleMarking || { marks: [], status: 'marking' };
+    }
+
+    /**
+     * Find a double-marked answer in a result
+     * @throws {Error} When the question isn't double marked or isn't in the result
+     */
+    static find(quiz, result, questionId) {
+        const question = (quiz.questions || []).find(q => q.id === questionId);
+        if (!this.isDoubleMarked(question)) {
+            throw new Error('This question is not double marked');
+        }
+
+        const detail = (result.detailedResults || []).find(d => d.questionId === questionId);
+        if (!detail) {
+            throw new Error('Question not found in this result');
+        }
+        return { question, detail };
+    }
+
+    /**
+     * Record (or replace) one marker's rubric scores. The second mark settles
+     * the answer: agreed marks are applied to the result, disputed ones wait
+     * for a moderator.
+     * @param {Object} mark - { grader, rubricScores, comment }
+     * @returns {Object} The updated copy of the result
+     * @throws {Error} When the scores are invalid, two others already marked
+     *   the answer, or it has been settled
+     */
+    static recordMark(quiz, result, questionId, { grader, rubricScores, comment }) {
+        const { question, detail } = this.find(quiz, result, questionId);
+        const state = this.getState(detail);
+
+        if (state.status === 'disputed') {
+            throw new Error('The two marks disagree; this answer is waiting for a moderator');
+        }
+        if (state.status !== 'marking') {
+            throw new Error('Marking for this answer is complete');
+        }
+        gradingEngine.validateRubricScores(question, rubricScores);
+
+        const others = state.marks.filter(m => m.grader !== grader);
+        if (others.length >= 2) {
+            throw new Error('This answer already has two markers');
+        }
+
+        const mark = {
+            grader,
+            rubricScores,
+            total: this.scoreTotal(rubricScores),
+            comment: comment ? String(comment).trim() || null : null,
+            markedAt: new Date().toISOString()
+        };
+        const marks = [...others, mark];
+        const next = { ...state, marks };
+
+        if (marks.length < 2) {
+            return this.withState(result, questionId, next);
+        }
+
+        next.difference = Math.round(Math.abs(marks[0].total - marks[1].total) / this.rubricTotal(question) * 1000) / 10;
+        if (next.difference > this.getThreshold(quiz)) {
+            next.status = 'disputed';
+            return this.withState(result, questionId, next);
+        }
+
+        // Agreed: the average of the two marks, criterion by criterion
+        next.status = 'agreed';
+        const agreedScores = {};
+        question.rubric.forEach(c => {
+            agreedScores[c.id] = Math.round(((marks[0].rubricScores[c.id] || 0) + (marks[1].rubricScores[c.id] || 0)) / 2 * 100) / 100;
+        });
+
+        return gradingEngine.applyManualGrade(quiz, this.withState(result, questionId, next), questionId, {
+            rubricScores: agreedScores,
+            comment: marks.map(m => m.comment).filter(Boolean).join('\n'),
+            gradedBy: marks.map(m => m.grader).join(' + ')
+        });
+    }
+
+    /**
+     * Resolve a disputed answer with the moderator's rubric scores
+     * @param {Object} moderation - { moderator, canModerateOwnMarks (owner),
+     *   rubricScores, comment }
+     * @returns {Object} The updated copy of the result
+     */
+    static moderate(quiz, result, questionId, { moderator, canModerateOwnMarks = false, rubricScores, comment }) {
+        const { question, detail } = this.find(quiz, result, questionId);
+        const state = this.getState(detail);
+
+        if (state.status !== 'disputed') {
+            throw new Error('Only answers whose marks disagree are moderated');
+        }
+        if (!canModerateOwnMarks && state.marks.some(m => m.grader === moderator)) {
+            throw new Error('A marker cannot moderate their own marking');
+        }
+        gradingEngine.validateRubricScores(question, rubricScores);
+
+        const next = {
+            ...state,
+            status: 'moderated',
+            moderatedBy: moderator,
+            moderatedAt: new Date().toISOString()
+        };
+        return gradingEngine.applyManualGrade(quiz, this.withState(result, questionId, next), questionId, {
+            rubricScores,
+            comment,
+            gradedBy: moderator
+        });
+    }
+
+    static withState(result, questionId, state) {
+        return {
+            ...result,
+            detailedResults: result.detailedResults.map(d => d.questionId === questionId ? { ...d, doubleMarking: state } : d)
+        };
+    }
+
+    /**
+     * Every double-marked answer, as one grader may see it: their own mark,
+     * never the other marker's while marking is under way. Disputed answers
+     * show both marks to those who may moderate them.
+     * @param {Object} viewer - { grader, canModerateOwnMarks }
+     * @returns {Array} [{ resultIndex, name, questionId, question, answer,
+     *   rubric, status, markCount, myMark, marks, difference, canMark, canModerate }]
+     */
+    static listForGrader(quiz, { grader, canModerateOwnMarks = false }) {
+        const questions = new Map((quiz.questions || []).filter(q => this.isDoubleMarked(q)).map(q => [q.id, q]));
+        const items = [];
+
+        (quiz.results || []).forEach((result, resultIndex) => {
+            (result.detailedResults || []).forEach(detail => {
+                const question = questions.get(detail.questionId);
+                if (!question) return;
+
+                const state = this.getState(detail);
+                const myMark = state.marks.find(m => m.grader === grader) || null;
+                const settled = state.status === 'agreed' || state.status === 'moderated';
+                const canModerate = state.status === 'disputed' && (canModerateOwnMarks || !myMark);
+
+                items.push({
+                    resultIndex,
+                    name: result.participantName || result.teamName || 'Anonymous',
+                    questionId: question.id,
+                    question: question.question,
+                    answer: detail.studentAnswer,
+                    rubric: question.rubric,
+                    status: state.status,
+                    markCount: state.marks.length,
+                    myMark,
+                    marks: settled || canModerate ? state.marks : null,
+                    difference: settled || canModerate ? state.difference : null,
+                    canMark: state.status === 'marking' && (Boolean(myMark) || state.marks.length < 2),
+                    canModerate
+                });
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * A quiz's results with the marks of unsettled answers left out (only
+     * their count), so results pages don't show one marker the other's scores
+     */
+    static hideOpenMarks(quiz) {
+        const isOpen = state => state.status === 'marking' || state.status === 'disputed';
+
+        return {
+            ...quiz,
+            results: (quiz.results || []).map(result => ({
+                ...result,
+                detailedResults: (result.detailedResults || []).map(detail => (
+                    detail.doubleMarking && isOpen(detail.doubleMarking)
+                        ? { ...detail, doubleMarking: { status: detail.doubleMarking.status, markCount: detail.doubleMarking.marks.length } }
+                        : detail
+                ))
+            }))
+        };
+    }
+}
+
+DoubleMarking.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+
+module.exports = DoubleMarking;
@@ -0,0 +1,100 @@
+/**
+ * Event Hub
+ * Pushes live updates to the dashboards and student pages over Server-Sent
+ * Events (GET /api/events), so they no longer have to poll on fixed timers.
+ * Every subscriber is either an admin (with a role), a participant of one
+ * session, or an anonymous leaderboard viewer, and only receives the events
+ * meant for it.
+ */
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keeps idle connections open through proxies
+
+// Who receives each event: admin roles (owners receive everything), the
+// session's participants, and anonymous (public leaderboard) viewers
+// ('quiz-started' carries the new session's join code, so admins only)
+const EVENT_AUDIENCES = {
+    'quiz-started': { roles: ['proctor', 'grader'] },
+    'quiz-ended': { roles: ['proctor', 'grader'], participants: true, public: true },
+    'quiz-state-changed': { roles: ['proctor', 'grader'], participants: true, public: true },
+    'participant-joined': { roles: ['proctor'] },
+    'progress-changed': { roles: ['proctor'] },
+    'proctoring-alert': { roles: ['proctor'] },
+    'submission-received': { roles: ['proctor', 'grader'] },
+    'leaderboard-changed': { roles: ['proctor', 'grader'], participants: true, public: true },
+    'team-changed': { roles: ['proctor'], participants: true },
+    'team-answer-changed': { roles: ['proctor'], participants: true },
+    'live-updated': { roles: ['proctor', 'grader'], participants: true, public: true },
+    'live-answer-received': { roles: ['proctor'] }
+};
+
+class EventHub {
+    constructor() {
+        this.clients = new Set();
+        this.heartbeat = setInterval(() => this.writeAll(': ping\n\n'), HEARTBEAT_INTERVAL);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Turn a request into an event stream
+     * @param {Object} req - Express request (closing it unsubscribes)
+     * @param {Object} res - Express response
+     * @param {Object} subscriber - { audience: 'admin'|'participant'|'public',
+     *   role, participantId, sessionId (null = every session) }
+     */
+    subscribe(req, res, subscriber) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const client = { ...subscriber, res };
+        this.clients.add(client);
+        req.on('close', () => this.clients.delete(client));
+    }
+
+    /**
+     * Send an event to everyone in its audience
+     * @param {String} type - One of EVENT_AUDIENCES
+     * @param {Object} data - Event payload (sent as JSON)
+     * @param {Object} options - { sessionId, participantIds: limit participant delivery to these ids }
+     */
+    publish(type, data, options = {}) {
+        const audience = EVENT_AUDIENCES[type];
+        if (!audience) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const message = `event: ${type}\ndata: ${JSON.stringify({ ...data, sessionId: options.sessionId || null })}\n\n`;
+
+        for (const client of this.clients) {
+            if (client.sessionId && options.sessionId && client.sessionId !== options.sessionId) continue;
+
+            if (this.canReceive(client, audience, options)) {
+                client.res.write(message);
+            }
+        }
+    }
+
+    canReceive(client, audience, options) {
+        switch (client.audience) {
+            case 'admin':
+                return client.role === 'owner' || audience.roles.includes(client.role);
+            case 'participant':
+                return Boolean(audience.participants) &&
+                    (!options.participantIds || options.participantIds.includes(client.participantId));
+            default:
+                return Boolean(audience.public);
+        }
+    }
+
+    writeAll(chunk) {
+        for (const client of this.clients) {
+            client.res.write(chunk);
+        }
+    }
+}
+
+module.exports = EventHub;
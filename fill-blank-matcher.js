@@ -0,0 +1,141 @@
+/**
+ * Fill-in-the-Blank Matcher
+ * Decides whether a fill-blank answer is accepted, and by which rule.
+ *
+ * Question fields:
+ *   correct  - Accepted answer, or an array of accepted answers
+ *   patterns - Regular expressions (source strings) that also accept an answer
+ *   matching - Options, all optional:
+ *     caseSensitive   (false) - "Paris" and "paris" differ
+ *     accentSensitive (true)  - "café" and "cafe" differ
+ *     trimPunctuation (false) - Ignore punctuation around the answer ("Paris.")
+ *     collapseSpaces  (false) - Runs of spaces inside the answer count as one
+ *     maxEdits        (0)     - Typos allowed against an accepted answer
+ *                               (Levenshtein distance)
+ * Whitespace around the answer is always ignored. A pattern must match the
+ * whole answer after the same clean-up (case follows caseSensitive). Answers
+ * longer than MAX_PATTERN_ANSWER_LENGTH are only compared with the accepted
+ * answers, so patterns and typo counting never run on large inputs.
+ *
+ * Patterns are run with a time limit (PATTERN_TIME_LIMIT_MS each): some, like
+ * (a|aa)+, backtrack for exponential time on answers they almost match, and
+ * no check of the pattern catches them all. A pattern that runs out of time
+ * doesn't accept the answer.
+ *
+ * Rules are tried in order: accepted answers, patterns, then typos. The rule
+ * that matched is reported as { type: 'answer' | 'pattern' | 'fuzzy', value,
+ * distance (fuzzy only) }.
+ */
+
+const vm = require('vm');
+const plagiarismDetector = require('./plagiarism-detector');
+
+const DEFAULT_OPTIONS = {
+    caseSensitive: false,
+    accentSensitive: true,
+    trimPunctuation: false,
+    collapseSpaces: false,
+    maxEdits: 0
+};
+
+const MAX_PATTERN_ANSWER_LENGTH = 200;
+const PATTERN_TIME_LIMIT_MS = 50;
+
+// Patterns run in their own context so vm can stop them at the time limit
+const patternContext = vm.createContext(Object.create(null));
+vm.runInContext(`
+  globalThis.testPattern = (source, flags, text) => new RegExp('^(?:' + source + ')$', flags).test(text);
+`, patternContext);
+
+class FillBlankMatcher {
+    static getOptions(question) {
+        return { ...DEFAULT_OPTIONS, ...(question.matching || {}) };
+    }
+
+    static getAcceptedAnswers(question) {
+        return [].concat(question.correct ?? []).filter(answer => typeof answer === 'string' && answer.trim() !== '');
+    }
+
+    /**
+     * Clean up an answer (or accepted answer) as the options say
+     */
+    static normalize(text, options, { foldCase = true } = {}) {
+        let value = String(text).trim();
+        if (options.collapseSpaces) {
+            value = value.replace(/\s+/g, ' ');
+        }
+        if (options.trimPunctuation) {
+            value = value.replace(/^[\p{P}\s]+|[\p{P}\s]+$/gu, '');
+        }
+        if (!options.accentSensitive) {
+            value = value.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+        }
+        if (!options.caseSensitive && foldCase) {
+            value = value.toLowerCase();
+        }
+        return value;
+    }
+
+    /**
+     * Match an answer against the question's rules
+     * @returns {Object} { isCorrect, rule } - rule is null when nothing matched
+     */
+    static match(question, answer) {
+        if (typeof answer !== 'string' || answer.trim() === '') {
+            return { isCorrect: false, rule: null };
+        }
+
+        const options = this.getOptions(question);
+        const accepted = this.getAcceptedAnswers(question);
+        const given = this.normalize(answer, options);
+
+        const exact = accepted.find(value => this.normalize(value, options) === given);
+        if (exact !== undefined) {
+            return { isCorrect: true, rule: { type: 'answer', value: exact } };
+        }
+        if (given.length > MAX_PATTERN_ANSWER_LENGTH) {
+            return { isCorrect: false, rule: null };
+        }
+
+        // Patterns see the answer's own case; the i flag does the folding
+        const forPatterns = this.normalize(answer, options, { foldCase: false });
+        const flags = options.caseSensitive ? 'u' : 'iu';
+        const pattern = (question.patterns || []).find(source => this.testPattern(source, flags, forPatterns));
+        if (pattern !== undefined) {
+            return { isCorrect: true, rule: { type: 'pattern', value: pattern } };
+        }
+
+        const maxEdits = Math.max(0, Math.floor(Number(options.maxEdits) || 0));
+        if (maxEdits > 0) {
+            const closest = accepted
+                .map(value => ({ value, distance: plagiarismDetector.levenshteinDistance(given, this.normalize(value, options)) }))
+                .sort((a, b) => a.distance - b.distance)[0];
+            if (closest && closest.distance <= maxEdits) {
+                return { isCorrect: true, rule: { type: 'fuzzy', value: closest.value, distance: closest.distance } };
+            }
+        }
+
+        return { isCorrect: false, rule: null };
+    }
+
+    /**
+     * Whether a pattern matches the whole text, within the time limit.
+     * Invalid patterns (reported when the quiz is saved) match nothing.
+     */
+    static testPattern(source, flags, text) {
+        patternContext.args = [String(source), flags, text];
+        try {
+            return vm.runInContext('testPattern(...args)', patternContext, { timeout: PATTERN_TIME_LIMIT_MS }) === true;
+        } catch (error) {
+            return false;
+        } finally {
+            delete patternContext.args;
+        }
+    }
+}
+
+FillBlankMatcher.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+FillBlankMatcher.MAX_PATTERN_ANSWER_LENGTH = MAX_PATTERN_ANSWER_LENGTH;
+FillBlankMatcher.PATTERN_TIME_LIMIT_MS = PATTERN_TIME_LIMIT_MS;
+
+module.exports = FillBlankMatcher;
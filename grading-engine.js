@@ -0,0 +1,365 @@
+/**
+ * Grading Engine
+ * Grades a full answer set against a quiz. Each question is scored by its
+ * type's plugin from the question type registry, so individual submissions,
+ * team submissions, regrades and previews all score answers the same way.
+ *
+ * A question can be adjusted after the fact (question.adjustment):
+ *   'void'  - dropped for everyone: scores nothing and leaves totalPoints
+ *   'bonus' - full credit for everyone, whatever they answered
+ *
+ * Work a type needs before it can score (running code) is done by its
+ * plugin's prepare hook, once per answer: await prepare() (or
+ * prepareResults() before a regrade) and hand the contexts to grade() (or
+ * regradeResult()), which stay synchronous.
+ */
+
+const QuestionTypes = require('./public/question-types');
+const AdvancedQuestionTypes = require('./advanced-question-types');
+
+// Plugin result fields kept on the detailed result for graders to audit:
+// code test runs, and the fill-blank rule that accepted an answer
+const REPORT_FIELDS = ['codeRun', 'matchedRule'];
+
+class GradingEngine {
+    /**
+     * Grade a single question
+     * @param {Object} question - Full question definition (answer key included)
+     * @param {any} answer - Student's answer
+     * @param {Object} context - Passed to the plugin, e.g. { rubricScores } for essays
+     * @returns {Object|null} { isCorrect, score, needsManualGrading, feedback },
+     *   or null for unknown question types
+     */
+    gradeQuestion(question, answer, context = {}) {
+        const plugin = QuestionTypes.get(question.type);
+        if (!plugin || !plugin.score) return null;
+
+        if (question.adjustment === 'void') {
+            return { isCorrect: false, score: 0, needsManualGrading: false, feedback: 'Question voided' };
+        }
+        if (question.adjustment === 'bonus') {
+            return { isCorrect: true, score: question.points || 1, needsManualGrading: false, feedback: 'Bonus: full credit for everyone' };
+        }
+        return plugin.score(question, answer, context);
+    }
+
+    /**
+     * Run a question's prepare hook (see the question type registry)
+     * @param {Object} previous - Stored detailed result, when regrading
+     * @returns {Promise<Object>} Context for gradeQuestion
+     */
+    async prepareQuestion(question, answer, previous = null) {
+        const plugin = QuestionTypes.get(question.type);
+        if (!plugin || !plugin.prepare || question.adjustment) return {};
+        return (await plugin.prepare(question, answer, previous)) || {};
+    }
+
+    /**
+     * Prepare a full answer set for grade()
+     * @returns {Promise<Array>} Contexts indexed like quiz.questions
+     */
+    prepare(quiz, answers = []) {
+        return Promise.all((quiz.questions || []).map((q, idx) =>
+            this.prepareQuestion(q, answers[idx] === undefined ? null : answers[idx])));
+    }
+
+    /**
+     * Prepare every stored result of a quiz for regradeResult(). Results are
+     * taken one at a time so a regrade doesn't fill the code run queue.
+     * @returns {Promise<Array>} Per result (indexed like quiz.results), the
+     *   contexts by questionId
+     */
+    async prepareResults(quiz) {
+        const byId = new Map((quiz.questions || []).map(q => [q.id, q]));
+        const prepared = [];
+
+        for (const result of quiz.results || []) {
+            const contexts = {};
+            await Promise.all((result.detailedResults || []).map(async detail => {
+                const q = byId.get(detail.questionId);
+                // Hand-given grades stay, so there is nothing to score
+                if (!q || (detail.manuallyGraded && !q.adjustment)) return;
+                contexts[detail.questionId] = await this.prepareQuestion(q, detail.studentAnswer, detail);
+            }));
+            prepared.push(contexts);
+        }
+        return prepared;
+    }
+
+    /**
+     * The audit fields of a plugin result (see REPORT_FIELDS), to copy onto
+     * a detailed result
+     */
+    reportFields(result) {
+        const fields = {};
+        REPORT_FIELDS.forEach(field => {
+            if (result && result[field] !== undefined) fields[field] = result[field];
+        });
+        return fields;
+    }
+
+    /**
+     * Points a question adds to totalPoints (none once voided)
+     */
+    countedPoints(question) {
+        return question.adjustment === 'void' ? 0 : (question.points || 1);
+    }
+
+    /**
+     * Grade a full answer set
+     * @param {Object} quiz - Full quiz data (answer keys included)
+     * @param {Array} answers - Answers indexed like quiz.questions
+     * @param {Array} contexts - From prepare(quiz, answers)
+     * @returns {Object} { score, totalGraded, totalPoints, percentage, manualGradingNeeded, detailedResults }
+     */
+    grade(quiz, answers = [], contexts = []) {
+        let score = 0;
+        let totalGraded = 0;
+        let totalPoints = 0;
+        let manualGradingNeeded = false;
+        const detailedResults = [];
+
+        (quiz.questions || []).forEach((q, idx) => {
+            const qType = q.type || 'multiple-choice';
+            const qPoints = q.points || 1;
+            const studentAnswer = answers[idx] === undefined ? null : answers[idx];
+            const result = this.gradeQuestion(q, studentAnswer, contexts[idx]);
+
+            // Unknown types don't count towards the totals
+            if (result) {
+                score += result.score;
+                totalPoints += this.countedPoints(q);
+                if (result.needsManualGrading) {
+                    manualGradingNeeded = true;
+                } else {
+                    totalGraded++;
+                }
+            }
+
+            detailedResults.push({
+                questionIndex: idx,
+                questionId: q.id || null,
+                type: qType,
+                points: qPoints,
+                earnedPoints: result ? result.score : 0,
+                studentAnswer,
+                isCorrect: result ? result.isCorrect : false,
+                needsManualGrading: result ? result.needsManualGrading : false,
+                feedback: result ? result.feedback : `Unknown question type: ${qType}`,
+                ...this.reportFields(result),
+                ...(q.adjustment ? { adjustment: q.adjustment } : {})
+            });
+        });
+
+        const percentage = totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0;
+
+        return { score, totalGraded, totalPoints, percentage, manualGradingNeeded, detailedResults };
+    }
+
+    /**
+     * Re-score a stored result against the quiz's current answer keys.
+     * Manually graded answers keep their grade (unless the question was voided
+     * or bonused; the grade comes back if the adjustment is removed), and live
+     * results keep the speed factor each answer earned.
+     * @param {Object} quiz - Full quiz data (answer keys included)
+     * @param {Object} result - Stored result (detailed results name their questionId)
+     * @param {Object} contexts - The result's entry from prepareResults(); an
+     *   answer without one is scored from its stored audit fields (a result
+     *   recorded after the preparation was graded moments ago)
+     * @returns {Object} { result: the updated copy, questions: [{ questionId,
+     *   questionIndex, before, after }] for every answer whose points changed }
+     */
+    regradeResult(quiz, result, contexts = {}) {
+        const byId = new Map((quiz.questions || []).map(q => [q.id, q]));
+        const questions = [];
+        let scoreChange = 0;
+        let pointsChange = 0;
+
+        const detailedResults = (result.detailedResults || []).map(detail => {
+            const q = byId.get(detail.questionId);
+            if (!q) return detail;
+
+            const { adjustment, unadjusted, ...original } = detail;
+            const restored = unadjusted ? { ...original, ...unadjusted } : original;
+            let updated = restored;
+
+            if (!restored.manuallyGraded || q.adjustment) {
+                const context = contexts[detail.questionId] || this.reportFields(restored);
+                const graded = this.gradeQuestion(q, detail.studentAnswer, context);
+                if (!graded) return detail;
+
+                // The audit fields come from the new grading; an adjusted
+                // answer keeps its own for when the adjustment is lifted
+                const unreported = { ...restored };
+                REPORT_FIELDS.forEach(field => delete unreported[field]);
+
+                updated = {
+                    ...unreported,
+                    points: q.points || 1,
+                    earnedPoints: detail.speedFactor !== undefined && !q.adjustment
+                        ? Math.round(graded.score * detail.speedFactor * 100) / 100
+                        : graded.score,
+                    isCorrect: graded.isCorrect,
+                    needsManualGrading: graded.needsManualGrading,
+                    feedback: graded.feedback,
+                    ...this.reportFields(q.adjustment ? restored : graded),
+                    ...(q.adjustment ? { adjustment: q.adjustment } : {}),
+                    // Keep a hand-given grade for when the adjustment is lifted
+                    ...(q.adjustment && restored.manuallyGraded ? {
+                        unadjusted: {
+                            earnedPoints: restored.earnedPoints,
+                            isCorrect: restored.isCorrect,
+                            needsManualGrading: restored.needsManualGrading,
+                            feedback: restored.feedback
+                        }
+                    } : {})
+                };
+            }
+
+            const before = detail.earnedPoints || 0;
+            scoreChange += updated.earnedPoints - before;
+            pointsChange += this.countedPoints(updated) - this.countedPoints(detail);
+            if (updated.earnedPoints !== before || updated.adjustment !== adjustment) {
+                questions.push({
+                    questionId: detail.questionId,
+                    questionIndex: detail.questionIndex,
+                    before,
+                    after: updated.earnedPoints,
+                    ...(updated.adjustment ? { adjustment: updated.adjustment } : {})
+                });
+            }
+
+            return updated;
+        });
+
+        // Totals move by the change in each answer, so points given by hand
+        // stay in the score
+        const score = Math.round(((result.score || 0) + scoreChange) * 100) / 100;
+        const totalPoints = (result.totalPoints || 0) + pointsChange;
+
+        return {
+            result: {
+                ...result,
+                score,
+                totalPoints,
+                totalGraded: detailedResults.filter(d => !d.needsManualGrading).length,
+                percentage: totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0,
+                manualGradingNeeded: detailedResults.some(d => d.needsManualGrading),
+                detailedResults
+            },
+            questions
+        };
+    }
+
+    /**
+     * Record a grade given by hand for one answer in a stored result, then
+     * recompute the result's totals
+     * @param {Object} quiz - Full quiz data (answer keys included)
+     * @param {Object} result - Stored result
+     * @param {String} questionId - Question being graded
+     * @param {Object} grade - { points: between 0 and the question's points,
+     *   or rubricScores: { criterionId: points } for rubric-scored essays;
+     *   comment for the student (an empty comment clears it); gradedBy }
+     * @returns {Object} The updated copy of the result
+     * @throws {Error} When the answer cannot be found or the grade is out of range
+     */
+    applyManualGrade(quiz, result, questionId, { points, rubricScores, comment, gradedBy } = {}) {
+        const q = (quiz.questions || []).find(question => question.id === questionId);
+        const details = result.detailedResults || [];
+        const index = details.findIndex(d => d.questionId === questionId);
+        if (!q || index === -1) {
+            throw new Error('Question not found in this result');
+        }
+        if (q.adjustment) {
+            throw new Error('This question was voided or bonused and is no longer graded');
+        }
+
+        const detail = details[index];
+        const maxPoints = q.points || 1;
+        let graded;
+
+        if (rubricScores) {
+            graded = this.gradeRubric(q, detail.studentAnswer, rubricScores);
+        } else {
+            const awarded = Number(points);
+            if (points === undefined || points === null || points === '' || !Number.isFinite(awarded) ||
+                awarded < 0 || awarded > maxPoints) {
+                throw new Error(`Points must be between 0 and ${maxPoints}`);
+            }
+            graded = {
+                score: awarded,
+                isCorrect: awarded >= maxPoints,
+                feedback: `Graded by hand: ${awarded}/${maxPoints} points`
+            };
+        }
+
+        const earnedPoints = Math.round(graded.score * 100) / 100;
+        const updated = {
+            ...detail,
+            points: maxPoints,
+            earnedPoints,
+            isCorrect: graded.isCorrect,
+            needsManualGrading: false,
+            manuallyGraded: true,
+            feedback: graded.feedback,
+            comment: comment === undefined ? (detail.comment || null) : (String(comment).trim() || null),
+            gradedBy: gradedBy || null,
+            gradedAt: new Date().toISOString()
+        };
+        if (rubricScores) {
+            updated.rubricScores = rubricScores;
+        } else {
+            delete updated.rubricScores;
+        }
+
+        const detailedResults = details.map((d, idx) => idx === index ? updated : d);
+        const score = Math.round(((result.score || 0) + earnedPoints - (detail.earnedPoints || 0)) * 100) / 100;
+        const totalPoints = result.totalPoints || 0;
+
+        return {
+            ...result,
+            score,
+            totalGraded: detailedResults.filter(d => !d.needsManualGrading).length,
+            percentage: totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0,
+            manualGradingNeeded: detailedResults.some(d => d.needsManualGrading),
+            detailedResults
+        };
+    }
+
+    /**
+     * Score an answer from its rubric criterion scores. Essays (and code
+     * questions with a marking rubric) all go through the essay rubric scoring.
+     * @throws {Error} When the question has no rubric or a score is out of range
+     */
+    gradeRubric(question, answer, rubricScores) {
+        this.validateRubricScores(question, rubricScores);
+        return AdvancedQuestionTypes.scoreEssayQuestion(question, answer, rubricScores);
+    }
+
+    /**
+     * @throws {Error} When the question has no rubric, or a criterion is
+     *   unknown or scored outside 0 to its maxPoints
+     */
+    validateRubricScores(question, rubricScores) {
+        const rubric = question.rubric || [];
+        if (rubric.length === 0) {
+            throw new Error('This question has no rubric; award points instead');
+        }
+        if (!rubricScores || typeof rubricScores !== 'object' || Array.isArray(rubricScores)) {
+            throw new Error('Rubric scores must map criterion ids to points');
+        }
+
+        Object.keys(rubricScores).forEach(id => {
+            const criterion = rubric.find(c => c.id === id);
+            const value = rubricScores[id];
+            if (!criterion) {
+                throw new Error(`Unknown rubric criterion: ${id}`);
+            }
+            if (typeof value !== 'number' || value < 0 || value > (criterion.maxPoints || 0)) {
+                throw new Error(`Criterion "${criterion.name || id}" takes 0 to ${criterion.maxPoints || 0} points`);
+            }
+        });
+    }
+}
+
+module.exports = new GradingEngine();
@@ -0,0 +1,91 @@
+/**
+ * Grading Queue
+ * Every answer in a quiz's results that is graded by hand, grouped by
+ * question, so a grader can mark one question for the whole class in a row.
+ * Within a question, identical answers (ignoring case and spacing) are
+ * collapsed into one group that can be graded in a single action.
+ *
+ * Queue format:
+ *   { pendingCount, gradedCount, questions: [{ questionId, question, type,
+ *     points, sampleAnswer, rubric, pendingCount, gradedCount,
+ *     groups: [{ key, answer, items: [{ resultIndex, name }] }] }] }
+ *
+ * Only pending answers are listed in groups; graded answers count towards
+ * the progress counters (gradedCount) of their question.
+ */
+
+const DoubleMarking = require('./double-marking');
+
+class GradingQueue {
+    /**
+     * Build the queue for a quiz
+     * @param {Object} quiz - Full quiz data (results included)
+     * @returns {Object} See the queue format above
+     */
+    static build(quiz) {
+        const byId = new Map();
+        // Double-marked questions have their own workflow (see DoubleMarking)
+        (quiz.questions || []).filter(q => !DoubleMarking.isDoubleMarked(q)).forEach(q => {
+            byId.set(q.id, {
+                questionId: q.id,
+                question: q.question,
+                type: q.type || 'multiple-choice',
+                points: q.points || 1,
+                sampleAnswer: q.sampleAnswer || null,
+                rubric: q.rubric || null,
+                pendingCount: 0,
+                gradedCount: 0,
+                groups: []
+            });
+        });
+
+        (quiz.results || []).forEach((result, resultIndex) => {
+            (result.detailedResults || []).forEach(detail => {
+                const entry = byId.get(detail.questionId);
+                if (!entry) return;
+
+                if (detail.manuallyGraded) {
+                    entry.gradedCount++;
+                    return;
+                }
+                if (!detail.needsManualGrading) return;
+
+                entry.pendingCount++;
+                const key = this.answerKey(detail.studentAnswer);
+                let group = entry.groups.find(g => g.key === key);
+                if (!group) {
+                    group = { key, answer: detail.studentAnswer, items: [] };
+                    entry.groups.push(group);
+                }
+                group.items.push({
+                    resultIndex,
+                    name: result.participantName || result.teamName || 'Anonymous'
+                });
+            });
+        });
+
+        // Questions graded by hand, in quiz order; the biggest groups first
+        const questions = [...byId.values()].filter(q => q.pendingCount > 0 || q.gradedCount > 0);
+        questions.forEach(q => q.groups.sort((a, b) => b.items.length - a.items.length));
+
+        return {
+            pendingCount: questions.reduce((sum, q) => sum + q.pendingCount, 0),
+            gradedCount: questions.reduce((sum, q) => sum + q.gradedCount, 0),
+            questions
+        };
+    }
+
+    /**
+     * Key under which identical answers are collapsed: text is compared
+     * without case or extra spacing, anything else by its JSON form
+     */
+    static answerKey(answer) {
+        if (answer === null || answer === undefined) return '';
+        if (typeof answer === 'string') {
+            return answer.trim().replace(/\s+/g, ' ').toLowerCase();
+        }
+        return JSON.stringify(answer);
+    }
+}
+
+module.exports = GradingQueue;
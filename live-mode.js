@@ -0,0 +1,355 @@
+/**
+ * Live Mode
+ * Instructor-paced sessions: the host shows one question at a time and every
+ * student answers that question together. A question accepts one answer per
+ * student until its countdown ends or the host moves on; the host then
+ * reveals the answer distribution and the correct answer.
+ *
+ * The state lives on the session (session.live) and is updated in place:
+ *
+ *   phase           - 'waiting' (before the first question), 'question',
+ *                     'reveal' or 'finished'
+ *   questionIndex   - Question being played (-1 before the first)
+ *   startedAt, closesAt, closedAt - The current question's window
+ *   responses       - question index -> participant id -> { answer, answeredAt, responseMs,
+ *                     context (from gradingEngine.prepareQuestion, e.g. the code run) }
+ *   speedScoring    - Correct answers earn between half and full points,
+ *                     depending on how quickly they came in
+ *   questionSeconds - Countdown for each question
+ *   questionIds     - The session's paper (see QuestionBank), drawn once so
+ *                     everyone plays the same questions; question indexes
+ *                     are positions on this paper
+ *
+ * Questions are scored by their type's plugin, like every other submission.
+ */
+
+const crypto = require('crypto');
+const QuestionTypes = require('./public/question-types');
+const gradingEngine = require('./grading-engine');
+const TimeLimits = require('./time-limits');
+const QuestionBank = require('./question-bank');
+const StudentQuizView = require('./student-quiz-view');
+
+const DEFAULT_QUESTION_SECONDS = 30;
+const ANSWER_GRACE_MS = 1000; // network allowance after the countdown ends
+
+// Standings last worked out for each live state: { key, standings }. Every
+// host and student poll during a reveal gets the same ranking, so it is only
+// worked out again when something it depends on changes (see
+// getRevealedStandings).
+const standingsCache = new WeakMap();
+
+class LiveMode {
+    static isLive(session) {
+        return session.pacing === 'live';
+    }
+
+    /**
+     * Initial live state for a new session
+     * @param {Object} quiz - Full quiz data
+     * @param {Object} options - { speedScoring, questionSeconds (default: the
+     *   quiz's per-question limit, or 30) }
+     */
+    static create(quiz, { speedScoring = false, questionSeconds } = {}) {
+        const questionLimitMs = TimeLimits.getQuestionLimitMs(quiz);
+        const seconds = Number(questionSeconds) ||
+            (questionLimitMs ? questionLimitMs / 1000 : DEFAULT_QUESTION_SECONDS);
+
+        return {
+            phase: 'waiting',
+            questionIndex: -1,
+            startedAt: null,
+            closesAt: null,
+            closedAt: null,
+            responses: {},
+            speedScoring: Boolean(speedScoring),
+            questionSeconds: seconds,
+            questionIds: QuestionBank.drawPaper(quiz)
+        };
+    }
+
+    /**
+     * The quiz as played in this session (only the questions on its paper)
+     */
+    static getPaper(quiz, live) {
+        return QuestionBank.paperFor(quiz, live.questionIds);
+    }
+
+    /**
+     * Whether the current question still takes answers
+     */
+    static isAccepting(live, now = new Date()) {
+        return live.phase === 'question' && !live.closedAt &&
+            now - new Date(live.closesAt) <= ANSWER_GRACE_MS;
+    }
+
+    /**
+     * Lock the current question (the countdown may already have ended)
+     */
+    static closeQuestion(live, now = new Date()) {
+        if (live.phase === 'question' && !live.closedAt) {
+            const closesAt = new Date(live.closesAt);
+            live.closedAt = (closesAt < now ? closesAt : now).toISOString();
+        }
+    }
+
+    /**
+     * Move on: lock the current question and start the next one, or finish
+     * after the last
+     * @returns {Number|null} Index of the question that was locked, if any
+     * @throws {Error} When the live quiz has already finished
+     */
+    static advance(quiz, live, now = new Date()) {
+        if (live.phase === 'finished') {
+            throw new Error('The live quiz has finished');
+        }
+
+        const locked = live.phase === 'question' ? live.questionIndex : null;
+        this.closeQuestion(live, now);
+
+        const next = live.questionIndex + 1;
+        if (next >= this.getPaper(quiz, live).questions.length) {
+            live.phase = 'finished';
+            return locked;
+        }
+
+        live.phase = 'question';
+        live.questionIndex = next;
+        live.startedAt = now.toISOString();
+        live.closesAt = new Date(now.getTime() + live.questionSeconds * 1000).toISOString();
+        live.closedAt = null;
+        live.responses[next] = live.responses[next] || {};
+        return locked;
+    }
+
+    /**
+     * Lock the current question and show its results
+     * @returns {Number} Index of the revealed question
+     * @throws {Error} When no question is being played
+     */
+    static reveal(live, now = new Date()) {
+        if (live.phase !== 'question') {
+            throw new Error('No question is waiting to be revealed');
+        }
+
+        this.closeQuestion(live, now);
+        live.phase = 'reveal';
+        return live.questionIndex;
+    }
+
+    /**
+     * End the live quiz early (the session was closed), keeping the
+     * questions played so far
+     */
+    static finish(live, now = new Date()) {
+        this.closeQuestion(live, now);
+        live.phase = 'finished';
+    }
+
+    /**
+     * Record a participant's answer to the current question (one answer each;
+     * check isAccepting first)
+     * @param {Object} context - The answer's prepared scoring context, kept so
+     *   every grading of it reuses the same code run
+     * @returns {Object} { answer, answeredAt, responseMs, context }
+     */
+    static recordAnswer(live, participantId, answer, now = new Date(), context = {}) {
+        const responses = live.responses[live.questionIndex] = live.responses[live.questionIndex] || {};
+        responses[participantId] = {
+            answer,
+            answeredAt: now.toISOString(),
+            responseMs: Math.max(0, now - new Date(live.startedAt)),
+            context
+        };
+        return responses[participantId];
+    }
+
+    static getResponse(live, questionIndex, participantId) {
+        return (live.responses[questionIndex] || {})[participantId] || null;
+    }
+
+    /**
+     * Questions whose answers are locked (and count towards scores)
+     */
+    static getPlayedQuestions(live) {
+        const last = live.phase === 'question' && !live.closedAt ? live.questionIndex - 1 : live.questionIndex;
+        return Array.from({ length: Math.max(0, last + 1) }, (_, idx) => idx);
+    }
+
+    /**
+     * Share of the points earned by a correct answer: everything for an
+     * instant answer, down to half at the end of the countdown
+     */
+    static speedFactor(live, responseMs) {
+        if (!live.speedScoring) return 1;
+        const limitMs = live.questionSeconds * 1000;
+        return 1 - Math.min(1, responseMs / limitMs) / 2;
+    }
+
+    /**
+     * Grade one participant's answers to the questions played so far
+     * @returns {Object} Same shape as gradingEngine.grade(), where totalPoints
+     *   covers the whole paper and each detailed result has responseTimeSeconds
+     *   (and, with speed scoring, the speedFactor applied to its points)
+     */
+    static grade(quiz, live, participantId) {
+        const paper = this.getPaper(quiz, live);
+        const played = this.getPlayedQuestions(live);
+        let score = 0;
+        let totalGraded = 0;
+        let manualGradingNeeded = false;
+
+        const detailedResults = played.map(idx => {
+            const q = paper.questions[idx];
+            const response = this.getResponse(live, idx, participantId);
+            const answer = response ? response.answer : null;
+            const result = gradingEngine.gradeQuestion(q, answer, response ? response.context : {});
+            const factor = response && !q.adjustment ? this.speedFactor(live, response.responseMs) : 1;
+            const earnedPoints = result ? Math.round(result.score * factor * 100) / 100 : 0;
+
+            if (result) {
+                score += earnedPoints;
+                if (result.needsManualGrading) {
+                    manualGradingNeeded = true;
+                } else {
+                    totalGraded++;
+                }
+            }
+
+            return {
+                questionIndex: idx,
+                questionId: q.id || null,
+                type: q.type || 'multiple-choice',
+                points: q.points || 1,
+                earnedPoints,
+                studentAnswer: answer,
+                isCorrect: result ? result.isCorrect : false,
+                needsManualGrading: result ? result.needsManualGrading : false,
+                feedback: result ? result.feedback : `Unknown question type: ${q.type}`,
+                ...gradingEngine.reportFields(result),
+                responseTimeSeconds: response ? Math.round(response.responseMs / 100) / 10 : null,
+                ...(live.speedScoring ? { speedFactor: factor } : {}),
+                ...(q.adjustment ? { adjustment: q.adjustment } : {})
+            };
+        });
+
+        const totalPoints = paper.questions
+            .filter(q => QuestionTypes.has(q.type))
+            .reduce((sum, q) => sum + gradingEngine.countedPoints(q), 0);
+        score = Math.round(score * 100) / 100;
+
+        return {
+            score,
+            totalGraded,
+            totalPoints,
+            percentage: totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0,
+            manualGradingNeeded,
+            detailedResults
+        };
+    }
+
+    /**
+     * How the answers to a question were spread
+     * @returns {Object} { counts: { answer: count }, noAnswer } where
+     *   multiple-answer selections count once per option chosen
+     */
+    static getDistribution(question, live, questionIndex, participantCount) {
+        const counts = {};
+        Object.keys(question.options || {}).forEach(key => { counts[key] = 0; });
+
+        const responses = Object.values(live.responses[questionIndex] || {});
+        responses.forEach(({ answer }) => {
+            const keys = Array.isArray(answer) ? answer : [answer];
+            keys.forEach(key => {
+                const label = typeof key === 'object' ? JSON.stringify(key) : String(key);
+                counts[label] = (counts[label] || 0) + 1;
+            });
+        });
+
+        return { counts, noAnswer: Math.max(0, participantCount - responses.length) };
+    }
+
+    /**
+     * Participants ranked by their live score (fastest total response time
+     * breaks ties)
+     * @returns {Array} [{ participantId, name, score, percentage, rank }]
+     */
+    static getStandings(quiz, live, participants) {
+        return participants
+            .map(p => {
+                const grading = this.grade(quiz, live, p.id);
+                const responseMs = Object.values(live.responses)
+                    .reduce((sum, responses) => sum + (responses[p.id] ? responses[p.id].responseMs : 0), 0);
+                return { participantId: p.id, name: p.name, score: grading.score, percentage: grading.percentage, responseMs };
+            })
+            .sort((a, b) => b.score - a.score || a.responseMs - b.responseMs)
+            .map(({ responseMs, ...entry }, idx) => ({ ...entry, rank: idx + 1 }));
+    }
+
+    /**
+     * getStandings, worked out again only when what it reads changes: the
+     * phase and question, the answers, who takes part (and their names) and
+     * the questions themselves (answer keys, points, voids and bonuses)
+     */
+    static getRevealedStandings(quiz, live, participants) {
+        const key = crypto.createHash('sha1').update(JSON.stringify([
+            live.phase,
+            live.questionIndex,
+            live.responses,
+            participants.map(p => [p.id, p.name]),
+            quiz.questions
+        ])).digest('hex');
+        const cached = standingsCache.get(live);
+        if (cached && cached.key === key) return cached.standings;
+
+        const standings = this.getStandings(quiz, live, participants);
+        standingsCache.set(live, { key, standings });
+        return standings;
+    }
+
+    /**
+     * What the host screen and students see of the current question
+     * @param {Object} quiz - Full quiz data
+     * @param {Object} studentQuestion - Student-safe copy of the current question
+     * @param {Array} participants - Session participants
+     * @returns {Object} { phase, questionIndex, questionCount, question,
+     *   startedAt, closesAt, remainingSeconds, accepting, answerCount,
+     *   participantCount, speedScoring, questionSeconds, reveal, standings }
+     *   where reveal ({ answerKey, distribution }) and standings are only
+     *   filled in once the question is revealed (standings also when finished)
+     */
+    static getView(quiz, live, studentQuestion, participants, now = new Date()) {
+        const index = live.questionIndex;
+        const playing = live.phase === 'question' || live.phase === 'reveal';
+        const questions = this.getPaper(quiz, live).questions;
+        const question = playing ? questions[index] : null;
+
+        return {
+            phase: live.phase,
+            questionIndex: index,
+            questionCount: questions.length,
+            question: playing ? studentQuestion : null,
+            startedAt: playing ? live.startedAt : null,
+            closesAt: playing ? live.closesAt : null,
+            remainingSeconds: live.phase === 'question' && !live.closedAt
+                ? Math.max(0, Math.ceil((new Date(live.closesAt) - now) / 1000))
+                : 0,
+            accepting: this.isAccepting(live, now),
+            answerCount: playing ? Object.keys(live.responses[index] || {}).length : 0,
+            participantCount: participants.length,
+            speedScoring: live.speedScoring,
+            questionSeconds: live.questionSeconds,
+            reveal: live.phase === 'reveal' ? {
+                answerKey: StudentQuizView.getAnswerKey(question),
+                distribution: this.getDistribution(question, live, index, participants.length)
+            } : null,
+            standings: live.phase === 'reveal' || live.phase === 'finished'
+                ? this.getRevealedStandings(quiz, live, participants)
+                : null
+        };
+    }
+}
+
+LiveMode.DEFAULT_QUESTION_SECONDS = DEFAULT_QUESTION_SECONDS;
+
+module.exports = LiveMode;
@@ -3,8 +3,14 @@ const { spawn } = require('child_process');
 const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const QuestionBank = require('./question-bank');
+const BlindGrading = require('./blind-grading');
+const DoubleMarking = require('./double-marking');
+const StateStore = require('./state-store');
+
+const SERVER_PORT = 3000;
+const SERVER_URL = `http://127.0.0.1:${SERVER_PORT}`;
 
-let currentQuiz = null;
 const quizzesDir = path.join(__dirname, 'quizzes');
 if (!fs.existsSync(quizzesDir)) fs.mkdirSync(quizzesDir);
 
@@ -14,8 +20,10 @@ ipcMain.on('save-quiz', (event, quizData) => {
 
   quizData.date = new Date().toISOString();
   quizData.results = [];
+  // Results, grading and analytics refer to questions by these ids
+  QuestionBank.ensureIds(quizData);
 
-  fs.writeFileSync(filePath, JSON.stringify(quizData, null, 2));
+  StateStore.writeJson(filePath, quizData);
   console.log("✅ Quiz saved:", fileName);
 });
 
@@ -25,28 +33,103 @@ ipcMain.handle('get-quizzes', () => {
 });
 
 ipcMain.handle('get-quiz-results', (event, quizFile) => {
+  // Only plain quiz file names: nothing outside the quizzes folder
+  if (typeof quizFile !== 'string' || !quizFile.endsWith('.json') || path.basename(quizFile) !== quizFile) {
+    return null;
+  }
+
   const filePath = path.join(quizzesDir, quizFile);
   if (fs.existsSync(filePath)) {
     const quizData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    return quizData;
+    const migrated = QuestionBank.migrate(quizData);
+    if (BlindGrading.prepare(quizData) || migrated) {
+      StateStore.writeJson(filePath, quizData);
+    }
+    // As graders see it on the results page: names hidden while blind
+    // graded, no double marks before they are settled
+    return DoubleMarking.hideOpenMarks(BlindGrading.view(quizData));
   }
   return null;
 });
 
-ipcMain.on('start-quiz', (event, quizFile) => {
-  const filePath = path.join(quizzesDir, quizFile);
-  if (fs.existsSync(filePath)) {
-    currentQuiz = JSON.parse(fs.readFileSync(filePath));
-    console.log("▶ Quiz started:", currentQuiz.name);
+// First run: create the owner admin account. The server only accepts this
+// from the admin machine, so it goes through the main process.
+ipcMain.handle('setup-admin', async (event, username, password) => {
+  const res = await fetch(`${SERVER_URL}/api/admin/setup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || 'Failed to set admin password');
 
-    // Notify renderer (admin dashboard)
-    event.sender.send('quiz-started', currentQuiz);
+  console.log("🔑 Admin account created:", data.user.username);
+  return data.user;
+});
 
-    // Save quiz to temp so server.js can read
-    fs.writeFileSync(path.join(__dirname, 'currentQuiz.json'), JSON.stringify(currentQuiz, null, 2));
+// Each start opens a new session (with its own join code) on the server, so
+// several quizzes can run side by side. Needs the dashboard's admin token.
+// options: { state, opensAt, closesAt } to start in the lobby or on a schedule,
+// { pacing: 'live', speedScoring, questionSeconds } for a host-paced session
+ipcMain.on('start-quiz', async (event, quizFile, sessionName, adminToken, options = {}) => {
+  try {
+    const res = await fetch(`${SERVER_URL}/api/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${adminToken}` },
+      body: JSON.stringify({ quizFile, name: sessionName, ...options })
+    });
+    const session = await res.json();
+    if (!res.ok) throw new Error(session.message || 'Failed to start quiz');
+
+    console.log(`▶ Quiz started: ${session.name} (join code ${session.code})`);
+
+    // Notify renderer (admin dashboard)
+    event.sender.send('quiz-started', session);
+  } catch (error) {
+    console.error('Failed to start quiz:', error);
+    event.sender.send('quiz-start-failed', error.message);
   }
 });
 
+ipcMain.handle('end-quiz', async (event, sessionId, adminToken) => {
+  // The server owns the live participants and results, so ending goes through it
+  const res = await fetch(`${SERVER_URL}/api/sessions/${encodeURIComponent(sessionId)}/end`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${adminToken}` }
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || 'Failed to end quiz');
+
+  console.log("■ Quiz ended:", data.quizFile);
+  return data;
+});
+
+// Sessions with their lifecycle state, schedule and allowed transitions
+ipcMain.handle('get-sessions', async (event, adminToken) => {
+  const res = await fetch(`${SERVER_URL}/api/sessions`, {
+    headers: { 'Authorization': `Bearer ${adminToken}` }
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || 'Failed to load sessions');
+
+  return data;
+});
+
+// Move a session to another lifecycle state (open, pause, close, ...) and/or
+// change its schedule: { opensAt, closesAt }
+ipcMain.handle('set-session-state', async (event, sessionId, state, schedule, adminToken) => {
+  const res = await fetch(`${SERVER_URL}/api/sessions/${encodeURIComponent(sessionId)}/state`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${adminToken}` },
+    body: JSON.stringify({ state, ...schedule })
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || 'Failed to change quiz state');
+
+  console.log(`Quiz ${data.code}: ${data.previousState} → ${data.state}`);
+  return data;
+});
+
 function getAllLocalIPs() {
   const nets = os.networkInterfaces();
   const results = [];
@@ -91,8 +174,7 @@ function createWindow() {
   ipcMain.on('start-server', (event, selectedIP) => {
     spawn('node', ['server.js'], { shell: true, stdio: 'inherit' });
 
-    const port = 3000;
-    event.sender.send('server-started', { ip: selectedIP, port });
+    event.sender.send('server-started', { ip: selectedIP, port: SERVER_PORT });
   });
 }
 
@@ -98,28 +98,25 @@ class PlagiarismDetector {
     detectAnswerSimilarity(submission, allSubmissions) {
         const suspicious = [];
         let maxScore = 0;
+        const answers = this.getAnswersById(submission);
 
         // Compare with all other submissions
         for (const other of allSubmissions) {
+            const otherAnswers = this.getAnswersById(other);
+
             // Skip self-comparison and incomplete submissions
-            if (other.participantId === submission.participantId || !other.answers) {
+            if (other.participantId === submission.participantId || !otherAnswers) {
                 continue;
             }
 
-            const similarity = this.calculateAnswerSimilarity(
-                submission.answers,
-                other.answers
-            );
+            const similarity = this.calculateAnswerSimilarity(answers, otherAnswers);
 
             if (similarity >= this.similarityThreshold) {
                 suspicious.push({
                     participantId: other.participantId,
                     participantName: other.participantName,
                     similarityScore: Math.round(similarity * 100),
-                    matchingAnswers: this.getMatchingAnswers(
-                        submission.answers,
-                        other.answers
-                    )
+                    matchingAnswers: this.getMatchingAnswers(answers, otherAnswers)
                 });
                 maxScore = Math.max(maxScore, similarity * 100);
             }
@@ -129,20 +126,40 @@ class PlagiarismDetector {
     }
 
     /**
-     * Calculate similarity between two answer sets
+     * A submission's answers keyed by question id, read from its detailed
+     * results (students may see different questions, in different orders)
+     * @returns {Object|null} { questionId: answer }
+     */
+    getAnswersById(submission) {
+        if (!Array.isArray(submission.detailedResults)) {
+            return null;
+        }
+
+        const answers = {};
+        submission.detailedResults.forEach(detail => {
+            if (detail.questionId) {
+                answers[detail.questionId] = detail.studentAnswer;
+            }
+        });
+        return answers;
+    }
+
+    /**
+     * Calculate similarity between two answer sets (by question id, over the
+     * questions both were asked)
      * Uses multiple algorithms for comprehensive analysis
      */
     calculateAnswerSimilarity(answers1, answers2) {
-        if (!answers1 || !answers2 || answers1.length !== answers2.length) {
+        if (!answers1 || !answers2) {
             return 0;
         }
 
         let totalSimilarity = 0;
         let comparableAnswers = 0;
 
-        for (let i = 0; i < answers1.length; i++) {
-            const answer1 = this.normalizeAnswer(answers1[i]);
-            const answer2 = this.normalizeAnswer(answers2[i]);
+        for (const questionId of Object.keys(answers1)) {
+            const answer1 = this.normalizeAnswer(answers1[questionId]);
+            const answer2 = this.normalizeAnswer(answers2[questionId]);
 
             if (answer1 && answer2) {
                 // For short answers, use string similarity
@@ -168,15 +185,15 @@ class PlagiarismDetector {
     }
 
     /**
-     * Get list of matching answer indices
+     * Get the ids of the questions answered identically
      */
     getMatchingAnswers(answers1, answers2) {
         const matches = [];
-        for (let i = 0; i < answers1.length; i++) {
-            const a1 = this.normalizeAnswer(answers1[i]);
-            const a2 = this.normalizeAnswer(answers2[i]);
+        for (const questionId of Object.keys(answers1)) {
+            const a1 = this.normalizeAnswer(answers1[questionId]);
+            const a2 = this.normalizeAnswer(answers2[questionId]);
             if (a1 && a2 && JSON.stringify(a1) === JSON.stringify(a2)) {
-                matches.push(i);
+                matches.push(questionId);
             }
         }
         return matches;
@@ -280,6 +297,8 @@ class PlagiarismDetector {
 
     /**
      * Detect time-based anomalies
+     * submission.questionTimes holds the seconds from opening each question to
+     * answering it, as recorded by the server (not reported by the browser)
      */
     detectTimeAnomalies(submission, allSubmissions, questions) {
         const flags = [];
@@ -331,7 +350,7 @@ class PlagiarismDetector {
             }
         }
 
-        // 3. Check question-level timing if available
+        // 3. Check question-level timing if recorded
         if (submission.questionTimes && submission.questionTimes.length > 0) {
             const questionTimes = submission.questionTimes;
 
@@ -11,7 +11,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveQuiz: (quizData) => ipcRenderer.send('save-quiz', quizData),
   getQuizzes: () => ipcRenderer.invoke('get-quizzes'),
   getQuizResults: (quizFile) => ipcRenderer.invoke('get-quiz-results', quizFile),
-  startQuiz: (quizName) => ipcRenderer.send('start-quiz', quizName),
-  onQuizStarted: (callback) => ipcRenderer.on('quiz-started', (event, quiz) => callback(quiz))
+  startQuiz: (quizName, sessionName, adminToken, options) => ipcRenderer.send('start-quiz', quizName, sessionName, adminToken, options),
+  endQuiz: (sessionId, adminToken) => ipcRenderer.invoke('end-quiz', sessionId, adminToken),
+  getSessions: (adminToken) => ipcRenderer.invoke('get-sessions', adminToken),
+  setSessionState: (sessionId, state, schedule, adminToken) => ipcRenderer.invoke('set-session-state', sessionId, state, schedule, adminToken),
+  onQuizStarted: (callback) => ipcRenderer.on('quiz-started', (event, quiz) => callback(quiz)),
+  onQuizStartFailed: (callback) => ipcRenderer.on('quiz-start-failed', (event, message) => callback(message)),
+
+  // ---- Admin Accounts ----
+  setupAdmin: (username, password) => ipcRenderer.invoke('setup-admin', username, password)
 });
 
@@ -0,0 +1,219 @@
+// Admin Session - login and authenticated API calls for the dashboard pages
+class AdminSession {
+  constructor() {
+    this.serverUrl = sessionStorage.getItem('adminServerUrl') || '';
+    this.storageKey = 'adminToken';
+    this.pendingLogin = null;
+    this.initStyles();
+  }
+
+  // Pages loaded from file:// (Electron) call the server by URL; remembered
+  // so the other dashboard pages reach the same server
+  setServer(url) {
+    this.serverUrl = url || '';
+    sessionStorage.setItem('adminServerUrl', this.serverUrl);
+  }
+
+  getToken() {
+    return sessionStorage.getItem(this.storageKey);
+  }
+
+  getUser() {
+    const user = sessionStorage.getItem('adminUser');
+    return user ? JSON.parse(user) : null;
+  }
+
+  logout() {
+    sessionStorage.removeItem(this.storageKey);
+    sessionStorage.removeItem('adminUser');
+  }
+
+  // fetch() with the admin token; asks for a login on 401 and retries once
+  async fetch(url, options = {}) {
+    if (!this.getToken()) {
+      await this.login();
+    }
+
+    let res = await fetch(this.resolve(url), this.withAuth(options));
+    if (res.status === 401) {
+      this.logout();
+      await this.login();
+      res = await fetch(this.resolve(url), this.withAuth(options));
+    }
+    return res;
+  }
+
+  // Token for calls made outside fetch() (e.g. through the Electron bridge)
+  async ensureToken() {
+    if (!this.getToken()) {
+      await this.login();
+    }
+    return this.getToken();
+  }
+
+  resolve(url) {
+    return url.startsWith('/') ? this.serverUrl + url : url;
+  }
+
+  withAuth(options) {
+    return {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        'Authorization': `Bearer ${this.getToken()}`
+      }
+    };
+  }
+
+  // Show the login (or first-run setup) dialog; resolves once logged in
+  login() {
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.showDialog().finally(() => {
+        this.pendingLogin = null;
+      });
+    }
+    return this.pendingLogin;
+  }
+
+  async showDialog() {
+    let needsSetup = false;
+    try {
+      const res = await fetch(this.resolve('/api/admin/setup-status'));
+      needsSetup = (await res.json()).needsSetup;
+    } catch (error) {
+      console.error('Error checking admin setup:', error);
+    }
+
+    const canSetup = needsSetup && window.electronAPI && window.electronAPI.setupAdmin;
+
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'admin-login-overlay';
+      overlay.innerHTML = `
+        <form class="admin-login-box">
+          <h2><i class="fas fa-lock"></i> ${canSetup ? 'Set Admin Password' : 'Admin Login'}</h2>
+          ${needsSetup && !canSetup ? `
+            <p>No admin account exists yet. Set the admin password from the Quiz Server app first.</p>
+          ` : ''}
+          ${canSetup ? `
+            <p>First run: choose the owner account's password.</p>
+          ` : ''}
+          <input name="username" placeholder="Username" value="admin" autocomplete="username">
+          <input name="password" type="password" placeholder="Password" autocomplete="${canSetup ? 'new-password' : 'current-password'}">
+          ${canSetup ? '<input name="confirm" type="password" placeholder="Confirm password" autocomplete="new-password">' : ''}
+          <div class="admin-login-error"></div>
+          <button type="submit">${canSetup ? 'Create Account' : 'Log In'}</button>
+        </form>
+      `;
+      document.body.appendChild(overlay);
+
+      const form = overlay.querySelector('form');
+      const errorBox = overlay.querySelector('.admin-login-error');
+      form.password.focus();
+
+      form.onsubmit = async (event) => {
+        event.preventDefault();
+        errorBox.textContent = '';
+
+        const username = form.username.value.trim();
+        const password = form.password.value;
+
+        try {
+          if (canSetup) {
+            if (password !== form.confirm.value) {
+              throw new Error('Passwords do not match');
+            }
+            await window.electronAPI.setupAdmin(username, password);
+          }
+
+          const res = await fetch(this.resolve('/api/admin/login'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+          });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.message || 'Login failed');
+
+          sessionStorage.setItem(this.storageKey, data.token);
+          sessionStorage.setItem('adminUser', JSON.stringify(data.user));
+          overlay.remove();
+          resolve(data.user);
+        } catch (error) {
+          errorBox.textContent = error.message;
+        }
+      };
+    });
+  }
+
+  initStyles() {
+    if (document.getElementById('admin-session-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'admin-session-styles';
+    style.innerHTML = `
+      .admin-login-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10001;
+      }
+
+      .admin-login-box {
+        background: white;
+        color: #333;
+        padding: 2rem;
+        border-radius: 15px;
+        width: 340px;
+        box-shadow: 0 10px 40px rgba(0, 0, 0, 0.3);
+        display: flex;
+        flex-direction: column;
+        gap: 0.8rem;
+        font-family: 'Poppins', sans-serif;
+      }
+
+      .admin-login-box h2 {
+        margin: 0 0 0.5rem;
+        color: #667eea;
+      }
+
+      .admin-login-box p {
+        margin: 0;
+        font-size: 0.9rem;
+        color: #666;
+      }
+
+      .admin-login-box input {
+        padding: 0.7rem;
+        border: 2px solid #e0e0e0;
+        border-radius: 8px;
+        font-size: 1rem;
+      }
+
+      .admin-login-box button {
+        padding: 0.8rem;
+        border: none;
+        border-radius: 8px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        font-size: 1rem;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .admin-login-error {
+        color: #e74c3c;
+        font-size: 0.9rem;
+        min-height: 1em;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.adminSession = new AdminSession();
+}
@@ -419,9 +419,9 @@ const AdvancedQuestionsUI = {
             spellcheck="false"
           >${template}</textarea>
         </div>
-        ${question.testCases ? `
+        ${question.testCaseCount ? `
           <div class="test-cases-info">
-            <p><strong>Test Cases:</strong> Your code will be tested with ${question.testCases.length} test case(s)</p>
+            <p><strong>Test Cases:</strong> Your code will be tested with ${question.testCaseCount} test case(s)</p>
           </div>
         ` : ''}
       </div>
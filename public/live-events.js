@@ -0,0 +1,83 @@
+// Live Events - subscribe to server-push updates (Server-Sent Events) and fall
+// back to polling whenever the stream is unavailable
+class LiveEvents {
+  // url: events endpoint; params: token and/or session; poll: refresh
+  // function run on start, after a reconnect and on a timer while disconnected
+  constructor({ url = '/api/events', params = {}, poll = null, interval = 5000 } = {}) {
+    this.url = url;
+    this.params = params;
+    this.poll = poll;
+    this.interval = interval;
+    this.handlers = {};
+    this.source = null;
+    this.pollTimer = null;
+  }
+
+  // Register a handler for an event type (e.g. 'leaderboard-changed')
+  on(type, handler) {
+    if (!this.handlers[type]) {
+      this.handlers[type] = [];
+      if (this.source) this.listen(type);
+    }
+    this.handlers[type].push(handler);
+    return this;
+  }
+
+  start() {
+    if (this.poll) this.poll();
+
+    if (typeof EventSource === 'undefined') {
+      this.startPolling();
+      return this;
+    }
+
+    const query = new URLSearchParams(
+      Object.entries(this.params).filter(([, value]) => value)
+    ).toString();
+
+    this.source = new EventSource(query ? `${this.url}?${query}` : this.url);
+
+    this.source.onopen = () => {
+      // Back after a drop: catch up on anything missed while polling
+      if (this.pollTimer) {
+        this.stopPolling();
+        if (this.poll) this.poll();
+      }
+    };
+
+    this.source.onerror = () => this.startPolling();
+
+    Object.keys(this.handlers).forEach(type => this.listen(type));
+    return this;
+  }
+
+  stop() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.stopPolling();
+  }
+
+  listen(type) {
+    this.source.addEventListener(type, (event) => {
+      const data = JSON.parse(event.data);
+      this.handlers[type].forEach(handler => handler(data));
+    });
+  }
+
+  startPolling() {
+    if (this.poll && !this.pollTimer) {
+      this.pollTimer = setInterval(this.poll, this.interval);
+    }
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+window.LiveEvents = LiveEvents;
@@ -0,0 +1,538 @@
+/**
+ * Advanced Question Types
+ * matching, ordering, hotspot, drag-drop, code, essay and audio-video plugins
+ * for the question type registry. Scoring uses AdvancedQuestionTypes (server),
+ * rendering uses AdvancedQuestionsUI (pages).
+ *
+ * AdvancedQuestionsUI stores answers in window.answers[index], so pages that
+ * render these types must define `window.answers = []`.
+ */
+
+(function (root) {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const QuestionTypes = isNode ? require('./registry') : root.QuestionTypes;
+  const AdvancedQuestionTypes = isNode ? require('../../advanced-question-types') : root.AdvancedQuestionTypes;
+  // Code submissions are only ever run on the server
+  const CodeRunner = isNode ? require('../../code-runner') : null;
+
+  // Normalize an AdvancedQuestionTypes result to the plugin result shape
+  function normalize(result) {
+    return {
+      isCorrect: result.isCorrect || false,
+      score: result.score || 0,
+      needsManualGrading: result.needsManualGrading || false,
+      feedback: result.feedback || null,
+      ...(result.codeRun ? { codeRun: result.codeRun } : {})
+    };
+  }
+
+  // Answer stored by AdvancedQuestionsUI, or null while nothing was entered
+  function storedAnswer(index) {
+    const answer = root.answers ? root.answers[index] : undefined;
+    if (answer === undefined || answer === null || answer === '') return null;
+    if (Array.isArray(answer) && answer.length === 0) return null;
+    if (typeof answer === 'object' && !Array.isArray(answer) && Object.keys(answer).length === 0) return null;
+    return answer;
+  }
+
+  function storeAnswer(index, answer) {
+    if (root.answers) {
+      root.answers[index] = answer;
+    }
+  }
+
+  function ui() {
+    return root.AdvancedQuestionsUI;
+  }
+
+  // ---- Authoring helpers ----
+
+  function lines(text) {
+    return String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  }
+
+  // "left = right" style lines
+  function splitPair(line, separator) {
+    const at = line.indexOf(separator);
+    if (at === -1) return [line.trim(), ''];
+    return [line.slice(0, at).trim(), line.slice(at + separator.length).trim()];
+  }
+
+  // Test case values are stored as JSON when they parse, else as plain strings
+  function parseValue(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  function textarea(className, label, icon, placeholder, rows = 5) {
+    return `
+      <div class="form-group">
+        <label><i class="fas fa-${icon}"></i> ${label}</label>
+        <textarea class="${className}" rows="${rows}" placeholder="${placeholder}"></textarea>
+      </div>
+    `;
+  }
+
+  function partialCreditToggle() {
+    return `
+      <label class="checkbox-label">
+        <input type="checkbox" class="partial-credit" />
+        <span>Award partial credit</span>
+      </label>
+    `;
+  }
+
+  function instructionsInput() {
+    return `
+      <div class="form-group">
+        <label><i class="fas fa-info-circle"></i> Instructions (Optional)</label>
+        <input type="text" class="q-instructions" placeholder="Shown above the answer area..." />
+      </div>
+    `;
+  }
+
+  function readInstructions(el) {
+    const instructions = el.querySelector('.q-instructions')?.value.trim();
+    return instructions ? { instructions } : {};
+  }
+
+  // "name | points | description" lines
+  function readRubric(el, className) {
+    return lines(el.querySelector(`.${className}`).value).map((line, i) => {
+      const [name, points, description] = line.split('|').map(part => (part || '').trim());
+      return { id: `c${i + 1}`, name, description: description || '', maxPoints: parseFloat(points) || 0 };
+    });
+  }
+
+  // Two independent markers, with a moderator when they disagree (needs a rubric)
+  function doubleMarkingToggle() {
+    return `
+      <label class="checkbox-label">
+        <input type="checkbox" class="double-marking" />
+        <span>Double marking (two markers, moderated when they disagree)</span>
+      </label>
+    `;
+  }
+
+  function readDoubleMarking(el) {
+    return el.querySelector('.double-marking')?.checked ? { doubleMarking: true } : {};
+  }
+
+  // ---- Plugins ----
+
+  QuestionTypes.register({
+    type: 'matching',
+    label: 'Matching',
+    icon: '🔗',
+    schema: {
+      fields: {
+        leftItems: '[{ id, content }]',
+        rightItems: '[{ id, content }]',
+        correctPairs: '{ leftId: rightId }',
+        partialCredit: 'Score per correct pair',
+        passingPercentage: 'Share of pairs needed to count as correct (partial credit)'
+      },
+      privateFields: ['correctPairs']
+    },
+    validate(q) {
+      const errors = [];
+      if (!q.leftItems || q.leftItems.length < 2) {
+        errors.push('Please enter at least two pairs');
+      } else if (q.leftItems.some(item => !q.correctPairs || !q.correctPairs[item.id])) {
+        errors.push('Every left item needs a match');
+      }
+      return errors;
+    },
+    score: (q, answer) => normalize(AdvancedQuestionTypes.scoreMatchingQuestion(q, answer)),
+    render: (q, container, index) => ui().renderMatchingQuestion(q, container, index),
+    getAnswer: (container, index) => storedAnswer(index),
+    setAnswer(container, index, answer) {
+      container.querySelectorAll('.matching-select').forEach(select => {
+        select.value = (answer && answer[select.dataset.leftId]) || '';
+      });
+      storeAnswer(index, answer);
+    },
+    authoringForm: () => textarea('matching-pairs', 'Pairs (one per line: left = right)', 'link',
+      'Python = Guido van Rossum&#10;JavaScript = Brendan Eich') + partialCreditToggle(),
+    readAuthoringForm(el) {
+      const pairs = lines(el.querySelector('.matching-pairs').value).map(l => splitPair(l, '='));
+      const correctPairs = {};
+      pairs.forEach(([, right], i) => {
+        if (right) correctPairs[`l${i + 1}`] = `r${i + 1}`;
+      });
+      return {
+        leftItems: pairs.map(([left], i) => ({ id: `l${i + 1}`, content: left })),
+        rightItems: pairs.map(([, right], i) => ({ id: `r${i + 1}`, content: right })).filter(item => item.content),
+        correctPairs,
+        partialCredit: el.querySelector('.partial-credit').checked
+      };
+    }
+  });
+
+  QuestionTypes.register({
+    type: 'ordering',
+    label: 'Ordering',
+    icon: '🔢',
+    schema: {
+      fields: {
+        items: '[{ id, content }]',
+        correctOrder: '[itemId, ...]',
+        shuffleItems: 'Shuffle before showing',
+        partialCredit: 'Score per item in the right position'
+      },
+      privateFields: ['correctOrder']
+    },
+    validate(q) {
+      if (!q.items || q.items.length < 2) return ['Please enter at least two items'];
+      if (!q.correctOrder || q.correctOrder.length !== q.items.length) return ['Correct order must list every item'];
+      return [];
+    },
+    score: (q, answer) => normalize(AdvancedQuestionTypes.scoreOrderingQuestion(q, answer)),
+    render: (q, container, index) => ui().renderOrderingQuestion(q, container, index),
+    getAnswer: (container, index) => storedAnswer(index),
+    authoringForm: () => textarea('ordering-items', 'Items in the correct order (one per line)', 'sort-numeric-down',
+      'Planning&#10;Design&#10;Implementation') + partialCreditToggle(),
+    readAuthoringForm(el) {
+      const items = lines(el.querySelector('.ordering-items').value).map((content, i) => ({ id: `i${i + 1}`, content }));
+      return {
+        items,
+        correctOrder: items.map(item => item.id),
+        shuffleItems: true,
+        partialCredit: el.querySelector('.partial-credit').checked
+      };
+    }
+  });
+
+  QuestionTypes.register({
+    type: 'hotspot',
+    label: 'Hotspot',
+    icon: '🎯',
+    schema: {
+      fields: {
+        imageUrl: 'Image to click on',
+        hotspots: '[{ id, shape: rectangle|circle|polygon, ... }]',
+        requiredHotspots: 'How many regions must be found',
+        maxClicks: 'Click limit'
+      },
+      privateFields: ['hotspots']
+    },
+    validate(q) {
+      const errors = [];
+      if (!q.imageUrl) errors.push('Please upload the image');
+      if (!q.hotspots || q.hotspots.length === 0) errors.push('Please define at least one hotspot');
+      return errors;
+    },
+    score: (q, answer) => normalize(AdvancedQuestionTypes.scoreHotspotQuestion(q, answer)),
+    render: (q, container, index) => ui().renderHotspotQuestion(q, container, index),
+    getAnswer: (container, index) => storedAnswer(index),
+    authoringForm: () => `
+      <div class="option-container" style="background: rgba(102, 126, 234, 0.1); border-color: rgba(102, 126, 234, 0.3);">
+        <div class="file-input-wrapper">
+          <label class="file-input-custom">
+            <i class="fas fa-cloud-upload-alt"></i>
+            <span>Upload Image</span>
+          </label>
+          <input type="file" class="q-image" accept="image/*" onchange="previewImage(this)" />
+        </div>
+        <div class="image-preview"></div>
+      </div>
+    ` + instructionsInput() + textarea('hotspot-regions',
+      'Correct regions in image pixels (one per line: x, y, width, height for a rectangle or x, y, radius for a circle)',
+      'crosshairs', '50, 20, 700, 80', 3) + `
+      <div class="form-group">
+        <label><i class="fas fa-mouse-pointer"></i> Maximum Clicks</label>
+        <input type="number" class="max-clicks" min="1" value="3" />
+      </div>
+    `,
+    readAuthoringForm(el) {
+      const hotspots = lines(el.querySelector('.hotspot-regions').value).map((line, i) => {
+        const [x, y, a, b] = line.split(',').map(n => parseFloat(n));
+        return b === undefined || isNaN(b)
+          ? { id: `h${i + 1}`, shape: 'circle', x, y, radius: a }
+          : { id: `h${i + 1}`, shape: 'rectangle', x, y, width: a, height: b };
+      });
+      return {
+        imageUrl: el.querySelector('.q-image')?.dataset.imageData || '',
+        ...readInstructions(el),
+        hotspots,
+        requiredHotspots: hotspots.length,
+        maxClicks: parseInt(el.querySelector('.max-clicks').value) || hotspots.length
+      };
+    }
+  });
+
+  QuestionTypes.register({
+    type: 'drag-drop',
+    label: 'Drag and Drop',
+    icon: '🧲',
+    schema: {
+      fields: {
+        items: '[{ id, content }]',
+        dropZones: '[{ id, label }]',
+        correctPlacements: '{ zoneId: [itemId, ...] }',
+        partialCredit: 'Score per correctly placed item'
+      },
+      privateFields: ['correctPlacements']
+    },
+    validate(q) {
+      const errors = [];
+      if (!q.dropZones || q.dropZones.length < 2) errors.push('Please enter at least two categories');
+      if (!q.items || q.items.length === 0) {
+        errors.push('Please enter at least one item');
+      } else {
+        const placed = Object.values(q.correctPlacements || {}).flat();
+        if (q.items.some(item => !placed.includes(item.id))) {
+          errors.push('Every item must belong to one of the categories');
+        }
+      }
+      return errors;
+    },
+    score: (q, answer) => normalize(AdvancedQuestionTypes.scoreDragDropQuestion(q, answer)),
+    render: (q, container, index) => ui().renderDragDropQuestion(q, container, index),
+    getAnswer: (container, index) => storedAnswer(index),
+    authoringForm: () =>
+      textarea('dragdrop-zones', 'Categories (one per line)', 'th-large', 'O(1)&#10;O(log n)&#10;O(n)', 3) +
+      textarea('dragdrop-items', 'Items (one per line: item = category)', 'grip-vertical',
+        'Hash Table = O(1)&#10;Binary Search Tree = O(log n)') +
+      partialCreditToggle(),
+    readAuthoringForm(el) {
+      const dropZones = lines(el.querySelector('.dragdrop-zones').value).map((label, i) => ({ id: `z${i + 1}`, label }));
+      const correctPlacements = Object.fromEntries(dropZones.map(zone => [zone.id, []]));
+      const items = lines(el.querySelector('.dragdrop-items').value).map((line, i) => {
+        const [content, zoneLabel] = splitPair(line, '=');
+        const zone = dropZones.find(z => z.label.toLowerCase() === zoneLabel.toLowerCase());
+        if (zone) correctPlacements[zone.id].push(`d${i + 1}`);
+        return { id: `d${i + 1}`, content };
+      });
+      return {
+        items,
+        dropZones,
+        correctPlacements,
+        partialCredit: el.querySelector('.partial-credit').checked
+      };
+    }
+  });
+
+  QuestionTypes.register({
+    type: 'code',
+    label: 'Code',
+    icon: '💻',
+    schema: {
+      fields: {
+        language: 'Programming language',
+        template: 'Starter code',
+        testCases: '[{ input, expectedOutput, description }]',
+        functionName: 'Function the test cases call (default: the first one in the template)',
+        rubric: '[{ id, name, description, maxPoints }] (for double marking)',
+        doubleMarking: 'Marked by two graders'
+      },
+      privateFields: ['testCases', 'rubric']
+    },
+    validate(q) {
+      const errors = q.language ? [] : ['Please choose a language'];
+      if (q.doubleMarking && !(q.rubric && q.rubric.length > 0)) {
+        errors.push('Double marking needs a rubric');
+      }
+      return errors;
+    },
+    // The code runs once; a regrade reuses the run unless the test cases changed
+    async prepare(q, answer, previous) {
+      if (!CodeRunner) return {};
+      if (previous && CodeRunner.isCurrent(q, previous.codeRun)) return { codeRun: previous.codeRun };
+      return { codeRun: await CodeRunner.run(q, answer) };
+    },
+    score: (q, answer, context = {}) => normalize(AdvancedQuestionTypes.scoreCodeQuestion(q, answer, context.codeRun || null)),
+    render: (q, container, index) => ui().renderCodeQuestion(q, container, index),
+    getAnswer(container, index) {
+      const editor = container.querySelector('.code-editor');
+      return editor && editor.value.trim() ? editor.value : null;
+    },
+    setAnswer(container, index, answer) {
+      const editor = container.querySelector('.code-editor');
+      if (editor && document.activeElement !== editor) editor.value = answer || '';
+      storeAnswer(index, answer);
+    },
+    authoringForm: () => `
+      <div class="form-group">
+        <label><i class="fas fa-code"></i> Language</label>
+        <select class="code-language">
+          <option value="javascript">JavaScript</option>
+          <option value="python">Python</option>
+          <option value="java">Java</option>
+          <option value="cpp">C++</option>
+        </select>
+      </div>
+    ` + instructionsInput() +
+      textarea('code-template', 'Starter Code (Optional)', 'file-code', 'function solve(input) {&#10;  // Your code here&#10;}') + `
+      <div class="form-group">
+        <label><i class="fas fa-play"></i> Function to Test (Optional)</label>
+        <input type="text" class="code-function" placeholder="Defaults to the first function in the starter code" />
+      </div>
+    ` +
+      textarea('code-tests', 'Test Cases (one per line: input => expected output)', 'vial', '"racecar" => true&#10;"hello" => false', 4) +
+      textarea('code-rubric', 'Marking Rubric (Optional; one criterion per line: name | points | description)', 'list-check',
+        'Correctness | 5 | Handles every case&#10;Style | 3 | Readable and idiomatic', 4) +
+      doubleMarkingToggle(),
+    readAuthoringForm(el) {
+      const rubric = readRubric(el, 'code-rubric');
+      return {
+        language: el.querySelector('.code-language').value,
+        ...readInstructions(el),
+        template: el.querySelector('.code-template').value,
+        ...(el.querySelector('.code-function').value.trim() ? { functionName: el.querySelector('.code-function').value.trim() } : {}),
+        testCases: lines(el.querySelector('.code-tests').value).map(line => {
+          const [input, expected] = splitPair(line, '=>');
+          return { input: parseValue(input), expectedOutput: parseValue(expected) };
+        }),
+        ...(rubric.length > 0 ? { rubric } : {}),
+        ...readDoubleMarking(el)
+      };
+    }
+  });
+
+  QuestionTypes.register({
+    type: 'essay',
+    label: 'Essay',
+    icon: '📰',
+    schema: {
+      fields: {
+        minWords: 'Minimum word count',
+        maxWords: 'Maximum word count',
+        rubric: '[{ id, name, description, maxPoints }]',
+        passingPercentage: 'Rubric share needed to count as correct',
+        doubleMarking: 'Marked by two graders'
+      },
+      privateFields: ['rubric']
+    },
+    validate(q) {
+      const errors = [];
+      if (q.minWords && q.maxWords && q.minWords > q.maxWords) {
+        errors.push('Minimum words cannot exceed maximum words');
+      }
+      if (q.doubleMarking && !(q.rubric && q.rubric.length > 0)) {
+        errors.push('Double marking needs a rubric');
+      }
+      return errors;
+    },
+    score: (q, answer, context = {}) => normalize(AdvancedQuestionTypes.scoreEssayQuestion(q, answer, context.rubricScores)),
+    render: (q, container, index) => ui().renderEssayQuestion(q, container, index),
+    getAnswer(container, index) {
+      const editor = container.querySelector('.essay-editor');
+      return editor && editor.value.trim() ? editor.value : null;
+    },
+    setAnswer(container, index, answer) {
+      const editor = container.querySelector('.essay-editor');
+      if (editor && document.activeElement !== editor) editor.value = answer || '';
+      storeAnswer(index, answer);
+    },
+    authoringForm: () => instructionsInput() + `
+      <div class="form-group">
+        <label><i class="fas fa-align-left"></i> Word Limits (Optional)</label>
+        <input type="number" class="min-words" min="0" placeholder="Minimum" />
+        <input type="number" class="max-words" min="0" placeholder="Maximum" />
+      </div>
+    ` + textarea('essay-rubric', 'Rubric (one criterion per line: name | points | description)', 'list-check',
+      'Accuracy | 5 | Information is factually correct', 4) +
+      doubleMarkingToggle(),
+    readAuthoringForm(el) {
+      return {
+        ...readInstructions(el),
+        minWords: parseInt(el.querySelector('.min-words').value) || 0,
+        maxWords: parseInt(el.querySelector('.max-words').value) || null,
+        rubric: readRubric(el, 'essay-rubric'),
+        ...readDoubleMarking(el)
+      };
+    }
+  });
+
+  QuestionTypes.register({
+    type: 'audio-video',
+    label: 'Audio/Video',
+    icon: '🎬',
+    schema: {
+      fields: {
+        mediaType: 'audio or video',
+        mediaUrl: 'Media file URL',
+        responseType: 'multiple-choice, short-answer or timestamp',
+        options: '[{ value, text }] (multiple-choice)',
+        correct: 'Correct option value (multiple-choice)',
+        correctTimestamp: 'Seconds (timestamp)',
+        timestampTolerance: 'Allowed difference in seconds (timestamp)'
+      },
+      privateFields: ['correct', 'correctTimestamp', 'timestampTolerance']
+    },
+    validate(q) {
+      const errors = [];
+      if (!q.mediaUrl) errors.push('Please enter the media URL');
+      if (q.responseType === 'multiple-choice' && (!q.options || q.options.length < 2 || !q.correct)) {
+        errors.push('Please enter at least two options and mark the correct one with *');
+      }
+      if (q.responseType === 'timestamp' && typeof q.correctTimestamp !== 'number') {
+        errors.push('Please enter the correct timestamp');
+      }
+      return errors;
+    },
+    score: (q, answer) => normalize(AdvancedQuestionTypes.scoreMediaQuestion(q, answer)),
+    render: (q, container, index) => ui().renderMediaQuestion(q, container, index),
+    getAnswer: (container, index) => storedAnswer(index),
+    setAnswer(container, index, answer) {
+      container.querySelectorAll(`input[name="media-q-${index}"]`).forEach(radio => {
+        radio.checked = radio.value === String(answer);
+      });
+      const text = container.querySelector('.media-text-answer, .timestamp-input');
+      if (text && document.activeElement !== text) text.value = answer === null || answer === undefined ? '' : answer;
+      storeAnswer(index, answer);
+    },
+    authoringForm: () => `
+      <div class="form-group">
+        <label><i class="fas fa-photo-video"></i> Media</label>
+        <select class="media-type">
+          <option value="audio">Audio</option>
+          <option value="video">Video</option>
+        </select>
+        <input type="text" class="media-url" placeholder="/media/clip.mp3" />
+      </div>
+      <div class="form-group">
+        <label><i class="fas fa-reply"></i> Response Type</label>
+        <select class="response-type">
+          <option value="multiple-choice">Multiple Choice</option>
+          <option value="short-answer">Short Answer (manually graded)</option>
+          <option value="timestamp">Timestamp</option>
+        </select>
+      </div>
+    ` + instructionsInput() +
+      textarea('media-options', 'Options for multiple choice (one per line, prefix the correct one with *)', 'list',
+        '*Accept&#10;Except&#10;Expect', 3) + `
+      <div class="form-group">
+        <label><i class="fas fa-clock"></i> Correct Timestamp and Tolerance in seconds (timestamp only)</label>
+        <input type="number" class="correct-timestamp" min="0" step="0.1" placeholder="45.5" />
+        <input type="number" class="timestamp-tolerance" min="0" step="0.1" value="2" />
+      </div>
+    `,
+    readAuthoringForm(el) {
+      const responseType = el.querySelector('.response-type').value;
+      const question = {
+        mediaType: el.querySelector('.media-type').value,
+        mediaUrl: el.querySelector('.media-url').value.trim(),
+        responseType,
+        ...readInstructions(el)
+      };
+
+      if (responseType === 'multiple-choice') {
+        const optionLines = lines(el.querySelector('.media-options').value);
+        question.options = optionLines.map((line, i) => ({ value: `o${i + 1}`, text: line.replace(/^\*/, '').trim() }));
+        const correctIndex = optionLines.findIndex(line => line.startsWith('*'));
+        question.correct = correctIndex === -1 ? '' : `o${correctIndex + 1}`;
+      } else if (responseType === 'timestamp') {
+        const timestamp = parseFloat(el.querySelector('.correct-timestamp').value);
+        question.correctTimestamp = isNaN(timestamp) ? null : timestamp;
+        question.timestampTolerance = parseFloat(el.querySelector('.timestamp-tolerance').value) || 0;
+      }
+
+      return question;
+    }
+  });
+})(this);
@@ -0,0 +1,470 @@
+/**
+ * Basic Question Types
+ * multiple-choice, true-false, image-based, multiple-answer, fill-blank and
+ * short-answer plugins for the question type registry.
+ */
+
+(function (root) {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const QuestionTypes = isNode ? require('./registry') : root.QuestionTypes;
+  // Fill-blank answers are only ever matched on the server
+  const FillBlankMatcher = isNode ? require('../../fill-blank-matcher') : null;
+
+  const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+
+  function result(isCorrect, q, wrongFeedback = 'Incorrect answer') {
+    return {
+      isCorrect,
+      score: isCorrect ? (q.points || 1) : 0,
+      needsManualGrading: false,
+      feedback: isCorrect ? 'Correct!' : wrongFeedback
+    };
+  }
+
+  // Why a fill-blank pattern can't be used, or null. Patterns must compile,
+  // and may not repeat a group that itself repeats, like (a+)+, which
+  // usually means a pattern that runs out of time on answers it almost
+  // matches. That's only the common case: matching itself is time-limited
+  // (see fill-blank-matcher.js).
+  function findPatternProblem(source) {
+    try {
+      new RegExp(source, 'u');
+    } catch (error) {
+      return error.message;
+    }
+    return hasNestedRepeat(source) ? 'a repeated group may not contain a repeat itself, like (a+)+' : null;
+  }
+
+  function hasNestedRepeat(source) {
+    const groups = [false]; // Per open group: whether it contains a repeat
+    let repeatingGroup = false; // The last thing read was a group containing a repeat
+
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      let repeat = ch === '*' || ch === '+';
+      if (ch === '{') {
+        const bound = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+        if (bound) {
+          repeat = bound[2] === undefined ? Number(bound[1]) > 1 : (bound[3] === '' || Number(bound[3]) > 1);
+          i += bound[0].length - 1;
+        }
+      }
+
+      if (repeat) {
+        if (repeatingGroup) return true;
+        groups[groups.length - 1] = true;
+      } else if (ch === '\\') {
+        i++;
+      } else if (ch === '[') {
+        for (i++; i < source.length && source[i] !== ']'; i++) {
+          if (source[i] === '\\') i++;
+        }
+      } else if (ch === '(') {
+        groups.push(false);
+      } else if (ch === ')' && groups.length > 1) {
+        const inner = groups.pop();
+        groups[groups.length - 1] = groups[groups.length - 1] || inner;
+        repeatingGroup = inner;
+        continue;
+      }
+      repeatingGroup = false;
+    }
+    return false;
+  }
+
+  // ---- Student rendering helpers ----
+
+  // Options are shown in the order the server sent them (it shuffles them
+  // per student when the quiz asks for it)
+  function renderOptions(q, index, inputType) {
+    const keys = q.options ? Object.keys(q.options) : [];
+
+    return `
+      <div class="options-container">
+        ${keys.map(k => {
+          let optionHTML = `<label class="option-label">
+            <input type="${inputType}" name="q${index}" value="${k}" class="${inputType === 'radio' ? 'radio-custom' : 'checkbox-custom'}">
+            <span>${k}) ${q.options[k]}</span>`;
+
+          if (q.optionImages && q.optionImages[k]) {
+            optionHTML += `<br><img src="${q.optionImages[k]}" style="max-width: 150px; max-height: 150px; margin-top: 0.5rem; border-radius: 4px; border: 1px solid var(--gray);" />`;
+          }
+
+          optionHTML += `</label>`;
+          return optionHTML;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  function getChecked(container, index) {
+    const selected = container.querySelector(`input[name="q${index}"]:checked`);
+    return selected ? selected.value : null;
+  }
+
+  function setChecked(container, index, answer) {
+    container.querySelectorAll(`input[name="q${index}"]`).forEach(input => {
+      input.checked = Array.isArray(answer) ? answer.includes(input.value) : input.value === String(answer);
+    });
+  }
+
+  function getText(container, index) {
+    const input = container.querySelector(`[name="q${index}"]`);
+    const answer = input ? input.value.trim() : '';
+    return answer === '' ? null : answer;
+  }
+
+  function setText(container, index, answer) {
+    const input = container.querySelector(`[name="q${index}"]`);
+    if (input && document.activeElement !== input) {
+      input.value = answer || '';
+    }
+  }
+
+  // ---- Authoring helpers (the quiz editor provides previewImage/previewOptionImage) ----
+
+  function optionInputs(withImages) {
+    return OPTION_KEYS.map(opt => `
+      <div class="option-container">
+        <div class="option-label-badge">${opt}</div>
+        <div class="option-input-wrapper">
+          <input type="text" class="opt opt-${opt.toLowerCase()}" placeholder="Enter option ${opt} text..." />
+        </div>
+        ${withImages ? `
+          <div class="image-upload-section">
+            <div class="image-upload-label">
+              <i class="fas fa-image"></i>
+              <span>Add image (optional)</span>
+            </div>
+            <div class="file-input-wrapper">
+              <label class="file-input-custom">
+                <i class="fas fa-cloud-upload-alt"></i>
+                <span>Choose Image</span>
+              </label>
+              <input type="file" class="opt-img opt-img-${opt.toLowerCase()}" accept="image/*" onchange="previewOptionImage(this, '${opt.toLowerCase()}')" />
+            </div>
+            <div class="img-preview-${opt.toLowerCase()}"></div>
+          </div>
+        ` : ''}
+      </div>
+    `).join('');
+  }
+
+  function correctOptionSelect() {
+    return `
+      <div class="correct-answer-section">
+        <label><i class="fas fa-check-circle"></i> Correct Answer</label>
+        <select class="correct">
+          ${OPTION_KEYS.map(opt => `<option value="${opt}">Option ${opt}</option>`).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  function readOptions(el) {
+    const options = {};
+    OPTION_KEYS.forEach(opt => {
+      options[opt] = el.querySelector(`.opt-${opt.toLowerCase()}`).value.trim();
+    });
+    return options;
+  }
+
+  function readOptionImages(el) {
+    const images = {};
+    OPTION_KEYS.forEach(opt => {
+      images[opt] = el.querySelector(`.opt-img-${opt.toLowerCase()}`)?.dataset.imageData || '';
+    });
+    return images;
+  }
+
+  function validateOptions(q) {
+    const values = q.options ? Object.values(q.options) : [];
+    return values.length === 0 || values.some(v => !v) ? ['Please fill in all options'] : [];
+  }
+
+  // ---- Plugins ----
+
+  QuestionTypes.register({
+    type: 'multiple-choice',
+    label: 'Multiple Choice',
+    icon: '📝',
+    schema: {
+      fields: { options: 'Option text by key', optionImages: 'Optional image per option', correct: 'Key of the correct option' },
+      privateFields: ['correct']
+    },
+    validate: validateOptions,
+    score: (q, answer) => result(Boolean(answer) && answer === q.correct, q),
+    render(q, container, index) {
+      container.innerHTML = renderOptions(q, index, 'radio');
+    },
+    getAnswer: getChecked,
+    setAnswer: setChecked,
+    authoringForm: () => optionInputs(true) + correctOptionSelect(),
+    readAuthoringForm: (el) => ({
+      options: readOptions(el),
+      optionImages: readOptionImages(el),
+      correct: el.querySelector('.correct').value
+    })
+  });
+
+  QuestionTypes.register({
+    type: 'true-false',
+    label: 'True/False',
+    icon: '✓✗',
+    schema: {
+      fields: { correct: '"true" or "false"' },
+      privateFields: ['correct']
+    },
+    score: (q, answer) => result(Boolean(answer) && answer === q.correct, q),
+    render(q, container, index) {
+      container.innerHTML = `
+        <div class="options-container">
+          <label class="option-label">
+            <input type="radio" name="q${index}" value="true" class="radio-custom">
+            <span>True</span>
+          </label>
+          <label class="option-label">
+            <input type="radio" name="q${index}" value="false" class="radio-custom">
+            <span>False</span>
+          </label>
+        </div>
+      `;
+    },
+    getAnswer: getChecked,
+    setAnswer: setChecked,
+    authoringForm: () => `
+      <div class="correct-answer-section">
+        <label><i class="fas fa-check-circle"></i> Correct Answer</label>
+        <select class="correct">
+          <option value="true">✓ True</option>
+          <option value="false">✗ False</option>
+        </select>
+      </div>
+    `,
+    readAuthoringForm: (el) => ({
+      options: { true: 'True', false: 'False' },
+      correct: el.querySelector('.correct').value
+    })
+  });
+
+  QuestionTypes.register({
+    type: 'image-based',
+    label: 'Image-Based',
+    icon: '🖼',
+    schema: {
+      fields: { image: 'Question image (data URL)', options: 'Option text by key', correct: 'Key of the correct option' },
+      privateFields: ['correct']
+    },
+    validate: validateOptions,
+    score: (q, answer) => result(Boolean(answer) && answer === q.correct, q),
+    render(q, container, index) {
+      container.innerHTML = (q.image ? `
+        <div style="margin: 1rem 0; text-align: center;">
+          <img src="${q.image}" style="max-width: 100%; max-height: 300px; border-radius: 8px; border: 1px solid var(--gray);" />
+        </div>
+      ` : '') + renderOptions(q, index, 'radio');
+    },
+    getAnswer: getChecked,
+    setAnswer: setChecked,
+    authoringForm: () => `
+      <div class="option-container" style="background: rgba(102, 126, 234, 0.1); border-color: rgba(102, 126, 234, 0.3);">
+        <label style="color: #667eea; font-weight: 700; display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem;">
+          <i class="fas fa-image"></i>
+          Question Image
+        </label>
+        <div class="file-input-wrapper">
+          <label class="file-input-custom">
+            <i class="fas fa-cloud-upload-alt"></i>
+            <span>Upload Question Image</span>
+          </label>
+          <input type="file" class="q-image" accept="image/*" onchange="previewImage(this)" />
+        </div>
+        <div class="image-preview"></div>
+      </div>
+    ` + optionInputs(false) + correctOptionSelect(),
+    readAuthoringForm: (el) => ({
+      image: el.querySelector('.q-image')?.dataset.imageData || '',
+      options: readOptions(el),
+      correct: el.querySelector('.correct').value
+    })
+  });
+
+  QuestionTypes.register({
+    type: 'multiple-answer',
+    label: 'Multiple Answer',
+    icon: '☑',
+    schema: {
+      fields: { options: 'Option text by key', optionImages: 'Optional image per option', correct: 'Keys of all correct options' },
+      privateFields: ['correct']
+    },
+    validate(q) {
+      const errors = validateOptions(q);
+      if (!Array.isArray(q.correct) || q.correct.length === 0) {
+        errors.push('Please select at least one correct answer');
+      }
+      return errors;
+    },
+    score(q, answer) {
+      let isCorrect = false;
+      if (Array.isArray(answer) && Array.isArray(q.correct)) {
+        const sortedAnswer = [...answer].sort();
+        const sortedCorrect = [...q.correct].sort();
+        isCorrect = sortedAnswer.length === sortedCorrect.length &&
+          sortedAnswer.every((val, idx) => val === sortedCorrect[idx]);
+      }
+      return result(isCorrect, q, 'Incorrect selection');
+    },
+    render(q, container, index) {
+      container.innerHTML = renderOptions(q, index, 'checkbox');
+    },
+    getAnswer(container, index) {
+      const checked = [...container.querySelectorAll(`input[name="q${index}"]:checked`)].map(cb => cb.value);
+      return checked.length > 0 ? checked : null;
+    },
+    setAnswer: setChecked,
+    authoringForm: () => optionInputs(true) + `
+      <div class="correct-answer-section">
+        <label><i class="fas fa-check-double"></i> Correct Answers (Select all that apply)</label>
+        <div class="checkbox-group">
+          ${OPTION_KEYS.map(opt => `
+            <label class="checkbox-label">
+              <input type="checkbox" class="correct-check" value="${opt}" />
+              <span><strong>Option ${opt}</strong></span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+    `,
+    readAuthoringForm: (el) => ({
+      options: readOptions(el),
+      optionImages: readOptionImages(el),
+      correct: [...el.querySelectorAll('.correct-check:checked')].map(cb => cb.value)
+    })
+  });
+
+  QuestionTypes.register({
+    type: 'fill-blank',
+    label: 'Fill in the Blank',
+    icon: '📄',
+    schema: {
+      fields: {
+        correct: 'Accepted answer, or an array of accepted answers',
+        patterns: 'Regular expressions that also accept an answer (matching the whole answer)',
+        matching: '{ caseSensitive, accentSensitive, trimPunctuation, collapseSpaces, maxEdits } (see fill-blank-matcher.js)'
+      },
+      privateFields: ['correct', 'patterns', 'matching']
+    },
+    validate(q) {
+      const errors = [];
+      const accepted = [].concat(q.correct ?? []).filter(answer => typeof answer === 'string' && answer.trim() !== '');
+      if (accepted.length === 0 && !(q.patterns && q.patterns.length > 0)) {
+        errors.push('Please enter the correct answer');
+      }
+      (q.patterns || []).forEach(source => {
+        const problem = findPatternProblem(source);
+        if (problem) {
+          errors.push(`Invalid pattern ${source}: ${problem}`);
+        }
+      });
+      return errors;
+    },
+    score(q, answer) {
+      // Patterns saved before they were checked are skipped if they fail it
+      const patterns = (q.patterns || []).filter(source => !findPatternProblem(source));
+      const match = FillBlankMatcher.match({ ...q, patterns }, answer);
+      return { ...result(match.isCorrect, q), matchedRule: match.rule };
+    },
+    render(q, container, index) {
+      container.innerHTML = `
+        <div style="margin-top: 0.8rem;">
+          <input type="text" name="q${index}" class="fill-blank-input"
+            placeholder="Type your answer here"
+            style="width: 100%; padding: 0.8rem; border: 2px solid var(--gray);
+            border-radius: 8px; font-family: inherit; font-size: 1rem;">
+        </div>
+      `;
+    },
+    getAnswer: getText,
+    setAnswer: setText,
+    authoringForm: () => `
+      <div class="correct-answer-section">
+        <label><i class="fas fa-pencil-alt"></i> Accepted Answers (one per line)</label>
+        <textarea class="correct" rows="2" placeholder="Enter the correct answer..."></textarea>
+      </div>
+      <div class="form-group">
+        <label><i class="fas fa-asterisk"></i> Patterns (Optional; one regular expression per line)</label>
+        <textarea class="patterns" rows="2" placeholder="colou?r"></textarea>
+      </div>
+      <div class="form-group">
+        <label class="checkbox-label"><input type="checkbox" class="case-sensitive" /> <span>Case sensitive</span></label>
+        <label class="checkbox-label"><input type="checkbox" class="accent-insensitive" /> <span>Ignore accents (café = cafe)</span></label>
+        <label class="checkbox-label"><input type="checkbox" class="trim-punctuation" /> <span>Ignore punctuation around the answer</span></label>
+        <label class="checkbox-label"><input type="checkbox" class="collapse-spaces" /> <span>Count several spaces in a row as one</span></label>
+        <label><i class="fas fa-spell-check"></i> Typos allowed (letters)</label>
+        <input type="number" class="max-edits" min="0" max="5" value="0" />
+      </div>
+    `,
+    readAuthoringForm(el) {
+      const lines = selector => el.querySelector(selector).value.split('\n').map(line => line.trim()).filter(Boolean);
+      const accepted = lines('.correct');
+      const patterns = lines('.patterns');
+      const matching = {
+        caseSensitive: el.querySelector('.case-sensitive').checked,
+        accentSensitive: !el.querySelector('.accent-insensitive').checked,
+        trimPunctuation: el.querySelector('.trim-punctuation').checked,
+        collapseSpaces: el.querySelector('.collapse-spaces').checked,
+        maxEdits: Math.max(0, parseInt(el.querySelector('.max-edits').value) || 0)
+      };
+
+      return {
+        correct: accepted.length === 1 ? accepted[0] : accepted,
+        ...(patterns.length > 0 ? { patterns } : {}),
+        matching
+      };
+    }
+  });
+
+  QuestionTypes.register({
+    type: 'short-answer',
+    label: 'Short Answer',
+    icon: '✍',
+    schema: {
+      fields: { sampleAnswer: 'Reference answer for graders', requiresManualGrading: 'Always true' },
+      privateFields: ['sampleAnswer']
+    },
+    score: () => ({
+      isCorrect: false,
+      score: 0,
+      needsManualGrading: true,
+      feedback: 'Awaiting manual grading'
+    }),
+    render(q, container, index) {
+      container.innerHTML = `
+        <div style="margin-top: 0.8rem;">
+          <textarea name="q${index}" class="short-answer-input" rows="4"
+            placeholder="Type your answer here (will be manually graded)"
+            style="width: 100%; padding: 0.8rem; border: 2px solid var(--gray);
+            border-radius: 8px; font-family: inherit; font-size: 1rem; resize: vertical;"></textarea>
+        </div>
+      `;
+    },
+    getAnswer: getText,
+    setAnswer: setText,
+    authoringForm: () => `
+      <div class="option-container" style="background: rgba(255, 152, 0, 0.1); border-color: rgba(255, 152, 0, 0.3);">
+        <label style="color: #ff9800; font-weight: 700; display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem;">
+          <i class="fas fa-pen-fancy"></i>
+          Sample Answer (for reference)
+        </label>
+        <textarea class="sample-answer" rows="4" placeholder="Enter a sample answer that demonstrates what you're looking for..." style="border: 2px solid rgba(255, 152, 0, 0.3);"></textarea>
+        <div class="info-box" style="margin-top: 1rem; background: rgba(255, 152, 0, 0.15); border-left-color: #ff9800;">
+          <i class="fas fa-info-circle"></i> <strong>Note:</strong> Short answer questions require manual grading.
+        </div>
+      </div>
+    `,
+    readAuthoringForm: (el) => ({
+      sampleAnswer: el.querySelector('.sample-answer').value.trim(),
+      requiresManualGrading: true
+    })
+  });
+})(this);
@@ -0,0 +1,10 @@
+/**
+ * Server-side entry point for the question type registry: loads every
+ * built-in plugin and returns the registry.
+ */
+
+const QuestionTypes = require('./registry');
+require('./basic-types');
+require('./advanced-types');
+
+module.exports = QuestionTypes;
@@ -0,0 +1,98 @@
+/**
+ * Question Type Registry
+ * The one place question types are defined. Each plugin describes a type end
+ * to end, and the quiz editor, the student runner and the grader discover the
+ * available types from here instead of keeping their own lists.
+ *
+ * Loaded by the server (require('./public/question-types')) and by the pages
+ * (<script src="question-types/registry.js"> followed by the plugin files).
+ *
+ * Plugin shape:
+ *   type                  - Name stored in question.type
+ *   label, icon           - Shown in the quiz editor
+ *   schema                - { fields: { name: description }, privateFields: [...] }
+ *                           privateFields hold the answer key and are never sent to students
+ *   validate(q)           - Array of error messages for an authored question
+ *   prepare(q, answer, previous) - Optional (server): slow work done once per
+ *                           answer before scoring, e.g. running code; resolves
+ *                           to the ctx passed to score. `previous` is the stored
+ *                           detailed result when regrading.
+ *   score(q, answer, ctx) - { isCorrect, score, needsManualGrading, feedback } (server)
+ *                           plus audit fields some types report (codeRun, matchedRule)
+ *   render(q, container, index, options) - Student input inside `container`
+ *   getAnswer(container, index)          - Current answer, or null if unanswered
+ *   setAnswer(container, index, answer)  - Optional: show an answer (team sync)
+ *   authoringForm()       - Editor HTML for the type-specific fields
+ *   readAuthoringForm(el) - Type-specific fields read back from that form
+ */
+
+(function (root) {
+  const plugins = new Map();
+
+  const QuestionTypes = {
+    /**
+     * Add (or replace) a question type
+     * @param {Object} plugin - See plugin shape above
+     */
+    register(plugin) {
+      if (!plugin || !plugin.type) {
+        throw new Error('Question type plugin needs a type');
+      }
+      plugins.set(plugin.type, {
+        label: plugin.type,
+        icon: '',
+        schema: { fields: {}, privateFields: [] },
+        validate: () => [],
+        ...plugin
+      });
+    },
+
+    /**
+     * Plugin for a question type (questions without a type are multiple choice)
+     * @returns {Object|null}
+     */
+    get(type) {
+      return plugins.get(type || 'multiple-choice') || null;
+    },
+
+    has(type) {
+      return plugins.has(type || 'multiple-choice');
+    },
+
+    list() {
+      return [...plugins.values()];
+    },
+
+    /**
+     * Every answer-key field declared by any plugin
+     */
+    privateFields() {
+      const fields = new Set();
+      for (const plugin of plugins.values()) {
+        (plugin.schema.privateFields || []).forEach(f => fields.add(f));
+      }
+      return [...fields];
+    },
+
+    /**
+     * Check an authored question against its type
+     * @returns {Array} Error messages (empty when valid)
+     */
+    validate(question) {
+      const plugin = this.get(question.type);
+      if (!plugin) return [`Unknown question type: ${question.type}`];
+
+      const errors = [];
+      if (!question.question || !String(question.question).trim()) {
+        errors.push('Please enter the question text');
+      }
+      return errors.concat(plugin.validate(question) || []);
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionTypes;
+  } else {
+    root.QuestionTypes = QuestionTypes;
+  }
+})(this);
@@ -0,0 +1,276 @@
+/**
+ * Question Bank
+ * Question pools and per-participant papers. A quiz can group interchangeable
+ * questions into pools (by topic or difficulty) and say how many questions
+ * each participant draws from every pool. The draw is made on the server at
+ * join time and kept with the participant, so everyone has their own paper.
+ *
+ * Quiz format:
+ *   questions[].id   - Stable question id (assigned when missing)
+ *   questions[].pool - Pool id; questions outside a pool are on every paper
+ *   pools            - [{ id, name, topic, difficulty, draw }] where `draw`
+ *                      is how many of the pool's questions each participant
+ *                      gets (all of them when omitted)
+ *
+ * A paper is the list of question ids a participant answers, in order.
+ * Answers, question windows and detailed results are indexed by position on
+ * the participant's own paper; each detailed result also names its questionId.
+ *
+ * Papers are laid out from a seed: the same seed and quiz always give the same
+ * draw, question order (settings.randomizeQuestions) and option order
+ * (settings.randomizeOptions). A layout is { seed, questionIds, optionOrder }
+ * where optionOrder maps a question id to its option keys in the order shown.
+ * Students see the shuffled options relabelled with the quiz's own keys in
+ * their usual order (the first option shown is always "A"), so their answers
+ * are mapped back to the canonical keys before they are saved or graded.
+ */
+
+const crypto = require('crypto');
+
+class QuestionBank {
+    /**
+     * Give every question a stable id
+     * @returns {Boolean} Whether any id was added
+     */
+    static ensureIds(quiz) {
+        const taken = new Set((quiz.questions || []).map(q => q.id).filter(Boolean));
+        let changed = false;
+
+        (quiz.questions || []).forEach(q => {
+            if (q.id) return;
+            let id;
+            do {
+                id = `q_${crypto.randomBytes(4).toString('hex')}`;
+            } while (taken.has(id));
+
+            q.id = id;
+            taken.add(id);
+            changed = true;
+        });
+
+        return changed;
+    }
+
+    /**
+     * Bring a quiz file saved before questions had ids up to date: give every
+     * question an id and point older detailed results at the question they
+     * were graded against (by position, which was all they recorded)
+     * @returns {Boolean} Whether anything changed (the caller saves the file)
+     */
+    static migrate(quiz) {
+        let changed = this.ensureIds(quiz);
+
+        (quiz.results || []).forEach(result => {
+            const questions = this.paperFor(quiz, result.questionIds).questions;
+            (result.detailedResults || []).forEach(detail => {
+                if (detail.questionId !== undefined) return;
+
+                const question = questions[detail.questionIndex];
+                detail.questionId = question ? question.id : null;
+                changed = true;
+            });
+        });
+
+        return changed;
+    }
+
+    static getPools(quiz) {
+        return Array.isArray(quiz.pools) ? quiz.pools : [];
+    }
+
+    static getPoolQuestions(quiz, poolId) {
+        return (quiz.questions || []).filter(q => q.pool === poolId);
+    }
+
+    /**
+     * Check the pool definitions against the questions
+     * @returns {Array} Error messages (empty when valid)
+     */
+    static validate(quiz) {
+        const errors = [];
+        const pools = this.getPools(quiz);
+        const poolIds = pools.map(p => p.id);
+
+        pools.forEach(pool => {
+            if (!pool.id) {
+                errors.push('Every question pool needs an id');
+                return;
+            }
+            if (poolIds.indexOf(pool.id) !== poolIds.lastIndexOf(pool.id)) {
+                errors.push(`Question pool "${pool.id}" is defined more than once`);
+            }
+
+            const available = this.getPoolQuestions(quiz, pool.id).length;
+            if (pool.draw !== undefined && pool.draw !== null) {
+                if (!Number.isInteger(pool.draw) || pool.draw < 1) {
+                    errors.push(`Question pool "${pool.id}" must draw at least one question`);
+                } else if (pool.draw > available) {
+                    errors.push(`Question pool "${pool.id}" draws ${pool.draw} question(s) but has ${available}`);
+                }
+            }
+        });
+
+        (quiz.questions || []).forEach((q, idx) => {
+            if (q.pool && !poolIds.includes(q.pool)) {
+                errors.push(`Question ${idx + 1} is in unknown pool "${q.pool}"`);
+            }
+        });
+
+        return [...new Set(errors)];
+    }
+
+    static createSeed() {
+        return crypto.randomBytes(4).toString('hex');
+    }
+
+    /**
+     * Deterministic random numbers in [0, 1) for a seed (mulberry32)
+     * @returns {Function}
+     */
+    static seededRandom(seed) {
+        let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static shuffle(array, random) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Lay out a paper from a seed: draw from the pools, then shuffle the
+     * questions and options when the quiz settings ask for it
+     * @param {Object} options - { seed (default: a new one), shuffle: false
+     *   keeps the quiz order, e.g. for papers answered together }
+     * @returns {Object} { seed, questionIds, optionOrder }
+     */
+    static createPaper(quiz, { seed = this.createSeed(), shuffle = true } = {}) {
+        const random = this.seededRandom(seed);
+        const settings = quiz.settings || {};
+        let questionIds = this.drawPaper(quiz, random);
+        const optionOrder = {};
+
+        if (shuffle && questionIds) {
+            if (settings.randomizeQuestions) {
+                questionIds = this.shuffle(questionIds, random);
+            }
+            if (settings.randomizeOptions) {
+                this.paperFor(quiz, questionIds).questions.forEach(q => {
+                    if (q.options && q.type !== 'true-false') {
+                        optionOrder[q.id] = this.shuffle(Object.keys(q.options), random);
+                    }
+                });
+            }
+        }
+
+        return { seed, questionIds, optionOrder };
+    }
+
+    /**
+     * Draw a participant's paper: every question outside a pool plus `draw`
+     * random questions from each pool, kept in the quiz's question order
+     * @param {Function} random - Returns a number in [0, 1)
+     * @returns {Array|null} Question ids, or null (the whole quiz) when the
+     *   questions have no ids yet
+     */
+    static drawPaper(quiz, random = Math.random) {
+        if ((quiz.questions || []).some(q => !q.id)) return null;
+
+        const chosen = new Set();
+
+        this.getPools(quiz).forEach(pool => {
+            const candidates = this.getPoolQuestions(quiz, pool.id);
+            const count = pool.draw === undefined || pool.draw === null ? candidates.length : pool.draw;
+
+            // Partial Fisher-Yates: the first `count` picks are a uniform sample
+            for (let i = 0; i < Math.min(count, candidates.length); i++) {
+                const j = i + Math.floor(random() * (candidates.length - i));
+                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+                chosen.add(candidates[i]);
+            }
+        });
+
+        return (quiz.questions || [])
+            .filter(q => !q.pool || chosen.has(q))
+            .map(q => q.id);
+    }
+
+    /**
+     * The quiz as one participant sees it: only the questions on their paper,
+     * in paper order. Quizzes without a stored paper (attempts started before
+     * papers existed) are returned whole. The copy shares `results` with the
+     * original, which is the one to save.
+     * @param {Array} questionIds - The participant's (or team's) paper
+     */
+    static paperFor(quiz, questionIds) {
+        if (!Array.isArray(questionIds)) return quiz;
+
+        const byId = new Map((quiz.questions || []).map(q => [q.id, q]));
+        return {
+            ...quiz,
+            questions: questionIds.map(id => byId.get(id)).filter(Boolean)
+        };
+    }
+
+    /**
+     * A question as one participant sees it: options (and option images) in
+     * their shuffled order, relabelled with the question's keys
+     * @param {Array} order - Canonical option keys in the order shown
+     */
+    static presentQuestion(question, order) {
+        if (!order || !question.options) return question;
+
+        const keys = Object.keys(question.options);
+        const relabel = (values) => Object.fromEntries(keys.map((key, i) => [key, values[order[i]]]));
+
+        return {
+            ...question,
+            options: relabel(question.options),
+            ...(question.optionImages ? { optionImages: relabel(question.optionImages) } : {})
+        };
+    }
+
+    /**
+     * Map an answer between the keys a participant saw and the question's own
+     * keys (choice answers only; anything else is returned as is)
+     * @param {String} direction - 'canonical' (from what was shown) or 'shown'
+     */
+    static mapAnswer(question, answer, order, direction = 'canonical') {
+        if (!order || !question.options || answer === null || answer === undefined) return answer;
+
+        const keys = Object.keys(question.options);
+        const [from, to] = direction === 'canonical' ? [keys, order] : [order, keys];
+        const map = (key) => {
+            const idx = from.indexOf(String(key));
+            return idx === -1 ? key : to[idx];
+        };
+
+        return Array.isArray(answer) ? answer.map(map) : map(answer);
+    }
+
+    /**
+     * Map a whole answer array (indexed by paper position)
+     * @param {Object} paper - The participant's paper (see paperFor)
+     * @param {Object} optionOrder - Question id -> option keys shown
+     */
+    static mapAnswers(paper, answers, optionOrder, direction = 'canonical') {
+        if (!Array.isArray(answers) || !optionOrder) return answers;
+
+        return answers.map((answer, idx) => {
+            const q = paper.questions[idx];
+            return q ? this.mapAnswer(q, answer, optionOrder[q.id], direction) : answer;
+        });
+    }
+}
+
+module.exports = QuestionBank;
@@ -0,0 +1,165 @@
+/**
+ * Quiz Lifecycle
+ * Every session moves through explicit states, and the state decides what
+ * students may do:
+ *
+ *   draft      - being prepared; nobody can join
+ *   scheduled  - opens automatically at schedule.opensAt; students can join
+ *                and wait in the lobby with a countdown
+ *   lobby      - students can join and wait for the host to open the quiz
+ *   open       - the quiz can be taken and submitted
+ *   paused     - answering and submitting are on hold (time limits stop too)
+ *   closed     - no more answers; unsubmitted attempts are submitted with
+ *                their saved answers
+ *   archived   - results merged into the quiz file and the session removed
+ *
+ * schedule.closesAt closes an open (or paused) session automatically.
+ */
+
+const STATES = ['draft', 'scheduled', 'lobby', 'open', 'paused', 'closed', 'archived'];
+
+// Allowed transitions from each state
+const TRANSITIONS = {
+    draft: ['scheduled', 'lobby', 'open'],
+    scheduled: ['draft', 'lobby', 'open'],
+    lobby: ['draft', 'scheduled', 'open'],
+    open: ['paused', 'closed'],
+    paused: ['open', 'closed'],
+    closed: ['open', 'archived'],
+    archived: []
+};
+
+// What each state allows students to do
+const RULES = {
+    draft: { join: false, view: false, answer: false, submit: false },
+    scheduled: { join: true, view: false, answer: false, submit: false },
+    lobby: { join: true, view: false, answer: false, submit: false },
+    open: { join: true, view: true, answer: true, submit: true },
+    paused: { join: true, view: false, answer: false, submit: false },
+    closed: { join: false, view: false, answer: false, submit: false },
+    archived: { join: false, view: false, answer: false, submit: false }
+};
+
+const MESSAGES = {
+    draft: 'This quiz is not available yet',
+    scheduled: 'This quiz has not opened yet',
+    lobby: 'Waiting for the host to open the quiz',
+    paused: 'The quiz is paused',
+    closed: 'This quiz is closed',
+    archived: 'This quiz has ended'
+};
+
+class QuizLifecycle {
+    /**
+     * Current state (sessions from before lifecycle states were added are open)
+     */
+    static getState(session) {
+        return session.state || 'open';
+    }
+
+    static canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * @param {String} action - 'join', 'view', 'answer' or 'submit'
+     */
+    static allows(session, action) {
+        return Boolean(RULES[this.getState(session)][action]);
+    }
+
+    /**
+     * Why an action is refused in the session's current state
+     */
+    static describe(session) {
+        return MESSAGES[this.getState(session)] || 'This quiz is not available';
+    }
+
+    /**
+     * Lifecycle fields shared with admins and students
+     * @returns {Object} { state, schedule, stateChangedAt, transitions }
+     */
+    static summarize(session) {
+        const state = this.getState(session);
+        return {
+            state,
+            schedule: session.schedule || { opensAt: null, closesAt: null },
+            stateChangedAt: session.stateChangedAt || session.createdAt || null,
+            transitions: TRANSITIONS[state]
+        };
+    }
+
+    /**
+     * Move a session to a new state, updating its schedule
+     * @param {Object} session - Updated in place
+     * @param {String} to - Target state
+     * @param {Object} schedule - { opensAt, closesAt } (ISO strings); opensAt is
+     *   required for 'scheduled'. Omitted fields keep their current value.
+     * @returns {Object} { from, to, pausedMs } where pausedMs is how long the
+     *   session was paused (when leaving 'paused')
+     * @throws {Error} For unknown states, disallowed transitions or bad times
+     */
+    static transition(session, to, schedule = {}, now = new Date()) {
+        const from = this.getState(session);
+
+        if (!STATES.includes(to)) {
+            throw new Error(`Unknown quiz state: ${to}`);
+        }
+        if (!this.canTransition(from, to)) {
+            throw new Error(`Cannot change a ${from} quiz to ${to}`);
+        }
+
+        const nextSchedule = { ...(session.schedule || { opensAt: null, closesAt: null }) };
+        ['opensAt', 'closesAt'].forEach(field => {
+            if (schedule[field] === undefined) return;
+            if (schedule[field] === null || schedule[field] === '') {
+                nextSchedule[field] = null;
+                return;
+            }
+
+            const time = new Date(schedule[field]);
+            if (isNaN(time)) {
+                throw new Error(`Invalid ${field} time`);
+            }
+            nextSchedule[field] = time.toISOString();
+        });
+
+        if (to === 'scheduled' && !(nextSchedule.opensAt && new Date(nextSchedule.opensAt) > now)) {
+            throw new Error('A scheduled quiz needs an opening time in the future');
+        }
+        if (nextSchedule.opensAt && nextSchedule.closesAt &&
+            new Date(nextSchedule.closesAt) <= new Date(nextSchedule.opensAt)) {
+            throw new Error('The closing time must be after the opening time');
+        }
+
+        const pausedMs = from === 'paused' && session.pausedAt ? now - new Date(session.pausedAt) : 0;
+
+        session.state = to;
+        session.stateChangedAt = now.toISOString();
+        session.schedule = nextSchedule;
+        session.pausedAt = to === 'paused' ? now.toISOString() : null;
+
+        return { from, to, pausedMs };
+    }
+
+    /**
+     * The automatic transition a session's schedule calls for, if any
+     * @returns {String|null} 'open' or 'closed'
+     */
+    static dueTransition(session, now = new Date()) {
+        const state = this.getState(session);
+        const { opensAt, closesAt } = session.schedule || {};
+
+        if (state === 'scheduled' && opensAt && new Date(opensAt) <= now) {
+            return 'open';
+        }
+        if ((state === 'open' || state === 'paused') && closesAt && new Date(closesAt) <= now) {
+            return 'closed';
+        }
+        return null;
+    }
+}
+
+QuizLifecycle.STATES = STATES;
+
+module.exports = QuizLifecycle;
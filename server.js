@@ -4,16 +4,375 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const AchievementManager = require('./achievement-manager');
 const plagiarismDetector = require('./plagiarism-detector');
-const AdvancedQuestionTypes = require('./advanced-question-types');
+const gradingEngine = require('./grading-engine');
+const StudentQuizView = require('./student-quiz-view');
+const SessionManager = require('./session-manager');
+const TokenSigner = require('./token-signer');
+const AdminAuth = require('./admin-auth');
+const EventHub = require('./event-hub');
+const TimeLimits = require('./time-limits');
+const QuizLifecycle = require('./quiz-lifecycle');
+const LiveMode = require('./live-mode');
+const QuestionBank = require('./question-bank');
+const GradingQueue = require('./grading-queue');
+const BlindGrading = require('./blind-grading');
+const DoubleMarking = require('./double-marking');
+const AttemptLimiter = require('./attempt-limiter');
+const StateStore = require('./state-store');
 
 const app = express();
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
+const PARTICIPANT_TOKEN_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const ADMIN_TOKEN_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const AUTO_FINALIZE_INTERVAL = 15 * 1000; // how often expired attempts are finalized
+const SCHEDULE_CHECK_INTERVAL = 1000; // how often scheduled openings/closings are applied
 
 app.use(express.static('public'));
 app.use(express.json());
 
-let participants = [];
-let teams = []; // Teams storage
+// The Electron dashboards are loaded from file:// and call the API
+// cross-origin with an Authorization header (no cookies involved). Only they
+// get CORS headers: pages served from here are same-origin. Chromium sends
+// "Origin: null" for file:// pages (older Electron builds sent "file://").
+// Sandboxed frames on other sites share "null", but without an admin or
+// participant token they only reach what's public anyway.
+const ALLOWED_ORIGINS = ['null', 'file://'];
+
+app.use('/api', (req, res, next) => {
+  res.vary('Origin');
+  if (ALLOWED_ORIGINS.includes(req.get('Origin'))) {
+    res.set('Access-Control-Allow-Origin', req.get('Origin'));
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  }
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+});
+
+// Quiz sessions (participants, teams, results) survive restarts via data/
+const sessionManager = new SessionManager(path.join(__dirname, 'data'));
+
+if (sessionManager.sessions.length > 0) {
+  console.log(`Restored ${sessionManager.sessions.length} session(s) from saved state`);
+}
+
+// Write the current sessions snapshot to disk
+function persistState() {
+  sessionManager.save();
+}
+
+// Work out which session a request is about: an explicit ?session= or body
+// sessionCode, or the only running session. Sends the error response itself.
+function resolveSession(req, res) {
+  const ref = req.query.session || (req.body && req.body.sessionCode);
+  const session = ref ? sessionManager.getSession(ref) : sessionManager.getDefaultSession();
+
+  if (!session) {
+    if (ref) {
+      res.status(404).json({ message: 'Session not found' });
+    } else {
+      res.status(400).json({ message: sessionManager.sessions.length === 0 ? 'No active quiz' : 'Session code required' });
+    }
+  }
+
+  return session;
+}
+
+// Refuse a student action the session's lifecycle state doesn't allow
+function refuseInState(res, session) {
+  const { state, schedule } = QuizLifecycle.summarize(session);
+  return res.status(403).json({ message: QuizLifecycle.describe(session), state, schedule });
+}
+
+// Refuse a self-paced action in a session the host runs live
+function refuseLive(res) {
+  return res.status(409).json({ message: 'This quiz is run live by the host', pacing: 'live' });
+}
+
+// Progress updates can't complete an attempt (see PROGRESS_STATUSES)
+function refuseStatus(res, status) {
+  return res.status(400).json({ message: `Unknown progress status: ${status}. Submit the quiz to complete it.` });
+}
+
+// Refuse an attempt from someone who has failed too often (see AttemptLimiter)
+function refuseThrottled(res, retryAfterSeconds) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    message: `Too many failed attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`
+  });
+}
+
+// Guessing limits: failed admin logins per address and user name, failed
+// rejoin-code lookups per address
+const loginLimiter = new AttemptLimiter({ maxFailures: 5, windowMs: 15 * 60 * 1000 });
+const rejoinLimiter = new AttemptLimiter({ maxFailures: 10, windowMs: 15 * 60 * 1000 });
+
+// Signs the session tokens handed to students at join and admins at login
+const tokenSigner = new TokenSigner(path.join(__dirname, 'data', 'token-secret'));
+
+// A participant's token: who (sub), in which session (sid), and the quiz file
+// the session's results are archived to (qf), where their result is found
+// once the session has ended
+function signParticipantToken(session, participantId) {
+  return tokenSigner.sign(
+    { kind: 'participant', sub: participantId, sid: session.id, qf: session.quizFile || null },
+    PARTICIPANT_TOKEN_TTL
+  );
+}
+
+// Read a "Bearer <token>" Authorization header
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Student endpoints: verify the token issued by /api/join and take the
+// participant's identity from it. Any participantId/memberId/creatorId in the
+// body must match the token holder.
+function requireParticipant(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ message: 'Session token required. Please join the quiz first.' });
+  }
+
+  const payload = tokenSigner.verify(token);
+  if (!payload || payload.kind !== 'participant') {
+    return res.status(401).json({ message: 'Invalid or expired session token. Please join again.' });
+  }
+
+  const found = sessionManager.findParticipant(payload.sub);
+  if (!found || found.session.id !== payload.sid) {
+    return res.status(401).json({ message: 'Session has ended or participant is unknown. Please join again.' });
+  }
+
+  const body = req.body || {};
+  const claimedId = body.participantId || body.memberId || body.creatorId;
+  if (claimedId && claimedId !== payload.sub) {
+    return res.status(403).json({ message: 'Session token does not belong to this participant' });
+  }
+
+  req.participant = found.participant;
+  req.quizSession = found.session;
+  next();
+}
+
+// Team endpoints: the token holder must be a member of the team in the body/URL
+function findMemberTeam(req, res) {
+  const teamId = (req.body && req.body.teamId) || req.params.teamId;
+  const team = req.quizSession.teams.find(t => t.id === teamId);
+
+  if (!team) {
+    res.status(404).json({ message: 'Team not found' });
+    return null;
+  }
+
+  if (!team.members.some(m => m.id === req.participant.id)) {
+    res.status(403).json({ message: 'Not a team member' });
+    return null;
+  }
+
+  return team;
+}
+
+// Team a participant belongs to in their session, if any
+function findParticipantTeam(session, participantId) {
+  return session.teams.find(t => t.members.some(m => m.id === participantId)) || null;
+}
+
+// The quiz as a participant (or team) sees it: only the questions on the
+// paper drawn for them from the quiz's question pools
+function getPaper(quiz, holder) {
+  return QuestionBank.paperFor(quiz, holder.questionIds);
+}
+
+// Path of a saved quiz named by a client, or null unless the name is a plain
+// .json file name (so nothing outside quizzes/ can be reached)
+function quizPath(quizFile) {
+  const name = typeof quizFile === 'string' ? quizFile : '';
+  if (!name.endsWith('.json') || path.basename(name) !== name) return null;
+  return path.join(__dirname, 'quizzes', name);
+}
+
+// Read a saved quiz file, migrating files from before question ids (and
+// saving the migrated copy) so results can be read by question id
+function readQuizFile(filePath) {
+  const quiz = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const migrated = QuestionBank.migrate(quiz);
+  if (BlindGrading.prepare(quiz) || migrated) {
+    writeQuizFile(filePath, quiz);
+  }
+  return quiz;
+}
+
+// Save a quiz file; it is replaced in one step, so a crash mid-write leaves
+// the previous version (results included) intact
+function writeQuizFile(filePath, quiz) {
+  StateStore.writeJson(filePath, quiz);
+}
+
+// The paper exactly as the participant (or team) is shown it: no answer keys,
+// options in their shuffled order and relabelled
+function getStudentPaper(quiz, holder) {
+  const view = StudentQuizView.fromQuiz(getPaper(quiz, holder));
+  view.questions = view.questions.map(q => QuestionBank.presentQuestion(q, (holder.optionOrder || {})[q.id]));
+  return view;
+}
+
+// Admin accounts; the owner password is set from the Electron app on first run
+const adminAuth = new AdminAuth(path.join(__dirname, 'data', 'admins.json'));
+
+// Dashboard endpoints: require an admin token from /api/admin/login whose role
+// is one of `roles` (owners may do everything)
+function requireAdmin(...roles) {
+  return (req, res, next) => {
+    const payload = tokenSigner.verify(getBearerToken(req));
+    if (!payload || payload.kind !== 'admin') {
+      return res.status(401).json({ message: 'Admin login required' });
+    }
+
+    // Accounts removed after login lose access straight away
+    const user = adminAuth.getUser(payload.sub);
+    if (!user) {
+      return res.status(401).json({ message: 'Admin login required' });
+    }
+
+    if (user.role !== 'owner' && !roles.includes(user.role)) {
+      return res.status(403).json({ message: 'Your role does not allow this action' });
+    }
+
+    req.admin = adminAuth.toPublic(user);
+    next();
+  };
+}
+
+// Live updates pushed to dashboards and student pages (GET /api/events)
+const eventHub = new EventHub();
+
+// ==================== ADMIN AUTH ENDPOINTS ====================
+
+// Whether the owner account still has to be created
+app.get('/api/admin/setup-status', (req, res) => {
+  res.json({ needsSetup: adminAuth.needsSetup() });
+});
+
+// First-run setup: create the owner account (admin machine only, once)
+app.post('/api/admin/setup', (req, res) => {
+  if (!AdminAuth.isLocalRequest(req)) {
+    return res.status(403).json({ message: 'Setup must be done from the admin machine' });
+  }
+  if (!adminAuth.needsSetup()) {
+    return res.status(409).json({ message: 'Admin account already set up' });
+  }
+
+  const { username, password } = req.body;
+
+  try {
+    const user = adminAuth.createUser(username || 'admin', password, 'owner');
+    console.log(`Admin owner account created: ${user.username}`);
+    res.json({ message: 'Admin account created', user });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Log in and get an admin token
+app.post('/api/admin/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const limiterKey = `${req.ip}|${String(username || '').toLowerCase()}`;
+
+  const retryAfter = loginLimiter.retryAfter(limiterKey);
+  if (retryAfter > 0) return refuseThrottled(res, retryAfter);
+
+  const user = adminAuth.verifyPassword(username, password);
+  if (!user) {
+    loginLimiter.fail(limiterKey);
+    return res.status(401).json({ message: 'Invalid username or password' });
+  }
+  loginLimiter.clear(limiterKey);
+
+  const token = tokenSigner.sign({ kind: 'admin', sub: user.username }, ADMIN_TOKEN_TTL);
+  console.log(`Admin login: ${user.username} (${user.role})`);
+
+  res.json({ token, user });
+});
+
+// Who the current token belongs to
+app.get('/api/admin/me', requireAdmin('proctor', 'grader'), (req, res) => {
+  res.json(req.admin);
+});
+
+// Manage proctor/grader accounts (owner only)
+app.get('/api/admin/users', requireAdmin(), (req, res) => {
+  res.json(adminAuth.listUsers());
+});
+
+app.post('/api/admin/users', requireAdmin(), (req, res) => {
+  const { username, password, role } = req.body;
+
+  try {
+    const user = adminAuth.createUser(username, password, role);
+    console.log(`Admin account created: ${user.username} (${user.role}) by ${req.admin.username}`);
+    res.json({ message: 'User created', user });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+app.delete('/api/admin/users/:username', requireAdmin(), (req, res) => {
+  try {
+    adminAuth.removeUser(req.params.username);
+    res.json({ message: 'User removed' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// ==================== END ADMIN AUTH ====================
+
+// ==================== LIVE EVENTS ====================
+
+// Server-Sent Events stream. EventSource can't send an Authorization header,
+// so the admin or participant token comes as ?token=. Without a token only
+// public (leaderboard) events are sent. Admins and public viewers may narrow
+// the stream to one session with ?session=.
+app.get('/api/events', (req, res) => {
+  let sessionId = null;
+  if (req.query.session) {
+    const session = sessionManager.getSession(req.query.session);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    sessionId = session.id;
+  }
+
+  if (!req.query.token) {
+    return eventHub.subscribe(req, res, { audience: 'public', sessionId });
+  }
+
+  const payload = tokenSigner.verify(req.query.token);
+
+  if (payload && payload.kind === 'admin') {
+    const user = adminAuth.getUser(payload.sub);
+    if (user) {
+      return eventHub.subscribe(req, res, { audience: 'admin', role: user.role, sessionId });
+    }
+  }
+
+  if (payload && payload.kind === 'participant') {
+    const found = sessionManager.findParticipant(payload.sub);
+    if (found && found.session.id === payload.sid) {
+      return eventHub.subscribe(req, res, {
+        audience: 'participant',
+        participantId: payload.sub,
+        sessionId: found.session.id
+      });
+    }
+  }
+
+  res.status(401).json({ message: 'Invalid or expired session token' });
+});
+
+// ==================== END LIVE EVENTS ====================
 
 // Initialize Achievement Manager
 const achievementManager = new AchievementManager();
@@ -22,10 +381,24 @@ const achievementManager = new AchievementManager();
 app.post('/api/join', (req, res) => {
   const { name } = req.body;
 
+  const session = resolveSession(req, res);
+  if (!session) return;
+  if (!QuizLifecycle.allows(session, 'join')) return refuseInState(res, session);
+
   const id = uuidv4();  // unique ID
-  participants.push({
+  const rejoinCode = sessionManager.generateRejoinCode(session);
+  // Everyone plays the same questions live; otherwise each participant
+  // gets their own seeded paper (pool draw, question and option order)
+  const paper = LiveMode.isLive(session)
+    ? { seed: null, questionIds: session.live.questionIds, optionOrder: {} }
+    : QuestionBank.createPaper(sessionManager.loadQuiz(session));
+  session.participants.push({
     id,
     name,
+    rejoinCode,
+    questionIds: paper.questionIds,
+    paperSeed: paper.seed,
+    optionOrder: paper.optionOrder,
     status: 'waiting', // waiting, in_progress, completed
     currentQuestion: 0,
     totalQuestions: 0,
@@ -38,67 +411,225 @@ app.post('/api/join', (req, res) => {
     lastActivity: new Date().toISOString()
   });
 
-  console.log(`New participant: ${name} (ID: ${id})`);
+  persistState();
+  console.log(`New participant: ${name} (ID: ${id}) in session ${session.code}`);
+  eventHub.publish('participant-joined', { participantId: id, name }, { sessionId: session.id });
+
+  const token = signParticipantToken(session, id);
+
+  res.json({
+    message: 'Joined successfully!',
+    id,
+    token,
+    rejoinCode,
+    sessionId: session.id,
+    sessionCode: session.code,
+    sessionName: session.name,
+    state: QuizLifecycle.getState(session),
+    schedule: QuizLifecycle.summarize(session).schedule,
+    pacing: session.pacing || 'self'
+  });
+});
+
+// Resume an attempt after a refresh, a crash or on another device, with the
+// session token (same browser) or the join code plus the rejoin code shown at
+// join. Returns a fresh token and everything saved so far; a submitted
+// attempt comes back with its graded result (see getStudentResult), also
+// after its session has ended, for as long as the token lasts.
+app.post('/api/resume', (req, res) => {
+  const { rejoinCode } = req.body || {};
+  const token = getBearerToken(req);
+  let found = null;
+
+  if (token) {
+    const payload = tokenSigner.verify(token);
+    found = payload && payload.kind === 'participant' ? sessionManager.findParticipant(payload.sub) : null;
+    if (found && found.session.id !== payload.sid) found = null;
+
+    const archived = !found && payload && payload.kind === 'participant' ? findArchivedResult(payload) : null;
+    if (archived) {
+      return res.json({ message: 'Submitted', status: 'completed', name: archived.name, result: archived.result });
+    }
+  } else if (rejoinCode) {
+    // Failures aren't cleared by a success: knowing one code mustn't buy
+    // more guesses at the others
+    const retryAfter = rejoinLimiter.retryAfter(req.ip);
+    if (retryAfter > 0) return refuseThrottled(res, retryAfter);
+
+    const session = resolveSession(req, res);
+    if (!session) return;
+
+    const participant = sessionManager.findByRejoinCode(session, rejoinCode);
+    found = participant ? { session, participant } : null;
+    if (!found) rejoinLimiter.fail(req.ip);
+  } else {
+    return res.status(400).json({ message: 'Session token or rejoin code required' });
+  }
+
+  if (!found) {
+    return res.status(404).json({ message: 'No quiz attempt found. Check your codes or join again.' });
+  }
+
+  const { session, participant } = found;
+  const team = findParticipantTeam(session, participant.id);
+  const quiz = sessionManager.loadQuiz(session);
+
+  participant.lastActivity = new Date().toISOString();
+  persistState();
+  console.log(`Participant resumed: ${participant.name} in session ${session.code}`);
 
-  res.json({ message: 'Joined successfully!', id });
+  res.json({
+    message: 'Resumed',
+    id: participant.id,
+    name: participant.name,
+    token: signParticipantToken(session, participant.id),
+    rejoinCode: participant.rejoinCode || null,
+    sessionId: session.id,
+    sessionCode: session.code,
+    sessionName: session.name,
+    state: QuizLifecycle.getState(session),
+    schedule: QuizLifecycle.summarize(session).schedule,
+    pacing: session.pacing || 'self',
+    teamId: team ? team.id : null,
+    status: (team || participant).status,
+    answers: QuestionBank.mapAnswers(getPaper(quiz, participant),
+      participant.savedAnswers || [], participant.optionOrder, 'shown'),
+    currentQuestion: participant.currentQuestion || 0,
+    openedQuestions: TimeLimits.getOpenedQuestions((team || participant).questionTimings),
+    result: getStudentResult(quiz, team || participant)
+  });
 });
 
+// A participant's result from a session that has ended, in the quiz file the
+// session was archived to (named in their token): { name, result } or null
+function findArchivedResult(payload) {
+  const filePath = quizPath(payload.qf);
+  if (!filePath || !fs.existsSync(filePath)) return null;
+
+  const quiz = readQuizFile(filePath);
+  const stored = (quiz.results || []).find(r => r.runId === payload.sid && r.participantId === payload.sub);
+  if (!stored) return null;
+
+  const holder = { id: payload.sub, questionIds: stored.questionIds, optionOrder: stored.optionOrder || {} };
+  return { name: stored.participantName, result: getStudentResult(quiz, holder) };
+}
+
+// A submitted attempt's result as its student sees it, with the grades and
+// comments given since, but not who marked it; null before it is submitted
+function getStudentResult(quiz, holder) {
+  const result = (quiz.results || []).find(r => holder.members ? r.teamId === holder.id : r.participantId === holder.id);
+  if (!result) return null;
+
+  const paper = getPaper(quiz, holder);
+  return {
+    score: result.score,
+    totalGraded: result.totalGraded,
+    totalPoints: result.totalPoints,
+    percentage: result.percentage,
+    manualGradingNeeded: result.manualGradingNeeded,
+    late: Boolean(result.late),
+    detailedResults: (result.detailedResults || []).map(({ gradedBy, doubleMarking, ...detail }) => detail),
+    answerKeys: quiz.settings?.showCorrectAnswers ? StudentQuizView.getAnswerKeys(paper, holder.optionOrder) : null,
+    paper: getStudentPaper(quiz, holder)
+  };
+}
+
 // Admin gets list
-app.get('/api/participants', (req, res) => {
-  res.json(participants);
+app.get('/api/participants', requireAdmin('proctor'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json(session.participants);
 });
 
+// Statuses a client may report with its progress; only submitting (or the
+// server finalizing the attempt) completes it
+const PROGRESS_STATUSES = ['waiting', 'in_progress'];
+
 // Update student progress (real-time tracking)
-app.post('/api/update-progress', (req, res) => {
-  const { participantId, currentQuestion, totalQuestions, answeredCount, progressPercentage, status } = req.body;
-
-  const participant = participants.find(p => p.id === participantId);
-  if (participant) {
-    participant.currentQuestion = currentQuestion || 0;
-    participant.totalQuestions = totalQuestions || 0;
-    participant.answeredCount = answeredCount || 0;
-    participant.progressPercentage = progressPercentage || 0;
-    participant.lastActivity = new Date().toISOString();
-
-    if (status) {
-      participant.status = status;
-      if (status === 'in_progress' && !participant.startedAt) {
-        participant.startedAt = new Date().toISOString();
-      }
+app.post('/api/update-progress', requireParticipant, (req, res) => {
+  const { currentQuestion, totalQuestions, answeredCount, progressPercentage, status, answers } = req.body;
+
+  const participant = req.participant;
+  let lockedQuestions = [];
+
+  if (status && !PROGRESS_STATUSES.includes(status)) return refuseStatus(res, status);
+
+  // Saved answers are what gets submitted if time runs out, so they lock
+  // together with the time limit (and per question when its window closes)
+  if (Array.isArray(answers)) {
+    if (participant.status === 'completed') {
+      return res.status(409).json({ message: 'Quiz already submitted' });
     }
+    if (LiveMode.isLive(req.quizSession)) return refuseLive(res);
+    if (!QuizLifecycle.allows(req.quizSession, 'answer')) return refuseInState(res, req.quizSession);
+    const quiz = getPaper(sessionManager.loadQuiz(req.quizSession), participant);
+    if (TimeLimits.isExpired(quiz, participant.startedAt)) {
+      return res.status(403).json({ message: 'Time is up. Answers can no longer be changed.' });
+    }
+    const saved = acceptQuestionAnswers(quiz, participant, QuestionBank.mapAnswers(quiz, answers, participant.optionOrder));
+    participant.savedAnswers = saved.answers;
+    lockedQuestions = saved.lockedQuestions;
+  }
 
-    console.log(`Progress update: ${participant.name} - Q${currentQuestion}/${totalQuestions} (${progressPercentage}%)`);
+  participant.currentQuestion = currentQuestion || 0;
+  participant.totalQuestions = totalQuestions || 0;
+  participant.answeredCount = answeredCount || 0;
+  participant.progressPercentage = progressPercentage || 0;
+  participant.lastActivity = new Date().toISOString();
+
+  if (status && participant.status !== 'completed') {
+    participant.status = status;
+    if (status === 'in_progress' && !participant.startedAt) {
+      participant.startedAt = new Date().toISOString();
+    }
   }
 
-  res.json({ success: true });
+  persistState();
+  console.log(`Progress update: ${participant.name} - Q${currentQuestion}/${totalQuestions} (${progressPercentage}%)`);
+  eventHub.publish('progress-changed', {
+    participantId: participant.id,
+    status: participant.status,
+    answeredCount: participant.answeredCount,
+    progressPercentage: participant.progressPercentage
+  }, { sessionId: req.quizSession.id });
+
+  res.json({ success: true, lockedQuestions });
 });
 
 // Report proctoring event (real-time)
-app.post('/api/proctoring-alert', (req, res) => {
-  const { participantId, alertType, message, count } = req.body;
-
-  const participant = participants.find(p => p.id === participantId);
-  if (participant) {
-    const alert = {
-      type: alertType,
-      message: message,
-      count: count || 1,
-      timestamp: new Date().toISOString()
-    };
+app.post('/api/proctoring-alert', requireParticipant, (req, res) => {
+  const { alertType, message, count } = req.body;
+
+  const participant = req.participant;
+  const alert = {
+    type: alertType,
+    message: message,
+    count: count || 1,
+    timestamp: new Date().toISOString()
+  };
 
-    participant.proctoringAlerts.push(alert);
-    participant.lastActivity = new Date().toISOString();
+  participant.proctoringAlerts.push(alert);
+  participant.lastActivity = new Date().toISOString();
+  persistState();
 
-    console.log(`⚠️ Proctoring Alert: ${participant.name} - ${alertType} (${count})`);
-  }
+  console.log(`⚠️ Proctoring Alert: ${participant.name} - ${alertType} (${count})`);
+  eventHub.publish('proctoring-alert', {
+    participantId: participant.id,
+    name: participant.name,
+    alert
+  }, { sessionId: req.quizSession.id });
 
   res.json({ success: true });
 });
 
 // Get monitoring data for admin dashboard
-app.get('/api/monitoring', (req, res) => {
+app.get('/api/monitoring', requireAdmin('proctor'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
   // Return participants with their current status
-  const monitoringData = participants.map(p => ({
+  const monitoringData = session.participants.map(p => ({
     id: p.id,
     name: p.name,
     status: p.status,
@@ -121,20 +652,26 @@ app.get('/api/monitoring', (req, res) => {
 // ==================== TEAM MANAGEMENT ENDPOINTS ====================
 
 // Create a new team
-app.post('/api/teams/create', (req, res) => {
-  const { teamName, creatorId, creatorName, maxMembers } = req.body;
+app.post('/api/teams/create', requireParticipant, (req, res) => {
+  const { teamName, maxMembers } = req.body;
+  const { id: creatorId, name: creatorName } = req.participant;
 
-  if (!teamName || !creatorId || !creatorName) {
-    return res.status(400).json({ message: 'Team name, creator ID, and creator name are required' });
+  if (!teamName) {
+    return res.status(400).json({ message: 'Team name is required' });
   }
 
+  const session = req.quizSession;
+  if (LiveMode.isLive(session)) return refuseLive(res);
+
   // Check if team name already exists
-  const existingTeam = teams.find(t => t.name.toLowerCase() === teamName.toLowerCase());
+  const existingTeam = session.teams.find(t => t.name.toLowerCase() === teamName.toLowerCase());
   if (existingTeam) {
     return res.status(400).json({ message: 'Team name already exists' });
   }
 
   const teamId = uuidv4();
+  // The team's shared paper, in quiz order since members answer together
+  const paper = QuestionBank.createPaper(sessionManager.loadQuiz(session), { shuffle: false });
   const newTeam = {
     id: teamId,
     name: teamName,
@@ -153,28 +690,32 @@ app.post('/api/teams/create', (req, res) => {
     totalQuestions: 0,
     answeredCount: 0,
     progressPercentage: 0,
-    answers: {}, // Collaborative answers storage
+    answers: {}, // Collaborative answers, by question id
+    questionIds: paper.questionIds,
+    paperSeed: paper.seed,
     createdAt: new Date().toISOString(),
     startedAt: null,
     completedAt: null,
     lastActivity: new Date().toISOString()
   };
 
-  teams.push(newTeam);
-  console.log(`Team created: ${teamName} by ${creatorName}`);
+  session.teams.push(newTeam);
+  persistState();
+  console.log(`Team created: ${teamName} by ${creatorName} in session ${session.code}`);
 
   res.json({ message: 'Team created successfully', team: newTeam });
 });
 
 // Join an existing team
-app.post('/api/teams/join', (req, res) => {
-  const { teamId, memberId, memberName } = req.body;
+app.post('/api/teams/join', requireParticipant, (req, res) => {
+  const { teamId } = req.body;
+  const { id: memberId, name: memberName } = req.participant;
 
-  if (!teamId || !memberId || !memberName) {
-    return res.status(400).json({ message: 'Team ID, member ID, and member name are required' });
+  if (!teamId) {
+    return res.status(400).json({ message: 'Team ID is required' });
   }
 
-  const team = teams.find(t => t.id === teamId);
+  const team = req.quizSession.teams.find(t => t.id === teamId);
   if (!team) {
     return res.status(404).json({ message: 'Team not found' });
   }
@@ -203,17 +744,24 @@ app.post('/api/teams/join', (req, res) => {
 
   team.members.push(newMember);
   team.lastActivity = new Date().toISOString();
+  persistState();
 
   console.log(`${memberName} joined team: ${team.name}`);
+  eventHub.publish('team-changed', { teamId: team.id, members: team.members }, {
+    sessionId: req.quizSession.id,
+    participantIds: team.members.map(m => m.id)
+  });
 
   res.json({ message: 'Joined team successfully', team });
 });
 
 // Leave a team
-app.post('/api/teams/leave', (req, res) => {
-  const { teamId, memberId } = req.body;
+app.post('/api/teams/leave', requireParticipant, (req, res) => {
+  const { teamId } = req.body;
+  const memberId = req.participant.id;
 
-  const team = teams.find(t => t.id === teamId);
+  const session = req.quizSession;
+  const team = session.teams.find(t => t.id === teamId);
   if (!team) {
     return res.status(404).json({ message: 'Team not found' });
   }
@@ -229,8 +777,9 @@ app.post('/api/teams/leave', (req, res) => {
   if (member.role === 'leader') {
     if (team.members.length === 1) {
       // Last member, remove team
-      const teamIndex = teams.findIndex(t => t.id === teamId);
-      teams.splice(teamIndex, 1);
+      const teamIndex = session.teams.findIndex(t => t.id === teamId);
+      session.teams.splice(teamIndex, 1);
+      persistState();
       console.log(`Team dissolved: ${team.name}`);
       return res.json({ message: 'Team dissolved', teamDissolved: true });
     } else {
@@ -241,15 +790,20 @@ app.post('/api/teams/leave', (req, res) => {
 
   team.members.splice(memberIndex, 1);
   team.lastActivity = new Date().toISOString();
+  persistState();
 
   console.log(`${member.name} left team: ${team.name}`);
+  eventHub.publish('team-changed', { teamId: team.id, members: team.members }, {
+    sessionId: session.id,
+    participantIds: team.members.map(m => m.id)
+  });
 
   res.json({ message: 'Left team successfully' });
 });
 
 // Get all teams
-app.get('/api/teams', (req, res) => {
-  const teamsData = teams.map(t => ({
+app.get('/api/teams', requireParticipant, (req, res) => {
+  const teamsData = req.quizSession.teams.map(t => ({
     id: t.id,
     name: t.name,
     creatorId: t.creatorId,
@@ -265,32 +819,69 @@ app.get('/api/teams', (req, res) => {
   res.json(teamsData);
 });
 
+// Get team leaderboard
+// (registered before /api/teams/:teamId so "leaderboard" isn't read as a team ID)
+app.get('/api/teams/leaderboard', (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const quiz = sessionManager.loadQuiz(session);
+
+  // Filter team results and calculate rankings
+  const teamResults = quiz.results
+    .filter(r => r.isTeamSubmission)
+    .map(r => ({
+      teamId: r.teamId,
+      teamName: r.teamName,
+      teamMembers: r.teamMembers,
+      score: r.score,
+      totalPoints: r.totalPoints,
+      percentage: r.totalPoints > 0 ? (r.score / r.totalPoints * 100).toFixed(1) : 0,
+      timestamp: r.timestamp,
+      manualGradingNeeded: r.manualGradingNeeded
+    }))
+    .sort((a, b) => b.percentage - a.percentage);
+
+  res.json(teamResults);
+});
+
 // Get specific team
-app.get('/api/teams/:teamId', (req, res) => {
-  const team = teams.find(t => t.id === req.params.teamId);
-  if (!team) {
-    return res.status(404).json({ message: 'Team not found' });
-  }
+app.get('/api/teams/:teamId', requireParticipant, (req, res) => {
+  const team = findMemberTeam(req, res);
+  if (!team) return;
 
   res.json(team);
 });
 
-// Update team answer (collaborative answering)
-app.post('/api/teams/update-answer', (req, res) => {
-  const { teamId, questionIndex, answer, memberId, memberName } = req.body;
+// Update team answer (collaborative answering). Answers are kept by question
+// id ({ questionId, answer }).
+app.post('/api/teams/update-answer', requireParticipant, (req, res) => {
+  const { questionId, answer } = req.body;
+  const { id: memberId, name: memberName } = req.participant;
 
-  const team = teams.find(t => t.id === teamId);
-  if (!team) {
-    return res.status(404).json({ message: 'Team not found' });
-  }
+  const team = findMemberTeam(req, res);
+  if (!team) return;
 
-  // Verify member is in team
-  if (!team.members.some(m => m.id === memberId)) {
-    return res.status(403).json({ message: 'Not a team member' });
+  if (team.status === 'completed') {
+    return res.status(409).json({ message: 'Team quiz already submitted' });
+  }
+  if (!QuizLifecycle.allows(req.quizSession, 'answer')) return refuseInState(res, req.quizSession);
+  const quiz = getPaper(sessionManager.loadQuiz(req.quizSession), team);
+  const questionIndex = quiz.questions.findIndex(q => q.id === questionId);
+  if (questionIndex === -1) {
+    return res.status(404).json({ message: 'Question not found' });
+  }
+  if (TimeLimits.isExpired(quiz, team.startedAt)) {
+    return res.status(403).json({ message: 'Time is up. Answers can no longer be changed.' });
   }
+  team.questionTimings = team.questionTimings || {};
+  if (!TimeLimits.isQuestionOpen(quiz, team.questionTimings, questionIndex)) {
+    return res.status(403).json({ message: 'This question is not open for answers.' });
+  }
+  TimeLimits.recordAnswer(team.questionTimings, questionIndex);
 
   // Store answer with metadata
-  team.answers[questionIndex] = {
+  team.answers[questionId] = {
     answer: answer,
     answeredBy: memberName,
     answeredById: memberId,
@@ -298,162 +889,85 @@ app.post('/api/teams/update-answer', (req, res) => {
   };
 
   team.lastActivity = new Date().toISOString();
+  persistState();
 
   console.log(`Team ${team.name}: ${memberName} answered Q${questionIndex}`);
+  eventHub.publish('team-answer-changed', {
+    teamId: team.id,
+    questionId,
+    questionIndex,
+    ...team.answers[questionId]
+  }, { sessionId: req.quizSession.id, participantIds: team.members.map(m => m.id) });
 
   res.json({ message: 'Answer updated', team });
 });
 
 // Update team progress
-app.post('/api/teams/update-progress', (req, res) => {
-  const { teamId, currentQuestion, totalQuestions, answeredCount, progressPercentage, status } = req.body;
-
-  const team = teams.find(t => t.id === teamId);
-  if (team) {
-    team.currentQuestion = currentQuestion || 0;
-    team.totalQuestions = totalQuestions || 0;
-    team.answeredCount = answeredCount || 0;
-    team.progressPercentage = progressPercentage || 0;
-    team.lastActivity = new Date().toISOString();
-
-    if (status) {
-      team.status = status;
-      if (status === 'in_progress' && !team.startedAt) {
-        team.startedAt = new Date().toISOString();
-      }
-    }
+app.post('/api/teams/update-progress', requireParticipant, (req, res) => {
+  const { currentQuestion, totalQuestions, answeredCount, progressPercentage, status } = req.body;
+  if (status && !PROGRESS_STATUSES.includes(status)) return refuseStatus(res, status);
 
-    console.log(`Team progress: ${team.name} - Q${currentQuestion}/${totalQuestions} (${progressPercentage}%)`);
-  }
-
-  res.json({ success: true });
-});
+  const team = findMemberTeam(req, res);
+  if (!team) return;
 
-// Submit team quiz answers
-app.post('/api/teams/submit', (req, res) => {
-  const { teamId, proctoringData } = req.body;
-  const filePath = path.join(__dirname, 'currentQuiz.json');
+  team.currentQuestion = currentQuestion || 0;
+  team.totalQuestions = totalQuestions || 0;
+  team.answeredCount = answeredCount || 0;
+  team.progressPercentage = progressPercentage || 0;
+  team.lastActivity = new Date().toISOString();
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(400).json({ message: "No active quiz" });
+  if (status && team.status !== 'completed') {
+    team.status = status;
+    if (status === 'in_progress' && !team.startedAt) {
+      team.startedAt = new Date().toISOString();
+    }
   }
 
-  const team = teams.find(t => t.id === teamId);
-  if (!team) {
-    return res.status(404).json({ message: 'Team not found' });
-  }
+  persistState();
+  console.log(`Team progress: ${team.name} - Q${currentQuestion}/${totalQuestions} (${progressPercentage}%)`);
+  eventHub.publish('progress-changed', {
+    teamId: team.id,
+    status: team.status,
+    answeredCount: team.answeredCount,
+    progressPercentage: team.progressPercentage
+  }, { sessionId: req.quizSession.id });
 
-  const quiz = JSON.parse(fs.readFileSync(filePath));
+  res.json({ success: true });
+});
 
-  // Convert team answers object to array format
-  const answers = [];
-  quiz.questions.forEach((q, idx) => {
-    if (team.answers[idx]) {
-      answers[idx] = team.answers[idx].answer;
-    } else {
-      answers[idx] = null;
-    }
-  });
+// A team's shared answers, indexed like its paper
+function getTeamAnswers(paper, team) {
+  return paper.questions.map(q => (team.answers[q.id] ? team.answers[q.id].answer : null));
+}
+
+// Grade a team's shared answers, mark the team completed and add its result
+// to the quiz (the caller saves the quiz). `prepared` is what gradeAttempts
+// ran the code of: { answers, contexts }.
+function recordTeamResult(quiz, team, prepared, fields = {}) {
+  const paper = getPaper(quiz, team);
+
+  team.questionTimings = team.questionTimings || {};
+  TimeLimits.closeQuestions(team.questionTimings);
+
+  const grading = gradingEngine.grade(paper, prepared.answers, prepared.contexts);
+  const { score, totalGraded, totalPoints, percentage, manualGradingNeeded } = grading;
+  const detailedResults = withQuestionTimings(grading.detailedResults, team.questionTimings).map(d => ({
+    ...d,
+    answeredBy: team.answers[d.questionId]?.answeredBy || null
+  }));
 
-  // Evaluate score with weighted points
-  let score = 0;
-  let totalGraded = 0;
-  let totalPoints = 0;
-  let manualGradingNeeded = false;
-  const detailedResults = [];
-
-  quiz.questions.forEach((q, idx) => {
-    const qType = q.type || 'multiple-choice';
-    const qPoints = q.points || 1;
-    const studentAnswer = answers[idx];
-    let isCorrect = false;
-    let needsManualGrading = false;
-
-    switch(qType) {
-      case 'multiple-choice':
-      case 'true-false':
-      case 'image-based':
-        if (studentAnswer && studentAnswer === q.correct) {
-          isCorrect = true;
-          score += qPoints;
-        }
-        totalGraded++;
-        totalPoints += qPoints;
-        break;
-
-      case 'multiple-answer':
-        if (studentAnswer && Array.isArray(studentAnswer) && Array.isArray(q.correct)) {
-          const sortedAnswer = [...studentAnswer].sort();
-          const sortedCorrect = [...q.correct].sort();
-
-          if (sortedAnswer.length === sortedCorrect.length &&
-              sortedAnswer.every((val, idx) => val === sortedCorrect[idx])) {
-            isCorrect = true;
-            score += qPoints;
-          }
-        }
-        totalGraded++;
-        totalPoints += qPoints;
-        break;
-
-      case 'fill-blank':
-        if (studentAnswer && typeof studentAnswer === 'string' &&
-            typeof q.correct === 'string') {
-          if (studentAnswer.toLowerCase().trim() === q.correct.toLowerCase().trim()) {
-            isCorrect = true;
-            score += qPoints;
-          }
-        }
-        totalGraded++;
-        totalPoints += qPoints;
-        break;
-
-      case 'short-answer':
-        needsManualGrading = true;
-        manualGradingNeeded = true;
-        totalPoints += qPoints;
-        break;
-
-      // Advanced question types
-      case 'matching':
-      case 'ordering':
-      case 'hotspot':
-      case 'drag-drop':
-      case 'code':
-      case 'essay':
-      case 'audio-video':
-        const result = AdvancedQuestionTypes.scoreQuestion(q, studentAnswer);
-        isCorrect = result.isCorrect;
-        score += result.score || 0;
-        needsManualGrading = result.needsManualGrading || false;
-        if (result.needsManualGrading) {
-          manualGradingNeeded = true;
-        }
-        if (!result.needsManualGrading) {
-          totalGraded++;
-        }
-        totalPoints += qPoints;
-        break;
-    }
-
-    detailedResults.push({
-      questionIndex: idx,
-      type: qType,
-      points: qPoints,
-      studentAnswer: studentAnswer,
-      answeredBy: team.answers[idx]?.answeredBy || null,
-      isCorrect: isCorrect,
-      needsManualGrading: needsManualGrading
-    });
-  });
+  // Calculate completion time
+  let completionTime = null;
+  if (team.startedAt) {
+    completionTime = Math.floor((Date.now() - new Date(team.startedAt)) / 1000); // seconds
+  }
 
   // Mark team as completed
   team.status = 'completed';
   team.completedAt = new Date().toISOString();
   team.progressPercentage = 100;
 
-  // Save team result
-  quiz.results.push({
+  const result = {
     teamId: team.id,
     teamName: team.name,
     teamMembers: team.members.map(m => m.name),
@@ -461,202 +975,951 @@ app.post('/api/teams/submit', (req, res) => {
     score,
     totalGraded,
     totalPoints,
+    percentage,
     manualGradingNeeded,
     detailedResults,
+    questionIds: team.questionIds || null,
+    paperSeed: team.paperSeed || null,
+    proctoringData: null,
+    timestamp: new Date().toISOString(),
+    completionTime,
+    ...fields
+  };
+
+  quiz.results.push(result);
+  return result;
+}
+
+// Submit team quiz answers
+app.post('/api/teams/submit', requireParticipant, async (req, res) => {
+  const { proctoringData } = req.body;
+
+  const team = findMemberTeam(req, res);
+  if (!team) return;
+  const session = req.quizSession;
+
+  let quiz = sessionManager.loadQuiz(session);
+
+  if (team.autoFinalized) {
+    return res.status(409).json({ message: "Your team's saved answers were already submitted automatically" });
+  }
+  if (team.status === 'completed') {
+    return res.status(409).json({ message: 'Team quiz already submitted' });
+  }
+  if (attemptsInGrading.has(team.id)) {
+    return res.status(409).json({ message: "Your team's answers are already being submitted" });
+  }
+  if (!QuizLifecycle.allows(session, 'submit')) return refuseInState(res, session);
+
+  const paper = getPaper(quiz, team);
+  const timing = TimeLimits.checkSubmission(paper, team.startedAt);
+  const [prepared] = await gradeAttempts([{ holder: team, paper, answers: getTeamAnswers(paper, team) }]);
+  quiz = sessionManager.loadQuiz(session);
+
+  if (timing.late && TimeLimits.getLatePolicy(quiz) === 'reject') {
+    finalizeTeam(quiz, team, prepared);
+    saveFinalized(session, quiz, [team]);
+    return res.status(403).json({
+      message: "Time limit exceeded. Your team's saved answers were submitted automatically.",
+      deadline: timing.deadline
+    });
+  }
+
+  const result = recordTeamResult(quiz, team, prepared, {
     proctoringData: proctoringData || null,
-    timestamp: new Date().toISOString()
+    late: timing.late,
+    timing: { startedAt: team.startedAt, deadline: timing.deadline, lateBySeconds: timing.lateBySeconds }
   });
 
-  fs.writeFileSync(filePath, JSON.stringify(quiz, null, 2));
+  persistState();
+  sessionManager.saveQuiz(session, quiz);
+
+  const { score, totalGraded, totalPoints, percentage, completionTime, manualGradingNeeded, detailedResults } = result;
 
   console.log(`Team ${team.name} completed quiz with score: ${score}/${totalPoints}`);
+  eventHub.publish('submission-received', { teamId: team.id, name: team.name, percentage }, { sessionId: session.id });
+  eventHub.publish('leaderboard-changed', {}, { sessionId: session.id });
 
   res.json({
     score,
     totalGraded,
     totalPoints,
+    percentage,
+    completionTime,
     manualGradingNeeded,
+    late: timing.late,
     detailedResults
   });
 });
 
-// Get team leaderboard
-app.get('/api/teams/leaderboard', (req, res) => {
-  const filePath = path.join(__dirname, 'currentQuiz.json');
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ message: "No active quiz" });
-  }
-
-  const quiz = JSON.parse(fs.readFileSync(filePath));
+// ==================== END TEAM MANAGEMENT ====================
 
-  // Filter team results and calculate rankings
-  const teamResults = quiz.results
-    .filter(r => r.isTeamSubmission)
-    .map(r => ({
-      teamId: r.teamId,
-      teamName: r.teamName,
-      teamMembers: r.teamMembers,
-      score: r.score,
-      totalPoints: r.totalPoints,
-      percentage: r.totalPoints > 0 ? (r.score / r.totalPoints * 100).toFixed(1) : 0,
-      timestamp: r.timestamp,
-      manualGradingNeeded: r.manualGradingNeeded
-    }))
-    .sort((a, b) => b.percentage - a.percentage);
+// ==================== SESSION MANAGEMENT ENDPOINTS ====================
 
-  res.json(teamResults);
+// List running sessions
+app.get('/api/sessions', requireAdmin('proctor', 'grader'), (req, res) => {
+  res.json(sessionManager.sessions.map(s => sessionManager.summarize(s)));
 });
 
-// ==================== END TEAM MANAGEMENT ====================
+// Start a new session for a saved quiz (owner only). It opens straight away
+// unless another lifecycle state is asked for: 'draft', 'lobby', or
+// 'scheduled' with opensAt (closesAt optionally closes it). pacing 'live'
+// has the host run the questions (speedScoring, questionSeconds).
+app.post('/api/sessions', requireAdmin(), (req, res) => {
+  const { quizFile, name, state, opensAt, closesAt, pacing, speedScoring, questionSeconds } = req.body;
+  if (!quizFile) {
+    return res.status(400).json({ message: 'Quiz file is required' });
+  }
+  if (pacing && !['self', 'live'].includes(pacing)) {
+    return res.status(400).json({ message: `Unknown pacing: ${pacing}` });
+  }
+  if (questionSeconds !== undefined && questionSeconds !== null && !(Number(questionSeconds) > 0)) {
+    return res.status(400).json({ message: 'Seconds per question must be a positive number' });
+  }
 
-// Current quiz API
-app.get('/api/currentQuiz', (req, res) => {
-  const filePath = path.join(__dirname, 'currentQuiz.json');
-  if (fs.existsSync(filePath)) {
-    const quiz = JSON.parse(fs.readFileSync(filePath));
-    res.json(quiz);
-  } else {
-    res.status(404).json({ message: "No quiz started yet" });
+  const quizFilePath = quizPath(quizFile);
+  if (!fs.existsSync(quizFilePath)) {
+    return res.status(404).json({ message: 'Quiz not found' });
   }
-});
 
-// Example submit answers (students)
-app.post('/api/submit', (req, res) => {
-  const { participantId, answers, proctoringData, typingData } = req.body;
-  const filePath = path.join(__dirname, 'currentQuiz.json');
-  if (!fs.existsSync(filePath)) return res.status(400).json({ message: "No active quiz" });
-
-  const quiz = JSON.parse(fs.readFileSync(filePath));
-
-  // evaluate score with weighted points
-  let score = 0;
-  let totalGraded = 0;
-  let totalPoints = 0;
-  let manualGradingNeeded = false;
-  const detailedResults = [];
-
-  quiz.questions.forEach((q, idx) => {
-    const qType = q.type || 'multiple-choice';
-    const qPoints = q.points || 1;
-    const studentAnswer = answers[idx];
-    let isCorrect = false;
-    let needsManualGrading = false;
-
-    switch(qType) {
-      case 'multiple-choice':
-      case 'true-false':
-      case 'image-based':
-        // Simple comparison
-        if (studentAnswer && studentAnswer === q.correct) {
-          isCorrect = true;
-          score += qPoints;
-        }
-        totalGraded++;
-        totalPoints += qPoints;
-        break;
-
-      case 'multiple-answer':
-        // Check if arrays match (all correct answers selected, no wrong ones)
-        if (studentAnswer && Array.isArray(studentAnswer) && Array.isArray(q.correct)) {
-          const sortedAnswer = [...studentAnswer].sort();
-          const sortedCorrect = [...q.correct].sort();
-
-          if (sortedAnswer.length === sortedCorrect.length &&
-              sortedAnswer.every((val, idx) => val === sortedCorrect[idx])) {
-            isCorrect = true;
-            score += qPoints;
-          }
-        }
-        totalGraded++;
-        totalPoints += qPoints;
-        break;
-
-      case 'fill-blank':
-        // Case-insensitive string comparison
-        if (studentAnswer && typeof studentAnswer === 'string' &&
-            typeof q.correct === 'string') {
-          if (studentAnswer.toLowerCase().trim() === q.correct.toLowerCase().trim()) {
-            isCorrect = true;
-            score += qPoints;
-          }
-        }
-        totalGraded++;
-        totalPoints += qPoints;
-        break;
-
-      case 'short-answer':
-        // Needs manual grading - don't count towards automatic score
-        needsManualGrading = true;
-        manualGradingNeeded = true;
-        totalPoints += qPoints;
-        break;
-
-      // Advanced question types
-      case 'matching':
-      case 'ordering':
-      case 'hotspot':
-      case 'drag-drop':
-      case 'code':
-      case 'essay':
-      case 'audio-video':
-        const result = AdvancedQuestionTypes.scoreQuestion(q, studentAnswer);
-        isCorrect = result.isCorrect;
-        score += result.score || 0;
-        needsManualGrading = result.needsManualGrading || false;
-        if (result.needsManualGrading) {
-          manualGradingNeeded = true;
-        }
-        if (!result.needsManualGrading) {
-          totalGraded++;
-        }
-        totalPoints += qPoints;
-        break;
-    }
-
-    detailedResults.push({
-      questionIndex: idx,
-      type: qType,
-      points: qPoints,
-      studentAnswer: studentAnswer,
-      isCorrect: isCorrect,
-      needsManualGrading: needsManualGrading
-    });
-  });
+  let quiz;
+  try {
+    quiz = readQuizFile(quizFilePath);
+  } catch (error) {
+    console.error('Error starting session:', error);
+    return res.status(500).json({ message: 'Failed to start session' });
+  }
 
-  // Get participant name and mark as completed
-  const participant = participants.find(p => p.id === participantId);
-  const participantName = participant ? participant.name : 'Unknown';
+  const poolErrors = QuestionBank.validate(quiz);
+  if (poolErrors.length > 0) {
+    return res.status(400).json({ message: poolErrors[0], errors: poolErrors });
+  }
 
-  // Calculate completion time
-  let completionTime = null;
-  if (participant && participant.startedAt) {
-    const startTime = new Date(participant.startedAt);
-    const endTime = new Date();
-    completionTime = Math.floor((endTime - startTime) / 1000); // seconds
+  let session;
+  try {
+    session = sessionManager.createSession(quiz, {
+      quizFile: path.basename(quizFile),
+      name,
+      state: 'draft',
+      pacing,
+      live: { speedScoring, questionSeconds }
+    });
+  } catch (error) {
+    console.error('Error starting session:', error);
+    return res.status(500).json({ message: 'Failed to start session' });
   }
 
-  // Mark participant as completed
-  if (participant) {
-    participant.status = 'completed';
-    participant.completedAt = new Date().toISOString();
-    participant.progressPercentage = 100;
+  try {
+    if ((state || 'open') !== 'draft' || opensAt || closesAt) {
+      QuizLifecycle.transition(session, state || 'open', { opensAt, closesAt });
+    }
+  } catch (error) {
+    sessionManager.removeSession(session);
+    return res.status(400).json({ message: error.message });
   }
+  persistState();
 
-  // Calculate percentage
-  const percentage = totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0;
+  console.log(`▶ Session started: ${session.name} (join code ${session.code}, ${session.state}${LiveMode.isLive(session) ? ', live' : ''})`);
+  eventHub.publish('quiz-started', sessionManager.summarize(session), { sessionId: session.id });
 
-  // Prepare submission object for plagiarism analysis
-  const submission = {
+  res.json(sessionManager.summarize(session));
+});
+
+// Change a session's lifecycle state and/or schedule ({ state, opensAt,
+// closesAt }). Proctors run the quiz; archiving is for owners.
+app.post('/api/sessions/:sessionId/state', requireAdmin('proctor'), async (req, res) => {
+  const session = sessionManager.getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  const { state, opensAt, closesAt } = req.body || {};
+  if (!state) {
+    return res.status(400).json({ message: 'State is required' });
+  }
+  if (state === 'archived' && req.admin.role !== 'owner') {
+    return res.status(403).json({ message: 'Your role does not allow this action' });
+  }
+
+  try {
+    res.json(await changeSessionState(session, state, { opensAt, closesAt }));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// End a session: close submissions (submitting unsubmitted attempts), merge
+// its results into the originating quiz file as a timestamped run and drop
+// the session (owner only)
+app.post('/api/sessions/:sessionId/end', requireAdmin(), async (req, res) => {
+  const session = sessionManager.getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  if (!session.quizFile) {
+    return res.status(400).json({ message: 'Session has no originating quiz file' });
+  }
+
+  const quizFilePath = path.join(__dirname, 'quizzes', session.quizFile);
+  if (!fs.existsSync(quizFilePath)) {
+    return res.status(404).json({ message: 'Originating quiz file not found' });
+  }
+
+  try {
+    if (QuizLifecycle.getState(session) !== 'closed') {
+      // Sessions that never opened have nothing to close
+      if (QuizLifecycle.canTransition(QuizLifecycle.getState(session), 'closed')) {
+        // Waits until the unsubmitted attempts are submitted
+        await changeSessionState(session, 'closed');
+      } else {
+        session.state = 'closed';
+      }
+    }
+    const { quizFile, run } = await changeSessionState(session, 'archived');
+
+    res.json({ message: 'Quiz ended', quizFile, run });
+  } catch (error) {
+    console.error('Error ending session:', error);
+    res.status(500).json({ message: 'Failed to end quiz' });
+  }
+});
+
+// ==================== END SESSION MANAGEMENT ====================
+
+// ==================== QUIZ LIFECYCLE ====================
+
+// Move a session to another lifecycle state and apply what that means:
+// pausing stops time limits, closing submits unsubmitted attempts with their
+// saved answers, archiving merges the results into the quiz file. Closing
+// resolves once those attempts are recorded (after their code runs), so the
+// session can be archived straight after. Rejects when the transition isn't
+// allowed.
+async function changeSessionState(session, state, schedule = {}) {
+  if (state === 'archived' && !(session.quizFile && fs.existsSync(path.join(__dirname, 'quizzes', session.quizFile)))) {
+    throw new Error('Originating quiz file not found');
+  }
+  if (state === 'archived' && [...session.participants, ...session.teams].some(entry => attemptsInGrading.has(entry.id))) {
+    throw new Error('Submissions are still being graded; try again in a moment');
+  }
+
+  const { from, pausedMs } = QuizLifecycle.transition(session, state, schedule);
+
+  if (pausedMs > 0) {
+    extendClocks(session, pausedMs);
+  }
+  let finalizing = null;
+  if (state === 'closed') {
+    const quiz = sessionManager.loadQuiz(session);
+    if (LiveMode.isLive(session) && session.live.phase !== 'finished') {
+      LiveMode.finish(session.live);
+      finishLive(session, quiz);
+    }
+    // Attempts with code to run are recorded once the runs finish
+    finalizing = finalizeAttempts(session, quiz, () => true, '■ Quiz closed')
+      .catch(error => console.error('Error finalizing attempts:', error));
+  }
+
+  const archived = state === 'archived' ? archiveSession(session) : null;
+  if (!archived) persistState();
+
+  console.log(`Session ${session.code}: ${from} → ${state}`);
+  eventHub.publish('quiz-state-changed', {
+    ...QuizLifecycle.summarize(session),
+    previousState: from
+  }, { sessionId: session.id });
+
+  await finalizing;
+  return { ...sessionManager.summarize(session), previousState: from, ...archived };
+}
+
+// Paused time doesn't count against time limits: move start times and open
+// question windows (and the live question's countdown) on by the length of
+// the pause
+function extendClocks(session, pausedMs) {
+  const shift = (iso) => new Date(new Date(iso).getTime() + pausedMs).toISOString();
+
+  const live = session.live;
+  if (live && live.phase === 'question' && !live.closedAt) {
+    live.startedAt = shift(live.startedAt);
+    live.closesAt = shift(live.closesAt);
+  }
+
+  [...session.participants, ...session.teams].forEach(entry => {
+    if (entry.status === 'completed' || !entry.startedAt) return;
+
+    entry.startedAt = shift(entry.startedAt);
+    Object.values(entry.questionTimings || {}).forEach(record => {
+      if (record.closesAt && !record.closedAt) record.closesAt = shift(record.closesAt);
+    });
+  });
+}
+
+// Merge a session's results into its originating quiz file as a timestamped
+// run and drop the session. Returns { quizFile, run }.
+function archiveSession(session) {
+  const quizFilePath = path.join(__dirname, 'quizzes', session.quizFile);
+  const liveQuiz = sessionManager.loadQuiz(session);
+  const quizData = readQuizFile(quizFilePath);
+  const liveResults = liveQuiz.results || [];
+  const run = {
+    id: session.id,
+    sessionName: session.name,
+    joinCode: session.code,
+    startedAt: session.createdAt,
+    endedAt: new Date().toISOString(),
+    participantCount: session.participants.length,
+    teamCount: session.teams.length,
+    resultCount: liveResults.length
+  };
+
+  // Results stay in the flat results array (results pages and grading index
+  // into it); each one is tagged with the run it came from
+  quizData.results = (quizData.results || []).concat(
+    liveResults.map(r => ({ ...r, runId: run.id }))
+  );
+  quizData.runs = (quizData.runs || []).concat(run);
+  // Regrades made during the session keep their audit (result indexes in it
+  // are positions within the run)
+  if (liveQuiz.regrades) {
+    quizData.regrades = (quizData.regrades || []).concat(
+      liveQuiz.regrades.map(r => ({ ...r, runId: run.id }))
+    );
+  }
+
+  writeQuizFile(quizFilePath, quizData);
+  sessionManager.removeSession(session);
+
+  console.log(`■ Session ended: ${session.name} (${liveResults.length} result(s) saved to ${session.quizFile})`);
+  eventHub.publish('quiz-ended', { quizFile: session.quizFile, run }, { sessionId: session.id });
+
+  return { quizFile: session.quizFile, run };
+}
+
+// Open and close sessions at their scheduled times
+function applySchedules() {
+  const now = new Date();
+
+  for (const session of sessionManager.sessions) {
+    const due = QuizLifecycle.dueTransition(session, now);
+    if (!due) continue;
+
+    changeSessionState(session, due)
+      .catch(error => console.error(`Scheduled ${due} failed for session ${session.code}:`, error));
+  }
+}
+
+setInterval(applySchedules, SCHEDULE_CHECK_INTERVAL);
+
+// ==================== END QUIZ LIFECYCLE ====================
+
+// ==================== LIVE MODE ====================
+// Host-paced sessions: everyone answers the question the host is showing.
+// Scores and the session leaderboard update after every question.
+
+// Session in the URL, which must be run live. Sends the error response itself.
+function findLiveSession(req, res) {
+  const session = sessionManager.getSession(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ message: 'Session not found' });
+    return null;
+  }
+  if (!LiveMode.isLive(session)) {
+    res.status(400).json({ message: 'This session is self-paced' });
+    return null;
+  }
+  return session;
+}
+
+// Live view of the current question (student-safe question only)
+function getLiveView(session, quiz) {
+  const live = session.live;
+  const question = LiveMode.getPaper(quiz, live).questions[live.questionIndex];
+  return LiveMode.getView(quiz, live, question ? StudentQuizView.sanitizeQuestion(question) : null, session.participants);
+}
+
+// Tell the host screen and students that the live quiz moved on; they fetch
+// their own view of it
+function publishLive(session) {
+  const { phase, questionIndex } = session.live;
+  eventHub.publish('live-updated', { phase, questionIndex }, { sessionId: session.id });
+}
+
+// Store every participant's score so far as their result (one per
+// participant, replaced after each question) and refresh the leaderboard
+function recordLiveResults(session, quiz) {
+  const live = session.live;
+  const timestamp = new Date().toISOString();
+
+  session.participants.forEach(p => {
+    const grading = LiveMode.grade(quiz, live, p.id);
+    const responseSeconds = grading.detailedResults
+      .reduce((sum, d) => sum + (d.responseTimeSeconds || 0), 0);
+
+    const result = {
+      participantId: p.id,
+      participantName: p.name,
+      ...grading,
+      questionIds: live.questionIds || null,
+      proctoringData: null,
+      typingData: null,
+      plagiarismAnalysis: null,
+      liveMode: true,
+      speedScoring: live.speedScoring,
+      questionsPlayed: grading.detailedResults.length,
+      late: false,
+      timestamp,
+      completionTime: Math.round(responseSeconds)
+    };
+
+    const index = quiz.results.findIndex(r => r.participantId === p.id);
+    if (index === -1) {
+      quiz.results.push(result);
+    } else {
+      quiz.results[index] = result;
+    }
+  });
+
+  sessionManager.saveQuiz(session, quiz);
+  eventHub.publish('leaderboard-changed', {}, { sessionId: session.id });
+}
+
+// The live quiz is over: record the final scores, complete every participant
+// and update their achievements
+function finishLive(session, quiz) {
+  recordLiveResults(session, quiz);
+  const standings = LiveMode.getStandings(quiz, session.live, session.participants);
+
+  session.participants.forEach(p => {
+    if (p.status === 'completed') return;
+
+    p.status = 'completed';
+    p.completedAt = new Date().toISOString();
+    p.progressPercentage = 100;
+
+    const result = quiz.results.find(r => r.participantId === p.id);
+    try {
+      achievementManager.updateUserAfterQuiz(p.id, p.name, {
+        quizName: quiz.name || 'Quiz',
+        score: result.score,
+        percentage: result.percentage,
+        totalPoints: result.totalPoints,
+        detailedResults: result.detailedResults,
+        completionTime: result.completionTime,
+        rank: standings.find(s => s.participantId === p.id).rank
+      });
+    } catch (error) {
+      console.error('Error updating achievements:', error);
+    }
+  });
+
+  console.log(`🏁 Live quiz finished: ${session.name} (${session.participants.length} participant(s))`);
+}
+
+// Host screen: the current question, answer count and, once revealed, the
+// answer distribution and standings
+app.get('/api/sessions/:sessionId/live', requireAdmin('proctor'), (req, res) => {
+  const session = findLiveSession(req, res);
+  if (!session) return;
+
+  const quiz = sessionManager.loadQuiz(session);
+  res.json({ ...sessionManager.summarize(session), ...getLiveView(session, quiz) });
+});
+
+// Lock the current question (if any) and show the next one; after the last
+// question this finishes the live quiz
+app.post('/api/sessions/:sessionId/live/next', requireAdmin('proctor'), (req, res) => {
+  const session = findLiveSession(req, res);
+  if (!session) return;
+  if (QuizLifecycle.getState(session) !== 'open') {
+    return res.status(409).json({ message: 'Open the quiz before running questions' });
+  }
+
+  const quiz = sessionManager.loadQuiz(session);
+  let locked;
+  try {
+    locked = LiveMode.advance(quiz, session.live);
+  } catch (error) {
+    return res.status(409).json({ message: error.message });
+  }
+
+  if (session.live.phase === 'finished') {
+    finishLive(session, quiz);
+  } else if (locked !== null) {
+    recordLiveResults(session, quiz);
+  }
+  persistState();
+
+  console.log(session.live.phase === 'finished'
+    ? `Live ${session.code}: finished`
+    : `Live ${session.code}: question ${session.live.questionIndex + 1}/${LiveMode.getPaper(quiz, session.live).questions.length}`);
+  publishLive(session);
+
+  res.json({ ...sessionManager.summarize(session), ...getLiveView(session, quiz) });
+});
+
+// Lock the current question and reveal its answer distribution, the correct
+// answer and the standings
+app.post('/api/sessions/:sessionId/live/reveal', requireAdmin('proctor'), (req, res) => {
+  const session = findLiveSession(req, res);
+  if (!session) return;
+  if (QuizLifecycle.getState(session) !== 'open') {
+    return res.status(409).json({ message: 'Open the quiz before running questions' });
+  }
+
+  const quiz = sessionManager.loadQuiz(session);
+  try {
+    LiveMode.reveal(session.live);
+  } catch (error) {
+    return res.status(409).json({ message: error.message });
+  }
+
+  recordLiveResults(session, quiz);
+  persistState();
+  publishLive(session);
+
+  res.json({ ...sessionManager.summarize(session), ...getLiveView(session, quiz) });
+});
+
+// Student view: the current question, whether (and what) they answered and,
+// once revealed, how they did. The final standings stay available after the
+// session closes.
+app.get('/api/live', requireParticipant, (req, res) => {
+  const session = req.quizSession;
+  if (!LiveMode.isLive(session)) {
+    return res.status(400).json({ message: 'This quiz is self-paced' });
+  }
+  if (!QuizLifecycle.allows(session, 'view') && session.live.phase !== 'finished') {
+    return refuseInState(res, session);
+  }
+
+  const quiz = sessionManager.loadQuiz(session);
+  const view = getLiveView(session, quiz);
+  const response = LiveMode.getResponse(session.live, view.questionIndex, req.participant.id);
+  const grading = LiveMode.grade(quiz, session.live, req.participant.id);
+  const standing = view.standings ? view.standings.find(s => s.participantId === req.participant.id) : null;
+
+  res.json({
+    ...view,
+    quizName: quiz.name,
+    state: QuizLifecycle.getState(session),
+    answered: Boolean(response),
+    myAnswer: response ? response.answer : null,
+    myResult: view.reveal ? grading.detailedResults.find(d => d.questionIndex === view.questionIndex) : null,
+    myScore: grading.score,
+    myRank: standing ? standing.rank : null
+  });
+});
+
+// Answer the question being played ({ questionIndex, answer }); one answer
+// per question, accepted until the countdown ends or the host moves on.
+// Code answers are run before the answer is recorded (timed from when it
+// arrived); every grading of the answer reuses that run.
+app.post('/api/live/answer', requireParticipant, async (req, res) => {
+  const session = req.quizSession;
+  const { questionIndex, answer } = req.body || {};
+  const receivedAt = new Date();
+
+  if (!LiveMode.isLive(session)) {
+    return res.status(400).json({ message: 'This quiz is self-paced' });
+  }
+  if (!QuizLifecycle.allows(session, 'answer')) return refuseInState(res, session);
+
+  const live = session.live;
+  if (questionIndex !== live.questionIndex || live.phase !== 'question') {
+    return res.status(409).json({ message: 'That question is no longer being played' });
+  }
+  if (answer === undefined || answer === null) {
+    return res.status(400).json({ message: 'Answer is required' });
+  }
+  if (!LiveMode.isAccepting(live)) {
+    return res.status(403).json({ message: 'Answers for this question are locked' });
+  }
+  const answered = () => Boolean(LiveMode.getResponse(live, questionIndex, req.participant.id));
+  if (answered() || attemptsInGrading.has(req.participant.id)) {
+    return res.status(409).json({ message: 'You already answered this question' });
+  }
+
+  const paper = LiveMode.getPaper(sessionManager.loadQuiz(session), live);
+  const [{ contexts }] = await gradeAttempts([{
+    holder: req.participant,
+    paper: { questions: [paper.questions[questionIndex]] },
+    answers: [answer]
+  }]);
+  // The host may have moved on while the code ran
+  if (questionIndex !== live.questionIndex || live.phase !== 'question') {
+    return res.status(409).json({ message: 'That question is no longer being played' });
+  }
+  if (answered()) {
+    return res.status(409).json({ message: 'You already answered this question' });
+  }
+
+  const response = LiveMode.recordAnswer(live, req.participant.id, answer, receivedAt, contexts[0]);
+
+  const participant = req.participant;
+  const answerCount = Object.keys(live.responses[questionIndex]).length;
+  const questionCount = paper.questions.length;
+  participant.status = 'in_progress';
+  participant.currentQuestion = questionIndex + 1;
+  participant.totalQuestions = questionCount;
+  participant.answeredCount = Object.values(live.responses).filter(r => r[participant.id]).length;
+  participant.progressPercentage = Math.round(((questionIndex + 1) / questionCount) * 100);
+  participant.lastActivity = response.answeredAt;
+  persistState();
+
+  eventHub.publish('live-answer-received', {
+    questionIndex,
+    answerCount,
+    participantCount: session.participants.length
+  }, { sessionId: session.id });
+  eventHub.publish('progress-changed', {
+    participantId: participant.id,
+    status: participant.status,
+    answeredCount: participant.answeredCount,
+    progressPercentage: participant.progressPercentage
+  }, { sessionId: session.id });
+
+  res.json({ success: true, questionIndex, answeredAt: response.answeredAt });
+});
+
+// ==================== END LIVE MODE ====================
+
+// ==================== TIME LIMITS ====================
+
+// Start times come from the server clock: the first quiz fetch starts the
+// participant's time (and their team's). Returns the start time that applies.
+function startQuizClock(session, participant) {
+  const now = new Date().toISOString();
+  const team = findParticipantTeam(session, participant.id);
+
+  if (!participant.startedAt || (team && !team.startedAt)) {
+    if (!participant.startedAt) {
+      participant.startedAt = now;
+      if (participant.status === 'waiting') {
+        participant.status = 'in_progress';
+      }
+    }
+    if (team && !team.startedAt) {
+      team.startedAt = now;
+    }
+    persistState();
+  }
+
+  return team ? team.startedAt : participant.startedAt;
+}
+
+// Remaining time for the token holder (their team's time when in a team)
+app.get('/api/time-remaining', requireParticipant, (req, res) => {
+  const team = findParticipantTeam(req.quizSession, req.participant.id);
+  const holder = team || req.participant;
+  const quiz = getPaper(sessionManager.loadQuiz(req.quizSession), holder);
+
+  res.json(TimeLimits.getTiming(quiz, holder.startedAt));
+});
+
+// Open a question, starting its window. With per-question limits this closes
+// the previous question. Team members share their team's windows.
+app.post('/api/questions/:index/open', requireParticipant, (req, res) => {
+  const holder = findParticipantTeam(req.quizSession, req.participant.id) || req.participant;
+  const quiz = getPaper(sessionManager.loadQuiz(req.quizSession), holder);
+  const index = Number(req.params.index);
+
+  if (!Number.isInteger(index) || index < 0 || index >= quiz.questions.length) {
+    return res.status(404).json({ message: 'Question not found' });
+  }
+
+  if (holder.status === 'completed') {
+    return res.status(409).json({ message: 'Quiz already submitted' });
+  }
+  if (LiveMode.isLive(req.quizSession)) return refuseLive(res);
+  if (!QuizLifecycle.allows(req.quizSession, 'answer')) return refuseInState(res, req.quizSession);
+
+  holder.questionTimings = holder.questionTimings || {};
+  TimeLimits.openQuestion(quiz, holder.questionTimings, index);
+  persistState();
+
+  res.json(TimeLimits.getQuestionWindow(quiz, holder.questionTimings, index));
+});
+
+// Keep only answers given while their question was open, noting when each
+// answer changed. Returns { answers, lockedQuestions }.
+function acceptQuestionAnswers(quiz, participant, answers) {
+  const timings = participant.questionTimings = participant.questionTimings || {};
+  const saved = participant.savedAnswers || [];
+
+  const accepted = TimeLimits.lockAnswers(quiz, timings, answers, saved);
+  TimeLimits.recordAnswers(timings, saved, accepted.answers);
+  return accepted;
+}
+
+// Add each question's server-recorded window to its detailed result
+function withQuestionTimings(detailedResults, timings) {
+  return detailedResults.map(d => ({ ...d, timing: TimeLimits.summarizeQuestion(timings[d.questionIndex]) }));
+}
+
+// Attempts (participant and team ids) whose code answers are being run
+// before their result is recorded; meanwhile neither a second submit nor the
+// auto-finalizer may record another result for them
+const attemptsInGrading = new Set();
+
+// Run the code answers of attempts ([{ holder, paper, answers }]) before
+// grading them; resolves with [{ answers, contexts }] in the same order for
+// gradingEngine.grade. Callers reload the quiz after awaiting (results may
+// have been recorded during the runs) and record the results straight away,
+// before any other request is handled.
+async function gradeAttempts(attempts) {
+  attempts.forEach(({ holder }) => attemptsInGrading.add(holder.id));
+  try {
+    return await Promise.all(attempts.map(async ({ paper, answers }) => ({
+      answers,
+      contexts: await gradingEngine.prepare(paper, answers)
+    })));
+  } finally {
+    attempts.forEach(({ holder }) => attemptsInGrading.delete(holder.id));
+  }
+}
+
+// Submit the answers a participant saved before their time ran out
+// (`prepared` from gradeAttempts, for participant.savedAnswers)
+function finalizeParticipant(quiz, participant, prepared) {
+  const paper = getPaper(quiz, participant);
+  const timing = TimeLimits.checkSubmission(paper, participant.startedAt);
+  const grading = gradingEngine.grade(paper, prepared.answers, prepared.contexts);
+
+  participant.questionTimings = participant.questionTimings || {};
+  TimeLimits.closeQuestions(participant.questionTimings);
+  grading.detailedResults = withQuestionTimings(grading.detailedResults, participant.questionTimings);
+
+  participant.status = 'completed';
+  participant.completedAt = new Date().toISOString();
+  participant.progressPercentage = 100;
+  participant.autoFinalized = true;
+
+  quiz.results.push({
+    participantId: participant.id,
+    participantName: participant.name,
+    ...grading,
+    questionIds: participant.questionIds || null,
+    paperSeed: participant.paperSeed || null,
+    optionOrder: participant.optionOrder || null,
+    proctoringData: null,
+    typingData: null,
+    plagiarismAnalysis: null,
+    autoFinalized: true,
+    late: false,
+    timing: { startedAt: participant.startedAt, deadline: timing.deadline, lateBySeconds: 0 },
+    timestamp: new Date().toISOString(),
+    completionTime: finalizedCompletionTime(paper, participant.startedAt)
+  });
+}
+
+// Submit a team's shared answers once its time ran out
+function finalizeTeam(quiz, team, prepared) {
+  const paper = getPaper(quiz, team);
+  const timing = TimeLimits.checkSubmission(paper, team.startedAt);
+
+  team.autoFinalized = true;
+  recordTeamResult(quiz, team, prepared, {
+    autoFinalized: true,
+    late: false,
+    timing: { startedAt: team.startedAt, deadline: timing.deadline, lateBySeconds: 0 },
+    completionTime: finalizedCompletionTime(paper, team.startedAt)
+  });
+}
+
+// Time taken by a finalized attempt, capped at the time limit
+function finalizedCompletionTime(quiz, startedAt) {
+  const elapsed = Math.floor((Date.now() - new Date(startedAt)) / 1000);
+  const limit = TimeLimits.getTimeLimitMs(quiz);
+  return limit ? Math.min(elapsed, Math.round(limit / 1000)) : elapsed;
+}
+
+// Save automatically finalized attempts and tell the dashboards
+function saveFinalized(session, quiz, finalized, reason = '⏰ Time expired') {
+  persistState();
+  sessionManager.saveQuiz(session, quiz);
+
+  finalized.forEach(entry => {
+    const isTeam = Boolean(entry.members);
+    console.log(`${reason}: ${isTeam ? 'team ' : ''}${entry.name} - saved answers submitted`);
+    eventHub.publish('submission-received', {
+      [isTeam ? 'teamId' : 'participantId']: entry.id,
+      name: entry.name,
+      autoFinalized: true
+    }, { sessionId: session.id });
+  });
+  eventHub.publish('leaderboard-changed', {}, { sessionId: session.id });
+}
+
+// Submit the saved answers of every started, unsubmitted attempt that
+// `shouldFinalize` picks. Team members are finalized with their team.
+async function finalizeAttempts(session, quiz, shouldFinalize, reason) {
+  const isPending = (entry) => entry.startedAt && entry.status !== 'completed' &&
+    !attemptsInGrading.has(entry.id) && shouldFinalize(entry);
+
+  const participants = session.participants.filter(p => isPending(p) && !findParticipantTeam(session, p.id));
+  const teams = session.teams.filter(isPending);
+  if (participants.length + teams.length === 0) return;
+
+  const prepared = await gradeAttempts([
+    ...participants.map(p => {
+      const paper = getPaper(quiz, p);
+      return { holder: p, paper, answers: p.savedAnswers || [] };
+    }),
+    ...teams.map(t => {
+      const paper = getPaper(quiz, t);
+      return { holder: t, paper, answers: getTeamAnswers(paper, t) };
+    })
+  ]);
+  const current = sessionManager.loadQuiz(session);
+
+  participants.forEach((p, idx) => finalizeParticipant(current, p, prepared[idx]));
+  teams.forEach((t, idx) => finalizeTeam(current, t, prepared[participants.length + idx]));
+  saveFinalized(session, current, [...participants, ...teams], reason);
+}
+
+// Finalize everyone whose time (plus grace) ran out without submitting.
+// Time only runs while a session is open.
+function finalizeExpiredAttempts() {
+  const now = new Date();
+
+  for (const session of sessionManager.sessions) {
+    if (QuizLifecycle.getState(session) !== 'open') continue;
+
+    const quiz = sessionManager.loadQuiz(session);
+    if (!TimeLimits.getTimeLimitMs(quiz)) continue;
+
+    finalizeAttempts(session, quiz, entry => TimeLimits.isExpired(getPaper(quiz, entry), entry.startedAt, now), '⏰ Time expired')
+      .catch(error => console.error('Error finalizing expired attempts:', error));
+  }
+}
+
+setInterval(finalizeExpiredAttempts, AUTO_FINALIZE_INTERVAL);
+
+// ==================== END TIME LIMITS ====================
+
+// Current quiz API (student-safe: no answer keys or results), available while
+// the session is open. Fetching it starts the participant's time, along with
+// their team's.
+app.get('/api/currentQuiz', requireParticipant, (req, res) => {
+  if (LiveMode.isLive(req.quizSession)) return refuseLive(res);
+  if (!QuizLifecycle.allows(req.quizSession, 'view')) return refuseInState(res, req.quizSession);
+
+  const holder = findParticipantTeam(req.quizSession, req.participant.id) || req.participant;
+  const quiz = sessionManager.loadQuiz(req.quizSession);
+  const startedAt = startQuizClock(req.quizSession, req.participant);
+
+  res.json({ ...getStudentPaper(quiz, holder), timing: TimeLimits.getTiming(getPaper(quiz, holder), startedAt) });
+});
+
+// Full current quiz including answer keys
+app.get('/api/admin/currentQuiz', requireAdmin('grader'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json(sessionManager.loadQuiz(session));
+});
+
+// One participant's paper as it was rendered for them, with the seed and
+// option order it was laid out from
+app.get('/api/admin/papers/:participantId', requireAdmin('grader'), (req, res) => {
+  const found = sessionManager.findParticipant(req.params.participantId);
+  if (!found) {
+    return res.status(404).json({ message: 'Participant not found' });
+  }
+
+  const { session, participant } = found;
+  const holder = findParticipantTeam(session, participant.id) || participant;
+  res.json({
+    participantId: participant.id,
+    participantName: participant.name,
+    teamId: holder === participant ? null : holder.id,
+    paperSeed: holder.paperSeed || null,
+    questionIds: holder.questionIds || null,
+    optionOrder: holder.optionOrder || {},
+    paper: getStudentPaper(sessionManager.loadQuiz(session), holder)
+  });
+});
+
+// Example submit answers (students)
+app.post('/api/submit', requireParticipant, async (req, res) => {
+  const { answers, proctoringData, typingData } = req.body;
+  const participantId = req.participant.id;
+
+  // Submissions go to the session the participant joined
+  const session = req.quizSession;
+
+  let quiz = sessionManager.loadQuiz(session);
+  const participant = req.participant;
+  const paper = getPaper(quiz, participant);
+
+  if (participant.autoFinalized) {
+    return res.status(409).json({ message: 'Your saved answers were already submitted automatically' });
+  }
+  if (participant.status === 'completed') {
+    return res.status(409).json({ message: 'Quiz already submitted' });
+  }
+  if (attemptsInGrading.has(participant.id)) {
+    return res.status(409).json({ message: 'Your answers are already being submitted' });
+  }
+  if (LiveMode.isLive(session)) return refuseLive(res);
+  if (!QuizLifecycle.allows(session, 'submit')) return refuseInState(res, session);
+
+  // Past the deadline plus grace: reject (recording the answers saved before
+  // the deadline instead) or accept and flag, as the quiz settings say
+  const timing = TimeLimits.checkSubmission(paper, participant.startedAt);
+  if (timing.late && TimeLimits.getLatePolicy(quiz) === 'reject') {
+    const [prepared] = await gradeAttempts([{ holder: participant, paper, answers: participant.savedAnswers || [] }]);
+    quiz = sessionManager.loadQuiz(session);
+    finalizeParticipant(quiz, participant, prepared);
+    saveFinalized(session, quiz, [participant]);
+    return res.status(403).json({
+      message: 'Time limit exceeded. Your answers saved before the deadline were submitted instead.',
+      deadline: timing.deadline
+    });
+  }
+
+  // Answers to questions whose window closed keep the answer saved in time
+  const { answers: acceptedAnswers, lockedQuestions } = acceptQuestionAnswers(paper, participant,
+    QuestionBank.mapAnswers(paper, answers || [], participant.optionOrder));
+  TimeLimits.closeQuestions(participant.questionTimings);
+
+  const [{ contexts }] = await gradeAttempts([{ holder: participant, paper, answers: acceptedAnswers }]);
+  quiz = sessionManager.loadQuiz(session);
+  const grading = gradingEngine.grade(paper, acceptedAnswers, contexts);
+  const { score, totalGraded, totalPoints, percentage, manualGradingNeeded } = grading;
+  const detailedResults = withQuestionTimings(grading.detailedResults, participant.questionTimings);
+
+  // Get participant name and mark as completed
+  const participantName = participant.name;
+
+  // Calculate completion time
+  let completionTime = null;
+  if (participant.startedAt) {
+    const startTime = new Date(participant.startedAt);
+    const endTime = new Date();
+    completionTime = Math.floor((endTime - startTime) / 1000); // seconds
+  }
+
+  // Mark participant as completed
+  participant.status = 'completed';
+  participant.completedAt = new Date().toISOString();
+  participant.progressPercentage = 100;
+  persistState();
+
+  // Prepare submission object for plagiarism analysis
+  const submission = {
     participantId,
     participantName,
-    answers,
+    detailedResults,
     score,
     percentage,
     completionTime,
     timestamp: new Date().toISOString(),
     typingData: typingData || null,
-    questionTimes: proctoringData?.timePerQuestion || null
+    questionTimes: detailedResults
+      .map(d => d.timing && d.timing.timeSpentSeconds)
+      .filter(seconds => seconds !== null && seconds !== undefined)
   };
 
   // Perform plagiarism analysis
@@ -665,7 +1928,7 @@ app.post('/api/submit', (req, res) => {
     plagiarismAnalysis = plagiarismDetector.analyzeSubmission(
       submission,
       quiz.results || [],
-      quiz.questions
+      paper.questions
     );
     console.log(`Plagiarism analysis for ${participantName}: Suspicion Score = ${plagiarismAnalysis.suspicionScore}%`);
 
@@ -686,13 +1949,21 @@ app.post('/api/submit', (req, res) => {
     percentage,
     manualGradingNeeded,
     detailedResults,
+    questionIds: participant.questionIds || null,
+    paperSeed: participant.paperSeed || null,
+    optionOrder: participant.optionOrder || null,
     proctoringData: proctoringData || null,
     typingData: typingData || null,
     plagiarismAnalysis: plagiarismAnalysis,
+    late: timing.late,
+    timing: { startedAt: participant.startedAt, deadline: timing.deadline, lateBySeconds: timing.lateBySeconds },
+    lockedQuestions,
     timestamp: new Date().toISOString(),
     completionTime
   });
-  fs.writeFileSync(filePath, JSON.stringify(quiz, null, 2));
+  sessionManager.saveQuiz(session, quiz);
+  eventHub.publish('submission-received', { participantId, name: participantName, percentage }, { sessionId: session.id });
+  eventHub.publish('leaderboard-changed', {}, { sessionId: session.id });
 
   // Calculate rank (position among all participants)
   const sortedResults = [...quiz.results].sort((a, b) => {
@@ -724,7 +1995,13 @@ app.post('/api/submit', (req, res) => {
     totalPoints,
     percentage,
     manualGradingNeeded,
+    late: timing.late,
+    lockedQuestions,
     detailedResults,
+    // Shown next to the results, when the quiz shows correct answers
+    answerKeys: quiz.settings?.showCorrectAnswers
+      ? StudentQuizView.getAnswerKeys(paper, participant.optionOrder)
+      : null,
     achievements: achievementData ? {
       xpEarned: achievementData.xpEarned,
       totalXP: achievementData.profile.totalXP,
@@ -737,99 +2014,510 @@ app.post('/api/submit', (req, res) => {
   });
 });
 
+// A saved quiz as graders see it: names hidden while it is blind graded, and
+// no double marks until both markers agree (or a moderator decides)
+function gradersView(quiz) {
+  return DoubleMarking.hideOpenMarks(BlindGrading.view(quiz));
+}
+
 // Get quiz results (for results page)
-app.get('/api/quiz-results/:quizFile', (req, res) => {
+app.get('/api/quiz-results/:quizFile', requireAdmin('grader'), (req, res) => {
   const quizFile = req.params.quizFile;
-  const filePath = path.join(__dirname, 'quizzes', quizFile);
+  const filePath = quizPath(quizFile);
 
   if (fs.existsSync(filePath)) {
-    const quizData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    res.json(quizData);
+    res.json(gradersView(readQuizFile(filePath)));
   } else {
     res.status(404).json({ message: 'Quiz not found' });
   }
 });
 
-// Manual grading endpoint for short answer questions
-app.post('/api/grade-short-answer', (req, res) => {
-  const { quizFile, resultIndex, questionIndex, isCorrect } = req.body;
-  const filePath = path.join(__dirname, 'quizzes', quizFile);
+// Grade a sample answer set without saving anything (e.g. to check an answer
+// key while authoring). Takes either a quiz object or a saved quiz file.
+app.post('/api/grading/preview', requireAdmin('grader'), async (req, res) => {
+  const { quiz, quizFile, answers } = req.body;
 
+  let quizData = quiz;
+  if (!quizData && quizFile) {
+    const filePath = quizPath(quizFile);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    quizData = readQuizFile(filePath);
+  }
+
+  if (!quizData || !Array.isArray(quizData.questions)) {
+    return res.status(400).json({ message: 'A quiz with questions is required' });
+  }
+
+  const given = Array.isArray(answers) ? answers : [];
+  res.json(gradingEngine.grade(quizData, given, await gradingEngine.prepare(quizData, given)));
+});
+
+// Grade one answer by hand in saved results ({ quizFile, resultIndex, or
+// resultIndexes to give identical answers the same grade, questionId,
+// points | rubricScores, comment }); see applyManualGrade
+function saveManualGrade(req, res, grade) {
+  const { quizFile, resultIndex, resultIndexes, questionId } = req.body || {};
+  const indexes = Array.isArray(resultIndexes) ? resultIndexes : [resultIndex];
+  if (!quizFile) {
+    return res.status(400).json({ message: 'Quiz file is required' });
+  }
+  if (!questionId) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+
+  const filePath = quizPath(quizFile);
   if (!fs.existsSync(filePath)) {
     return res.status(404).json({ message: 'Quiz not found' });
   }
 
   try {
-    const quizData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const quizData = readQuizFile(filePath);
+    if (indexes.length === 0 || indexes.some(idx => !(quizData.results || [])[idx])) {
+      return res.status(404).json({ message: 'Result not found' });
+    }
+    if (DoubleMarking.isDoubleMarked(quizData.questions.find(q => q.id === questionId))) {
+      return res.status(400).json({ message: 'This question is double marked; record marks through double marking' });
+    }
 
-    // Update the specific question result
-    if (quizData.results[resultIndex] &&
-        quizData.results[resultIndex].detailedResults[questionIndex]) {
+    // All or nothing: the file is only written when every grade applies
+    const wasHidden = BlindGrading.isHidden(quizData);
+    try {
+      indexes.forEach(idx => {
+        quizData.results[idx] = gradingEngine.applyManualGrade(quizData, quizData.results[idx], questionId, {
+          ...grade,
+          gradedBy: req.admin.username
+        });
+      });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
 
-      const result = quizData.results[resultIndex];
-      const questionResult = result.detailedResults[questionIndex];
+    BlindGrading.noteGradingChange(quizData, wasHidden);
+    writeQuizFile(filePath, quizData);
 
-      // Mark as graded
-      questionResult.isCorrect = isCorrect;
-      questionResult.needsManualGrading = false;
-      questionResult.manuallyGraded = true;
+    const view = gradersView(quizData);
+    const graded = idx => view.results[idx];
+    res.json({
+      message: 'Graded successfully',
+      ...(Array.isArray(resultIndexes) ? { results: indexes.map(graded) } : { result: graded(resultIndex) })
+    });
+  } catch (error) {
+    console.error('Error grading:', error);
+    res.status(500).json({ message: 'Failed to save grade' });
+  }
+}
 
-      // Update score
-      if (isCorrect) {
-        result.score++;
-      }
-      result.totalGraded++;
+// Answers waiting for manual grading across all results, grouped by
+// question and by identical answer (see GradingQueue)
+app.get('/api/quiz-results/:quizFile/grading-queue', requireAdmin('grader'), (req, res) => {
+  const filePath = quizPath(req.params.quizFile);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ message: 'Quiz not found' });
+  }
 
-      // Check if all manual grading is complete
-      const stillNeedsGrading = result.detailedResults.some(d => d.needsManualGrading);
-      result.manualGradingNeeded = stillNeedsGrading;
+  try {
+    const quiz = BlindGrading.view(readQuizFile(filePath));
+    res.json({ name: quiz.name, identitiesHidden: Boolean(quiz.identitiesHidden), ...GradingQueue.build(quiz) });
+  } catch (error) {
+    console.error('Error building grading queue:', error);
+    res.status(500).json({ message: 'Failed to load grading queue' });
+  }
+});
 
-      // Save updated quiz data
-      fs.writeFileSync(filePath, JSON.stringify(quizData, null, 2));
+// ==================== DOUBLE MARKING ====================
+// Two independent rubric marks for questions with `doubleMarking`; marks
+// further apart than the quiz's moderation threshold go to a moderator
+// (see DoubleMarking)
+
+// Record a mark or a moderation ({ quizFile, resultIndex, questionId,
+// rubricScores, comment }) and answer with the item as this grader sees it
+function saveDoubleMarking(req, res, apply) {
+  const { quizFile, questionId, rubricScores, comment } = req.body || {};
+  const resultIndex = Number((req.body || {}).resultIndex);
+  if (!quizFile) {
+    return res.status(400).json({ message: 'Quiz file is required' });
+  }
 
-      res.json({ message: 'Graded successfully', result });
-    } else {
-      res.status(400).json({ message: 'Invalid result or question index' });
+  const filePath = quizPath(quizFile);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ message: 'Quiz not found' });
+  }
+
+  try {
+    const quiz = readQuizFile(filePath);
+    const result = (quiz.results || [])[resultIndex];
+    if (!result) {
+      return res.status(404).json({ message: 'Result not found' });
+    }
+
+    const wasHidden = BlindGrading.isHidden(quiz);
+    try {
+      quiz.results[resultIndex] = apply(quiz, result, questionId, { rubricScores, comment });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    BlindGrading.noteGradingChange(quiz, wasHidden);
+    writeQuizFile(filePath, quiz);
+
+    const item = DoubleMarking.listForGrader(BlindGrading.view(quiz), markerOf(req))
+      .find(i => i.resultIndex === resultIndex && i.questionId === questionId);
+    res.json({ message: 'Mark saved', item });
+  } catch (error) {
+    console.error('Error saving mark:', error);
+    res.status(500).json({ message: 'Failed to save mark' });
+  }
+}
+
+// The owner may moderate answers they marked themselves; graders may not
+function markerOf(req) {
+  return { grader: req.admin.username, canModerateOwnMarks: req.admin.role === 'owner' };
+}
+
+// Every double-marked answer, showing this grader only their own marks
+app.get('/api/quiz-results/:quizFile/double-marking', requireAdmin('grader'), (req, res) => {
+  const filePath = quizPath(req.params.quizFile);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ message: 'Quiz not found' });
+  }
+
+  try {
+    const quiz = readQuizFile(filePath);
+    res.json({
+      name: quiz.name,
+      threshold: DoubleMarking.getThreshold(quiz),
+      identitiesHidden: BlindGrading.isHidden(quiz),
+      items: DoubleMarking.listForGrader(BlindGrading.view(quiz), markerOf(req))
+    });
+  } catch (error) {
+    console.error('Error loading double marking:', error);
+    res.status(500).json({ message: 'Failed to load double marking' });
+  }
+});
+
+// Record (or change) this grader's rubric scores for an answer
+app.post('/api/double-marking/mark', requireAdmin('grader'), (req, res) => {
+  saveDoubleMarking(req, res, (quiz, result, questionId, mark) =>
+    DoubleMarking.recordMark(quiz, result, questionId, { ...mark, grader: req.admin.username }));
+});
+
+// Settle an answer whose two marks disagree
+app.post('/api/double-marking/moderate', requireAdmin('grader'), (req, res) => {
+  saveDoubleMarking(req, res, (quiz, result, questionId, moderation) =>
+    DoubleMarking.moderate(quiz, result, questionId, { ...moderation, moderator: req.admin.username, ...markerOf(req) }));
+});
+
+// ==================== END DOUBLE MARKING ====================
+
+// Show a blind-graded quiz's identities before grading is complete ({ reason }).
+// Owner only; the reveal is logged in quiz.identityReveals.
+app.post('/api/quiz-results/:quizFile/reveal-identities', requireAdmin(), (req, res) => {
+  const quizFile = req.params.quizFile;
+  const filePath = quizPath(quizFile);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ message: 'Quiz not found' });
+  }
+
+  try {
+    const quiz = readQuizFile(filePath);
+    if (!BlindGrading.isEnabled(quiz)) {
+      return res.status(400).json({ message: 'This quiz is not blind graded' });
     }
+
+    const reveal = BlindGrading.logReveal(quiz, {
+      revealedBy: req.admin.username,
+      reason: (req.body || {}).reason || null
+    });
+    writeQuizFile(filePath, quiz);
+
+    console.log(`👁 Identities revealed for ${quizFile} by ${req.admin.username}`);
+    res.json({ reveal, quiz: gradersView(quiz) });
+  } catch (error) {
+    console.error('Error revealing identities:', error);
+    res.status(500).json({ message: 'Failed to reveal identities' });
+  }
+});
+
+// Award points (partial credit allowed) or essay rubric scores, with an
+// optional comment for the student
+app.post('/api/grade-answer', requireAdmin('grader'), (req, res) => {
+  const { points, rubricScores, comment } = req.body || {};
+  saveManualGrade(req, res, { points, rubricScores, comment });
+});
+
+// Right or wrong only: full points or none (kept for older clients)
+app.post('/api/grade-short-answer', requireAdmin('grader'), (req, res) => {
+  const { quizFile, questionId, isCorrect } = req.body || {};
+  const filePath = quizPath(quizFile);
+  let question = null;
+  try {
+    question = quizFile && fs.existsSync(filePath)
+      ? readQuizFile(filePath).questions.find(q => q.id === questionId)
+      : null;
   } catch (error) {
     console.error('Error grading:', error);
-    res.status(500).json({ message: 'Failed to save grade' });
+    return res.status(500).json({ message: 'Failed to save grade' });
   }
+
+  saveManualGrade(req, res, { points: isCorrect ? ((question && question.points) || 1) : 0 });
 });
 
-// ==================== PLAGIARISM DETECTION ENDPOINTS ====================
+// ==================== REGRADING ====================
+// After an answer key is fixed, re-score every stored result against the
+// current keys. Manual grades are kept; each regrade leaves an audit record
+// in quiz.regrades listing the scores and ranks that changed.
+
+// question.adjustment values (see grading-engine.js)
+const QUESTION_ADJUSTMENTS = ['void', 'bonus'];
+
+// Rank of each result within its own run (a saved quiz file holds the
+// results of several sessions), by percentage and then completion time
+function rankResults(results) {
+  const runs = new Map();
+  results.forEach(result => {
+    const key = result.runId || null;
+    if (!runs.has(key)) runs.set(key, []);
+    runs.get(key).push(result);
+  });
 
-// Get plagiarism report for current quiz
-app.get('/api/plagiarism/report', (req, res) => {
-  const filePath = path.join(__dirname, 'currentQuiz.json');
+  const ranks = new Map();
+  runs.forEach(run => {
+    [...run]
+      .sort((a, b) => {
+        if (b.percentage !== a.percentage) return b.percentage - a.percentage;
+        if (a.completionTime && b.completionTime) return a.completionTime - b.completionTime;
+        return 0;
+      })
+      .forEach((result, idx) => ranks.set(result, idx + 1));
+  });
+  return ranks;
+}
+
+// Load a quiz with `load`, run the code its regrade needs (stored runs are
+// reused unless the test cases changed), then load it again so results
+// recorded during the runs are kept. Resolves with { quiz, prepared } for
+// regradeQuiz, which the caller runs straight away.
+async function prepareRegrade(load) {
+  const prepared = await gradingEngine.prepareResults(load());
+  return { quiz: load(), prepared };
+}
+
+// Regrade every result of a quiz, adjust the participants' XP and append the
+// audit record (returned). The caller saves the quiz. `adjustment` ({
+// questionId, adjustment }) records a question being voided or bonused;
+// `prepared` comes from prepareRegrade.
+function regradeQuiz(quiz, { regradedBy, reason, adjustment }, prepared = []) {
+  const wasHidden = BlindGrading.isHidden(quiz);
+  const results = quiz.results || [];
+  const ranksBefore = rankResults(results);
+  const regraded = results.map((before, idx) => ({ before, ...gradingEngine.regradeResult(quiz, before, prepared[idx]) }));
+  quiz.results = regraded.map(r => r.result);
+  const ranksAfter = rankResults(quiz.results);
+
+  const changes = [];
+  regraded.forEach(({ before, result, questions }, resultIndex) => {
+    const rankBefore = ranksBefore.get(before);
+    const rankAfter = ranksAfter.get(result);
+    if (before.score === result.score && before.totalPoints === result.totalPoints && rankBefore === rankAfter) {
+      return;
+    }
+
+    // Achievements are tracked per participant (team results have none)
+    let xpDelta = null;
+    if (result.participantId) {
+      try {
+        xpDelta = achievementManager.applyRegrade(result.participantId, quiz.name || 'Quiz', before, {
+          ...result,
+          rank: rankAfter
+        });
+      } catch (error) {
+        console.error('Error updating achievements:', error);
+      }
+    }
+
+    changes.push({
+      resultIndex,
+      participantId: result.participantId || null,
+      teamId: result.teamId || null,
+      name: result.participantName || result.teamName || 'Anonymous',
+      runId: result.runId || null,
+      before: { score: before.score, totalPoints: before.totalPoints, percentage: before.percentage, rank: rankBefore },
+      after: { score: result.score, totalPoints: result.totalPoints, percentage: result.percentage, rank: rankAfter },
+      questions,
+      xpDelta
+    });
+  });
+
+  const audit = {
+    id: uuidv4(),
+    regradedAt: new Date().toISOString(),
+    regradedBy,
+    reason: reason || null,
+    ...(adjustment ? { adjustment } : {}),
+    resultCount: quiz.results.length,
+    changedCount: changes.length,
+    changes
+  };
+  quiz.regrades = (quiz.regrades || []).concat(audit);
+  BlindGrading.noteGradingChange(quiz, wasHidden);
+  return audit;
+}
+
+// Regrade a saved quiz file ({ reason }); returns the audit record
+app.post('/api/quiz-results/:quizFile/regrade', requireAdmin('grader'), async (req, res) => {
+  const quizFile = req.params.quizFile;
+  const filePath = quizPath(quizFile);
 
   if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ message: "No active quiz" });
+    return res.status(404).json({ message: 'Quiz not found' });
   }
 
   try {
-    const quiz = JSON.parse(fs.readFileSync(filePath));
-
-    // Get all submissions with plagiarism analysis
-    const flaggedSubmissions = quiz.results
-      .filter(r => r.plagiarismAnalysis && r.plagiarismAnalysis.isSuspicious)
-      .map(r => ({
-        participantId: r.participantId,
-        participantName: r.participantName,
-        score: r.score,
-        percentage: r.percentage,
-        completionTime: r.completionTime,
-        timestamp: r.timestamp,
-        plagiarismAnalysis: r.plagiarismAnalysis
-      }))
-      .sort((a, b) => b.plagiarismAnalysis.suspicionScore - a.plagiarismAnalysis.suspicionScore);
+    const { quiz, prepared } = await prepareRegrade(() => readQuizFile(filePath));
+    const audit = regradeQuiz(quiz, { regradedBy: req.admin.username, reason: (req.body || {}).reason }, prepared);
+    writeQuizFile(filePath, quiz);
 
-    res.json({
-      quizName: quiz.name,
-      totalSubmissions: quiz.results.length,
-      flaggedSubmissions: flaggedSubmissions.length,
-      submissions: flaggedSubmissions
+    console.log(`♻ Regraded ${quizFile}: ${audit.changedCount} of ${audit.resultCount} result(s) changed`);
+    res.json(BlindGrading.maskAudit(quiz, audit));
+  } catch (error) {
+    console.error('Error regrading:', error);
+    res.status(500).json({ message: 'Failed to regrade quiz' });
+  }
+});
+
+// Regrade a running session and refresh its leaderboards. Answer keys are
+// fixed in the quiz file, so the session's questions are refreshed from it
+// (by id) first. Resolves with the audit record as graders see it.
+async function regradeSession(session, options) {
+  const { quiz, prepared } = await prepareRegrade(() => {
+    const sessionQuiz = sessionManager.loadQuiz(session);
+    const quizFilePath = session.quizFile && path.join(__dirname, 'quizzes', session.quizFile);
+    if (quizFilePath && fs.existsSync(quizFilePath)) {
+      const source = new Map(readQuizFile(quizFilePath).questions.map(q => [q.id, q]));
+      sessionQuiz.questions = sessionQuiz.questions.map(q => source.get(q.id) || q);
+    }
+    return sessionQuiz;
+  });
+
+  const audit = regradeQuiz(quiz, options, prepared);
+  sessionManager.saveQuiz(session, quiz);
+
+  console.log(`♻ Regraded session ${session.code}: ${audit.changedCount} of ${audit.resultCount} result(s) changed`);
+  eventHub.publish('leaderboard-changed', {}, { sessionId: session.id });
+  if (LiveMode.isLive(session)) {
+    eventHub.publish('live-updated', {}, { sessionId: session.id });
+  }
+
+  return BlindGrading.maskAudit(quiz, audit);
+}
+
+// Regrade a running session ({ reason })
+app.post('/api/sessions/:sessionId/regrade', requireAdmin('grader'), async (req, res) => {
+  const session = sessionManager.getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  try {
+    res.json(await regradeSession(session, { regradedBy: req.admin.username, reason: (req.body || {}).reason }));
+  } catch (error) {
+    console.error('Error regrading:', error);
+    res.status(500).json({ message: 'Failed to regrade session' });
+  }
+});
+
+// Void or bonus a question ({ adjustment: 'void' | 'bonus' | null to lift
+// it, reason }). Every result in the quiz file is recomputed, team results
+// included, and so is every running session of the quiz.
+// Returns { questionId, adjustment, audit, sessions: [audit] }
+app.post('/api/quiz-results/:quizFile/questions/:questionId/adjustment', requireAdmin('grader'), async (req, res) => {
+  const quizFile = req.params.quizFile;
+  const filePath = quizPath(quizFile);
+  const { adjustment = null, reason } = req.body || {};
+
+  if (adjustment !== null && !QUESTION_ADJUSTMENTS.includes(adjustment)) {
+    return res.status(400).json({ message: `Unknown adjustment: ${adjustment}` });
+  }
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ message: 'Quiz not found' });
+  }
+
+  try {
+    const questionId = req.params.questionId;
+    if (!readQuizFile(filePath).questions.some(q => q.id === questionId)) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    // Lifting an adjustment can need code runs, so the regrade is prepared
+    // with the adjustment applied
+    const { quiz, prepared } = await prepareRegrade(() => {
+      const adjusted = readQuizFile(filePath);
+      const question = adjusted.questions.find(q => q.id === questionId);
+      if (adjustment) {
+        question.adjustment = adjustment;
+      } else {
+        delete question.adjustment;
+      }
+      return adjusted;
     });
+
+    const options = {
+      regradedBy: req.admin.username,
+      reason,
+      adjustment: { questionId, adjustment }
+    };
+    const audit = regradeQuiz(quiz, options, prepared);
+    writeQuizFile(filePath, quiz);
+    console.log(`♻ Question ${questionId} in ${quizFile}: ${adjustment || 'adjustment lifted'} (${audit.changedCount} result(s) changed)`);
+
+    const sessions = [];
+    for (const session of sessionManager.sessions.filter(s => s.quizFile === quizFile)) {
+      sessions.push({ sessionId: session.id, ...(await regradeSession(session, options)) });
+    }
+
+    res.json({ questionId, adjustment, audit: BlindGrading.maskAudit(quiz, audit), sessions });
+  } catch (error) {
+    console.error('Error adjusting question:', error);
+    res.status(500).json({ message: 'Failed to adjust question' });
+  }
+});
+
+// ==================== END REGRADING ====================
+
+// ==================== PLAGIARISM DETECTION ENDPOINTS ====================
+
+// Flagged submissions of a quiz, most suspicious first
+function plagiarismReport(quiz) {
+  const flaggedSubmissions = quiz.results
+    .filter(r => r.plagiarismAnalysis && r.plagiarismAnalysis.isSuspicious)
+    .map(r => ({
+      participantId: r.participantId,
+      participantName: r.participantName,
+      score: r.score,
+      percentage: r.percentage,
+      completionTime: r.completionTime,
+      timestamp: r.timestamp,
+      plagiarismAnalysis: r.plagiarismAnalysis
+    }))
+    .sort((a, b) => b.plagiarismAnalysis.suspicionScore - a.plagiarismAnalysis.suspicionScore);
+
+  return {
+    quizName: quiz.name,
+    totalSubmissions: quiz.results.length,
+    flaggedSubmissions: flaggedSubmissions.length,
+    submissions: flaggedSubmissions
+  };
+}
+
+// Get plagiarism report for current quiz
+app.get('/api/plagiarism/report', requireAdmin('proctor', 'grader'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  try {
+    res.json(plagiarismReport(sessionManager.loadQuiz(session)));
   } catch (error) {
     console.error('Error getting plagiarism report:', error);
     res.status(500).json({ message: 'Error fetching plagiarism report' });
@@ -837,16 +2525,15 @@ app.get('/api/plagiarism/report', (req, res) => {
 });
 
 // Get detailed plagiarism analysis for a specific submission
-app.get('/api/plagiarism/submission/:participantId', (req, res) => {
+app.get('/api/plagiarism/submission/:participantId', requireAdmin('proctor', 'grader'), (req, res) => {
   const { participantId } = req.params;
-  const filePath = path.join(__dirname, 'currentQuiz.json');
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ message: "No active quiz" });
-  }
+  const found = sessionManager.findParticipant(participantId);
+  const session = found ? found.session : resolveSession(req, res);
+  if (!session) return;
 
   try {
-    const quiz = JSON.parse(fs.readFileSync(filePath));
+    const quiz = sessionManager.loadQuiz(session);
     const submission = quiz.results.find(r => r.participantId === participantId);
 
     if (!submission) {
@@ -871,36 +2558,18 @@ app.get('/api/plagiarism/submission/:participantId', (req, res) => {
 });
 
 // Get plagiarism report for a saved quiz
-app.get('/api/plagiarism/report/:quizFile', (req, res) => {
+app.get('/api/plagiarism/report/:quizFile', requireAdmin('proctor', 'grader'), (req, res) => {
   const quizFile = req.params.quizFile;
-  const filePath = path.join(__dirname, 'quizzes', quizFile);
+  const filePath = quizPath(quizFile);
 
   if (!fs.existsSync(filePath)) {
     return res.status(404).json({ message: 'Quiz not found' });
   }
 
   try {
-    const quiz = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-    const flaggedSubmissions = quiz.results
-      .filter(r => r.plagiarismAnalysis && r.plagiarismAnalysis.isSuspicious)
-      .map(r => ({
-        participantId: r.participantId,
-        participantName: r.participantName,
-        score: r.score,
-        percentage: r.percentage,
-        completionTime: r.completionTime,
-        timestamp: r.timestamp,
-        plagiarismAnalysis: r.plagiarismAnalysis
-      }))
-      .sort((a, b) => b.plagiarismAnalysis.suspicionScore - a.plagiarismAnalysis.suspicionScore);
-
-    res.json({
-      quizName: quiz.name,
-      totalSubmissions: quiz.results.length,
-      flaggedSubmissions: flaggedSubmissions.length,
-      submissions: flaggedSubmissions
-    });
+    // Blind graded: no names or plagiarism matches until identities are back
+    const view = BlindGrading.view(readQuizFile(filePath));
+    res.json({ ...plagiarismReport(view), identitiesHidden: Boolean(view.identitiesHidden) });
   } catch (error) {
     console.error('Error getting plagiarism report:', error);
     res.status(500).json({ message: 'Error fetching plagiarism report' });
@@ -923,14 +2592,11 @@ app.get('/api/leaderboard/global', (req, res) => {
 
 // Get current quiz leaderboard (real-time during quiz)
 app.get('/api/leaderboard/quiz', (req, res) => {
-  const filePath = path.join(__dirname, 'currentQuiz.json');
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ message: "No active quiz" });
-  }
+  const session = resolveSession(req, res);
+  if (!session) return;
 
   try {
-    const quiz = JSON.parse(fs.readFileSync(filePath));
+    const quiz = sessionManager.loadQuiz(session);
     const leaderboard = achievementManager.getQuizLeaderboard(quiz.name || 'Quiz', quiz.results || []);
     res.json(leaderboard);
   } catch (error) {
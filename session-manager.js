@@ -0,0 +1,184 @@
+/**
+ * Session Manager
+ * Tracks concurrently running quiz sessions. Each session has its own short
+ * join code, participants and teams, plus a private copy of the quiz (where
+ * its results accumulate) stored under data/sessions/<sessionId>.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const StateStore = require('./state-store');
+const QuizLifecycle = require('./quiz-lifecycle');
+const LiveMode = require('./live-mode');
+
+// No 0/O or 1/I so codes survive being read off a projector
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+class SessionManager {
+    /**
+     * @param {String} dataDir - Directory holding server-state.json and sessions/
+     */
+    constructor(dataDir) {
+        this.sessionsDir = path.join(dataDir, 'sessions');
+        if (!fs.existsSync(this.sessionsDir)) {
+            fs.mkdirSync(this.sessionsDir, { recursive: true });
+        }
+
+        // Session metadata, participants and teams survive restarts
+        this.stateStore = new StateStore(path.join(dataDir, 'server-state.json'), {
+            sessions: []
+        });
+        this.sessions = this.stateStore.load().sessions;
+    }
+
+    /**
+     * Write all sessions (participants, teams, ...) to disk
+     */
+    save() {
+        this.stateStore.save({ sessions: this.sessions });
+    }
+
+    generateCode(isTaken) {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+                code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+            }
+        } while (isTaken(code));
+        return code;
+    }
+
+    generateJoinCode() {
+        return this.generateCode(code => this.sessions.some(s => s.code === code));
+    }
+
+    /**
+     * Personal code shown to a participant at join, used to resume their
+     * attempt on another device (unique within the session)
+     */
+    generateRejoinCode(session) {
+        return this.generateCode(code => session.participants.some(p => p.rejoinCode === code));
+    }
+
+    /**
+     * Start a new session for a quiz
+     * @param {Object} quiz - Full quiz data (answer keys included)
+     * @param {Object} options - { quizFile, name, state (lifecycle state, default 'open'),
+     *   pacing ('self' or 'live', default 'self'), live (LiveMode.create options) }
+     * @returns {Object} The new session
+     */
+    createSession(quiz, { quizFile, name, state = 'open', pacing = 'self', live = {} } = {}) {
+        const session = {
+            id: uuidv4(),
+            code: this.generateJoinCode(),
+            name: name || quiz.name,
+            quizName: quiz.name,
+            quizFile: quizFile || null,
+            state,
+            schedule: { opensAt: null, closesAt: null },
+            pacing,
+            live: pacing === 'live' ? LiveMode.create(quiz, live) : null,
+            participants: [],
+            teams: [],
+            createdAt: new Date().toISOString()
+        };
+
+        // Each run starts with its own empty results
+        this.saveQuiz(session, { ...quiz, results: [] });
+
+        this.sessions.push(session);
+        this.save();
+
+        return session;
+    }
+
+    /**
+     * Look up a session by id or join code (codes are case-insensitive)
+     */
+    getSession(idOrCode) {
+        if (!idOrCode) return null;
+        const code = String(idOrCode).toUpperCase();
+        return this.sessions.find(s => s.id === idOrCode || s.code === code) || null;
+    }
+
+    /**
+     * The session to use when a request doesn't name one: only unambiguous
+     * while a single session is running
+     */
+    getDefaultSession() {
+        return this.sessions.length === 1 ? this.sessions[0] : null;
+    }
+
+    /**
+     * Find a participant and the session they joined
+     * @returns {Object|null} { session, participant }
+     */
+    findParticipant(participantId) {
+        for (const session of this.sessions) {
+            const participant = session.participants.find(p => p.id === participantId);
+            if (participant) return { session, participant };
+        }
+        return null;
+    }
+
+    findByRejoinCode(session, rejoinCode) {
+        const code = String(rejoinCode).trim().toUpperCase();
+        return session.participants.find(p => p.rejoinCode === code) || null;
+    }
+
+    getQuizPath(session) {
+        return path.join(this.sessionsDir, `${session.id}.json`);
+    }
+
+    /**
+     * Read the session's private quiz copy (answer keys and results included)
+     */
+    loadQuiz(session) {
+        return JSON.parse(fs.readFileSync(this.getQuizPath(session), 'utf8'));
+    }
+
+    saveQuiz(session, quiz) {
+        StateStore.writeJson(this.getQuizPath(session), quiz);
+    }
+
+    /**
+     * Drop a finished session and its quiz copy
+     */
+    removeSession(session) {
+        const index = this.sessions.indexOf(session);
+        if (index !== -1) {
+            this.sessions.splice(index, 1);
+        }
+
+        const quizPath = this.getQuizPath(session);
+        if (fs.existsSync(quizPath)) {
+            fs.unlinkSync(quizPath);
+        }
+
+        this.save();
+    }
+
+    /**
+     * Admin-facing summary of a session
+     */
+    summarize(session) {
+        return {
+            id: session.id,
+            code: session.code,
+            name: session.name,
+            quizName: session.quizName,
+            quizFile: session.quizFile,
+            participantCount: session.participants.length,
+            teamCount: session.teams.length,
+            createdAt: session.createdAt,
+            pacing: session.pacing || 'self',
+            ...QuizLifecycle.summarize(session)
+        };
+    }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,71 @@
+/**
+ * State Store
+ * Durable storage for the server's live state (participants, teams, ...) so a
+ * crashed or respawned server process can pick up where it left off.
+ * Every save writes a temp file and renames it over the previous snapshot, so
+ * a crash mid-write never leaves a half-written state file behind. Quiz files
+ * are written the same way (StateStore.writeJson).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class StateStore {
+    /**
+     * @param {String} filePath - Location of the JSON snapshot
+     * @param {Object} defaults - Shape of an empty state
+     */
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Load the last saved state, falling back to defaults for missing keys
+     * @returns {Object} Restored state
+     */
+    load() {
+        const state = JSON.parse(JSON.stringify(this.defaults));
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                Object.assign(state, saved);
+            }
+        } catch (error) {
+            console.error('Error loading saved state:', error);
+        }
+
+        return state;
+    }
+
+    /**
+     * Persist the given state atomically
+     * @param {Object} state - Full state snapshot
+     */
+    save(state) {
+        try {
+            StateStore.writeJson(this.filePath, { ...state, savedAt: new Date().toISOString() });
+        } catch (error) {
+            console.error('Error saving state:', error);
+        }
+    }
+
+    /**
+     * Write data as JSON through a temp file renamed over the target, so
+     * readers see the old file or the new one, never part of it
+     * @throws {Error} When the file can't be written
+     */
+    static writeJson(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,112 @@
+/**
+ * Student Quiz View
+ * Builds the student-safe projection of a quiz: question content, options and
+ * settings only. Answer keys, grading data and results never leave the server.
+ */
+
+const QuestionTypes = require('./public/question-types');
+const QuestionBank = require('./question-bank');
+
+// Question fields that reveal (or help derive) the correct answer. Question
+// type plugins declare their own answer-key fields on top of these.
+const PRIVATE_QUESTION_FIELDS = [
+  'correct',
+  'correctPairs',
+  'correctOrder',
+  'correctPlacements',
+  'correctTimestamp',
+  'timestampTolerance',
+  'hotspots',
+  'rubric',
+  'testCases',
+  'sampleAnswer',
+  'explanation'
+];
+
+// Answer-key fields that are grading internals rather than the answer
+const UNREVEALED_FIELDS = ['testCases', 'rubric', 'matching'];
+
+// Top-level quiz fields that are for admins only: results and what the
+// grading tools keep next to them (see blind-grading.js, and archiveSession
+// and the regrade audit in server.js)
+const PRIVATE_QUIZ_FIELDS = ['results', 'runs', 'regrades', 'pseudonymSalt', 'identityReveals'];
+
+class StudentQuizView {
+  /**
+   * Build the student-facing copy of a quiz
+   * @param {Object} quiz - Full quiz data as stored on disk
+   * @returns {Object} Quiz without answer keys or results
+   */
+  static fromQuiz(quiz) {
+    const view = {};
+
+    for (const [key, value] of Object.entries(quiz)) {
+      if (!PRIVATE_QUIZ_FIELDS.includes(key)) {
+        view[key] = value;
+      }
+    }
+
+    view.questions = (quiz.questions || []).map(q => this.sanitizeQuestion(q));
+    return view;
+  }
+
+  /**
+   * Strip answer-key fields from a single question
+   * @param {Object} question - Full question definition
+   * @returns {Object} Student-safe question
+   */
+  static sanitizeQuestion(question) {
+    const safe = {};
+
+    const privateFields = PRIVATE_QUESTION_FIELDS.concat(QuestionTypes.privateFields());
+
+    for (const [key, value] of Object.entries(question)) {
+      if (!privateFields.includes(key)) {
+        safe[key] = value;
+      }
+    }
+
+    // Students still see how many test cases their code will face
+    if (Array.isArray(question.testCases)) {
+      safe.testCaseCount = question.testCases.length;
+    }
+
+    return safe;
+  }
+
+  /**
+   * The answer-key fields (and explanation) students see once a question is
+   * over: revealed in a live quiz, or next to their results when the quiz
+   * shows correct answers
+   * @param {Array} order - Option keys in the order the student saw them
+   *   (see QuestionBank.presentQuestion); the correct choice is given in
+   *   those keys
+   * @returns {Object}
+   */
+  static getAnswerKey(question, order = null) {
+    const plugin = QuestionTypes.get(question.type);
+    const fields = (plugin ? plugin.schema.privateFields : ['correct'])
+      .filter(field => !UNREVEALED_FIELDS.includes(field))
+      .concat('explanation');
+
+    const key = {};
+    fields.forEach(field => {
+      if (question[field] !== undefined) key[field] = question[field];
+    });
+    if (key.correct !== undefined) {
+      key.correct = QuestionBank.mapAnswer(question, key.correct, order, 'shown');
+    }
+    return key;
+  }
+
+  /**
+   * Answer keys for a student's paper, by question id
+   * @param {Object} optionOrder - Question id -> option keys shown
+   */
+  static getAnswerKeys(paper, optionOrder = null) {
+    return Object.fromEntries((paper.questions || []).map(q =>
+      [q.id, this.getAnswerKey(q, optionOrder ? optionOrder[q.id] : null)]));
+  }
+}
+
+module.exports = StudentQuizView;
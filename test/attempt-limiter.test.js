@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AttemptLimiter = require('../attempt-limiter');
+
+const WINDOW_MS = 15 * 60 * 1000;
+const NOW = 1000000;
+
+describe('AttemptLimiter', () => {
+    it('refuses a key once it has failed too often, until its window has passed', () => {
+        const limiter = new AttemptLimiter({ maxFailures: 3, windowMs: WINDOW_MS });
+
+        limiter.fail('ip|ann', NOW);
+        limiter.fail('ip|ann', NOW + 1000);
+        assert.equal(limiter.retryAfter('ip|ann', NOW + 2000), 0);
+
+        limiter.fail('ip|ann', NOW + 2000);
+        // The window started with the first failure
+        assert.equal(limiter.retryAfter('ip|ann', NOW + 2000), WINDOW_MS / 1000 - 2);
+        assert.equal(limiter.retryAfter('ip|ann', NOW + WINDOW_MS - 500), 1);
+        assert.equal(limiter.retryAfter('ip|ann', NOW + WINDOW_MS), 0);
+    });
+
+    it('counts each key on its own', () => {
+        const limiter = new AttemptLimiter({ maxFailures: 1, windowMs: WINDOW_MS });
+        limiter.fail('ip|ann', NOW);
+
+        assert.ok(limiter.retryAfter('ip|ann', NOW) > 0);
+        assert.equal(limiter.retryAfter('ip|bob', NOW), 0);
+    });
+
+    it('starts over after clear and after the window', () => {
+        const limiter = new AttemptLimiter({ maxFailures: 2, windowMs: WINDOW_MS });
+        limiter.fail('key', NOW);
+        limiter.clear('key');
+        limiter.fail('key', NOW);
+        assert.equal(limiter.retryAfter('key', NOW), 0);
+
+        limiter.fail('key', NOW + WINDOW_MS);
+        assert.equal(limiter.retryAfter('key', NOW + WINDOW_MS), 0);
+    });
+
+    it('drops expired keys when pruned', () => {
+        const limiter = new AttemptLimiter({ maxFailures: 2, windowMs: WINDOW_MS });
+        limiter.fail('old', NOW);
+        limiter.fail('new', NOW + WINDOW_MS);
+
+        limiter.prune(NOW + WINDOW_MS);
+
+        assert.deepEqual([...limiter.failures.keys()], ['new']);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BlindGrading = require('../blind-grading');
+
+function blindQuiz() {
+    const quiz = {
+        settings: { blindGrading: true },
+        results: [
+            {
+                participantId: 'p1',
+                participantName: 'Ann',
+                manualGradingNeeded: true,
+                plagiarismAnalysis: { matches: ['Bob'] },
+                detailedResults: [{ questionId: 'q1', answer: 'essay', answeredBy: 'Ann', answeredById: 'p1' }]
+            },
+            { teamId: 't1', teamName: 'Owls', teamMembers: ['Bob', 'Cat'], manualGradingNeeded: false, detailedResults: [] }
+        ]
+    };
+    BlindGrading.prepare(quiz);
+    return quiz;
+}
+
+describe('BlindGrading', () => {
+    it('gives a blind-graded quiz its secret once', () => {
+        const quiz = blindQuiz();
+        const salt = quiz.pseudonymSalt;
+
+        assert.match(salt, /^[0-9a-f]{32}$/);
+        assert.equal(BlindGrading.prepare(quiz), false);
+        assert.equal(quiz.pseudonymSalt, salt);
+        assert.equal(BlindGrading.prepare({ settings: {} }), false);
+    });
+
+    it('shows results under stable pseudonyms that depend on the secret', () => {
+        const quiz = blindQuiz();
+        const pseudonym = BlindGrading.pseudonym(quiz, { participantId: 'p1' });
+
+        assert.match(pseudonym, /^Candidate [0-9A-F]{6}$/);
+        assert.equal(BlindGrading.pseudonym(quiz, { participantId: 'p1', participantName: 'Ann' }), pseudonym);
+        assert.notEqual(BlindGrading.pseudonym({ ...quiz, pseudonymSalt: 'other' }, { participantId: 'p1' }), pseudonym);
+    });
+
+    it('hides every identity, and the secret, while grading is pending', () => {
+        const quiz = blindQuiz();
+
+        const view = BlindGrading.view(quiz);
+
+        assert.equal(view.identitiesHidden, true);
+        assert.equal(view.pseudonymSalt, undefined);
+        const [individual, team] = view.results;
+        assert.equal(individual.participantName, BlindGrading.pseudonym(quiz, { participantId: 'p1' }));
+        assert.equal(individual.participantId, null);
+        assert.equal(individual.plagiarismAnalysis, null);
+        assert.deepEqual(individual.detailedResults, [{ questionId: 'q1', answer: 'essay' }]);
+        assert.deepEqual([team.teamId, team.teamName, team.teamMembers], [null, null, null]);
+        assert.doesNotMatch(JSON.stringify(view), /Ann|Bob|Cat|Owls|p1|t1/);
+    });
+
+    it('masks the names in the regrade history too', () => {
+        const quiz = { ...blindQuiz(), regrades: [{ changes: [{ resultIndex: 0, participantId: 'p1', name: 'Ann' }] }] };
+
+        const [change] = BlindGrading.view(quiz).regrades[0].changes;
+
+        assert.deepEqual(change, { resultIndex: 0, participantId: null, teamId: null, name: BlindGrading.pseudonym(quiz, { participantId: 'p1' }) });
+    });
+
+    it('reveals identities, with a log entry, once manual grading is complete', () => {
+        const quiz = blindQuiz();
+        const wasHidden = BlindGrading.isHidden(quiz);
+
+        quiz.results[0].manualGradingNeeded = false;
+        BlindGrading.noteGradingChange(quiz, wasHidden);
+
+        assert.equal(BlindGrading.isHidden(quiz), false);
+        assert.deepEqual(quiz.identityReveals.map(r => [r.type, r.reason]), [['grading-complete', 'Manual grading complete']]);
+        assert.equal(BlindGrading.view(quiz).results[0].participantName, 'Ann');
+    });
+
+    it('reveals identities when the owner asks, and logs who did', () => {
+        const quiz = blindQuiz();
+
+        BlindGrading.logReveal(quiz, { revealedBy: 'owner', reason: 'Appeal' });
+
+        assert.equal(BlindGrading.isHidden(quiz), false);
+        assert.equal(quiz.identityReveals[0].revealedBy, 'owner');
+        // Still under the pseudonym graders knew it by
+        assert.equal(BlindGrading.view(quiz).results[0].pseudonym, BlindGrading.pseudonym(quiz, { participantId: 'p1' }));
+    });
+
+    it('leaves quizzes without blind grading as they are', () => {
+        const quiz = { settings: {}, results: [{ participantName: 'Ann', manualGradingNeeded: true }] };
+
+        assert.equal(BlindGrading.isHidden(quiz), false);
+        assert.deepEqual(BlindGrading.view(quiz), quiz);
+    });
+});
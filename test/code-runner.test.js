@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const CodeRunner = require('../code-runner');
+
+// Runs need the operating system isolation (Linux, root, unshare and setpriv)
+const canRunJs = CodeRunner.canRun('javascript');
+const canRunPython = CodeRunner.canRun('python');
+
+function question(language, functionName, testCases) {
+    return { id: 'q1', type: 'code', language, functionName, testCases, points: 1 };
+}
+
+const DOUBLE_TESTS = [
+    { input: 2, expectedOutput: 4 },
+    { input: -3, expectedOutput: -6 }
+];
+
+describe('CodeRunner (JavaScript)', { skip: !canRunJs && 'runs can\'t be isolated here' }, () => {
+    it('passes the tests a correct submission passes, and no others', async () => {
+        const passing = await CodeRunner.run(question('javascript', 'double', DOUBLE_TESTS), 'function double(x) { return x * 2; }');
+        const failing = await CodeRunner.run(question('javascript', 'double', DOUBLE_TESTS), 'const double = x => x + 2;');
+
+        assert.equal(passing.passedCount, 2);
+        assert.equal(passing.totalCount, 2);
+        assert.deepEqual(failing.tests.map(t => [t.passed, t.actual]), [[true, 4], [false, -1]]);
+    });
+
+    it('fails a test whose return value isn\'t JSON data', async () => {
+        const report = await CodeRunner.run(question('javascript', 'f', [{ input: 1, expectedOutput: null }]), 'function f() { return () => 1; }');
+
+        assert.equal(report.tests[0].passed, false);
+        assert.match(report.tests[0].error, /not JSON data/);
+    });
+
+    it('stops a test that runs too long, including in its error message', async () => {
+        const report = await CodeRunner.run(
+            question('javascript', 'f', [{ input: 1, expectedOutput: 1 }, { input: 2, expectedOutput: 2 }]),
+            'function f(x) { if (x === 1) while (true) {} throw { toString() { while (true) {} } }; }'
+        );
+
+        assert.deepEqual(report.tests.map(t => t.error), ['Time limit exceeded', 'Time limit exceeded']);
+    });
+
+    it('hands no object from the harness to the submission', async () => {
+        // Overriding JSON and String used to get the harness's own errors
+        // (and so its Function constructor) into the submission's hands
+        const report = await CodeRunner.run(question('javascript', 'f', [{ input: 1, expectedOutput: 'none' }]), `
+            let reached = 'none';
+            JSON.stringify = () => '{';
+            String = value => {
+                try { reached = typeof value.constructor.constructor('return process')(); } catch (e) { /* ignored */ }
+                return 'x';
+            };
+            function f() { return reached; }
+        `);
+
+        assert.equal(report.tests[0].passed, true);
+    });
+
+    it('keeps the submission inside its own realm', async () => {
+        const report = await CodeRunner.run(question('javascript', 'f', [{ input: 1, expectedOutput: 'blocked' }]), `
+            function f() {
+                try {
+                    const process = globalThis.constructor.constructor('return process')();
+                    return process ? 'escaped' : 'blocked';
+                } catch (e) {
+                    return 'blocked';
+                }
+            }
+        `);
+
+        assert.equal(report.tests[0].actual, 'blocked');
+    });
+});
+
+describe('CodeRunner (Python)', { skip: !canRunPython && 'runs can\'t be isolated here' }, () => {
+    it('passes the tests a correct submission passes', async () => {
+        const report = await CodeRunner.run(question('python', 'double', DOUBLE_TESTS), 'def double(x):\n    return x * 2\n');
+
+        assert.equal(report.passedCount, 2);
+    });
+});
+
+describe('CodeRunner isolation', { skip: !canRunJs && 'runs can\'t be isolated here' }, () => {
+    // Whatever a submission manages to start (the audit hook, for one, misses
+    // _posixsubprocess) runs like this shell: the runner's command, isolated
+    it('runs everything as nobody, without network or the server\'s directory', async () => {
+        const serverDir = path.join(__dirname, '..');
+        const probe = [
+            'id -u',
+            `ls ${serverDir} >/dev/null 2>&1 && echo listed || echo hidden`,
+            'tail -n +3 /proc/net/dev | grep -vc lo:',
+            'echo $$'
+        ].map(command => `"$(${command})"`).join(' ');
+        CodeRunner.register('probe-shell', {
+            harness: 'javascript.js',
+            command: () => ({
+                command: '/bin/sh',
+                args: ['-c', `printf '{"tests":[{"value":["%s","%s","%s","%s"]}]}' ${probe} >&3`]
+            })
+        });
+
+        const report = await CodeRunner.run(question('probe-shell', 'f', [{ input: null, expectedOutput: null }]), 'unused');
+
+        // Its own user, no directory, no network interface but loopback, and
+        // it is the first process of its own PID namespace
+        assert.deepEqual(report.tests[0].actual, ['65534', 'hidden', '0', '1']);
+        assert.ok(fs.existsSync(serverDir));
+    });
+});
+
+describe('CodeRunner.testsKey', () => {
+    it('changes with the test cases, the function and the language only', () => {
+        const key = CodeRunner.testsKey(question('javascript', 'f', DOUBLE_TESTS));
+
+        assert.equal(CodeRunner.testsKey({ ...question('js', 'f', DOUBLE_TESTS), points: 5 }), CodeRunner.testsKey(question('js', 'f', DOUBLE_TESTS)));
+        assert.notEqual(CodeRunner.testsKey(question('javascript', 'g', DOUBLE_TESTS)), key);
+        assert.notEqual(CodeRunner.testsKey(question('javascript', 'f', DOUBLE_TESTS.slice(1))), key);
+        assert.notEqual(CodeRunner.testsKey(question('python', 'f', DOUBLE_TESTS)), key);
+    });
+});
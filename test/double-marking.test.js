@@ -0,0 +1,150 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const gradingEngine = require('../grading-engine');
+const DoubleMarking = require('../double-marking');
+
+// A 10-point essay whose rubric is also worth 10, so a gap of one rubric
+// point is 10% of the rubric
+function buildQuiz(settings = {}) {
+    return {
+        settings,
+        questions: [{
+            id: 'q1',
+            type: 'essay',
+            points: 10,
+            doubleMarking: true,
+            rubric: [
+                { id: 'c1', name: 'Argument', maxPoints: 6 },
+                { id: 'c2', name: 'Evidence', maxPoints: 4 }
+            ]
+        }]
+    };
+}
+
+function submit(quiz) {
+    return gradingEngine.grade(quiz, ['An essay']);
+}
+
+function markTwice(quiz, first, second) {
+    const marked = DoubleMarking.recordMark(quiz, submit(quiz), 'q1', { grader: 'ann', rubricScores: first, comment: 'From Ann' });
+    return DoubleMarking.recordMark(quiz, marked, 'q1', { grader: 'bob', rubricScores: second, comment: 'From Bob' });
+}
+
+describe('DoubleMarking.getThreshold', () => {
+    it('defaults to 20% and follows settings.moderationThreshold', () => {
+        assert.equal(DoubleMarking.getThreshold(buildQuiz()), 20);
+        assert.equal(DoubleMarking.getThreshold(buildQuiz({ moderationThreshold: 5 })), 5);
+        assert.equal(DoubleMarking.getThreshold(buildQuiz({ moderationThreshold: 0 })), 0);
+        assert.equal(DoubleMarking.getThreshold(buildQuiz({ moderationThreshold: -1 })), 20);
+        assert.equal(DoubleMarking.getThreshold(buildQuiz({ moderationThreshold: 'many' })), 20);
+    });
+});
+
+describe('DoubleMarking.recordMark', () => {
+    it('waits for the second mark before grading', () => {
+        const quiz = buildQuiz();
+        const marked = DoubleMarking.recordMark(quiz, submit(quiz), 'q1', { grader: 'ann', rubricScores: { c1: 4, c2: 2 } });
+        const detail = marked.detailedResults[0];
+
+        assert.equal(detail.doubleMarking.status, 'marking');
+        assert.equal(detail.doubleMarking.marks.length, 1);
+        assert.equal(detail.needsManualGrading, true);
+        assert.equal(marked.score, 0);
+    });
+
+    it('agrees marks within the threshold and grades with their average', () => {
+        const quiz = buildQuiz();
+        const result = markTwice(quiz, { c1: 4, c2: 2 }, { c1: 5, c2: 3 });
+        const detail = result.detailedResults[0];
+
+        assert.equal(detail.doubleMarking.status, 'agreed');
+        assert.equal(detail.doubleMarking.difference, 20);
+        assert.deepEqual(detail.rubricScores, { c1: 4.5, c2: 2.5 });
+        assert.equal(detail.earnedPoints, 7);
+        assert.equal(detail.gradedBy, 'ann + bob');
+        assert.equal(detail.comment, 'From Ann\nFrom Bob');
+        assert.equal(result.score, 7);
+        assert.equal(result.manualGradingNeeded, false);
+    });
+
+    it('disputes marks further apart than the threshold and leaves the score alone', () => {
+        const quiz = buildQuiz();
+        const result = markTwice(quiz, { c1: 2, c2: 1 }, { c1: 5, c2: 3 });
+        const detail = result.detailedResults[0];
+
+        assert.equal(detail.doubleMarking.status, 'disputed');
+        assert.equal(detail.doubleMarking.difference, 50);
+        assert.equal(detail.needsManualGrading, true);
+        assert.equal(result.score, 0);
+    });
+
+    it('applies the quiz\'s own threshold', () => {
+        const quiz = buildQuiz({ moderationThreshold: 10 });
+        const result = markTwice(quiz, { c1: 4, c2: 2 }, { c1: 5, c2: 3 });
+
+        assert.equal(result.detailedResults[0].doubleMarking.status, 'disputed');
+    });
+
+    it('lets a marker replace their own mark but refuses a third marker', () => {
+        const quiz = buildQuiz();
+        let result = DoubleMarking.recordMark(quiz, submit(quiz), 'q1', { grader: 'ann', rubricScores: { c1: 1, c2: 1 } });
+        result = DoubleMarking.recordMark(quiz, result, 'q1', { grader: 'ann', rubricScores: { c1: 4, c2: 2 } });
+
+        assert.equal(result.detailedResults[0].doubleMarking.marks.length, 1);
+        assert.equal(result.detailedResults[0].doubleMarking.marks[0].total, 6);
+
+        const disputed = DoubleMarking.recordMark(quiz, result, 'q1', { grader: 'bob', rubricScores: { c1: 0, c2: 0 } });
+        assert.throws(
+            () => DoubleMarking.recordMark(quiz, disputed, 'q1', { grader: 'cat', rubricScores: { c1: 3, c2: 3 } }),
+            /waiting for a moderator/
+        );
+    });
+
+    it('refuses rubric scores out of range and questions that aren\'t double marked', () => {
+        const quiz = buildQuiz();
+
+        assert.throws(() => DoubleMarking.recordMark(quiz, submit(quiz), 'q1', { grader: 'ann', rubricScores: { c2: 5 } }), /0 to 4/);
+
+        delete quiz.questions[0].doubleMarking;
+        assert.throws(() => DoubleMarking.recordMark(quiz, submit(quiz), 'q1', { grader: 'ann', rubricScores: { c1: 1 } }), /not double marked/);
+    });
+});
+
+describe('DoubleMarking.moderate', () => {
+    it('settles a dispute with the moderator\'s scores', () => {
+        const quiz = buildQuiz();
+        const disputed = markTwice(quiz, { c1: 2, c2: 1 }, { c1: 5, c2: 3 });
+
+        const result = DoubleMarking.moderate(quiz, disputed, 'q1', { moderator: 'cat', rubricScores: { c1: 4, c2: 2 }, comment: 'Settled' });
+        const detail = result.detailedResults[0];
+
+        assert.equal(detail.doubleMarking.status, 'moderated');
+        assert.equal(detail.doubleMarking.moderatedBy, 'cat');
+        assert.equal(detail.earnedPoints, 6);
+        assert.equal(detail.comment, 'Settled');
+        assert.equal(result.score, 6);
+    });
+
+    it('keeps markers from moderating their own marking unless allowed', () => {
+        const quiz = buildQuiz();
+        const disputed = markTwice(quiz, { c1: 2, c2: 1 }, { c1: 5, c2: 3 });
+
+        assert.throws(
+            () => DoubleMarking.moderate(quiz, disputed, 'q1', { moderator: 'ann', rubricScores: { c1: 4, c2: 2 } }),
+            /own marking/
+        );
+        const result = DoubleMarking.moderate(quiz, disputed, 'q1', { moderator: 'ann', canModerateOwnMarks: true, rubricScores: { c1: 4, c2: 2 } });
+        assert.equal(result.score, 6);
+    });
+
+    it('only moderates disputed answers', () => {
+        const quiz = buildQuiz();
+        const agreed = markTwice(quiz, { c1: 4, c2: 2 }, { c1: 4, c2: 2 });
+
+        assert.throws(
+            () => DoubleMarking.moderate(quiz, agreed, 'q1', { moderator: 'cat', rubricScores: { c1: 1, c2: 1 } }),
+            /Only answers whose marks disagree/
+        );
+    });
+});
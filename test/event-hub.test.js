@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const EventHub = require('../event-hub');
+
+// Subscribe a fake request/response pair; returns the event types it received
+function subscribe(hub, subscriber) {
+    const received = [];
+    const res = {
+        set() {},
+        flushHeaders() {},
+        write(chunk) {
+            const match = /^event: (.+)$/m.exec(chunk);
+            if (match) received.push(match[1]);
+        }
+    };
+    hub.subscribe(new EventEmitter(), res, subscriber);
+    return received;
+}
+
+describe('EventHub.publish', () => {
+    it('sends quiz-started, with its join code, to admins only', () => {
+        const hub = new EventHub();
+        const proctor = subscribe(hub, { audience: 'admin', role: 'proctor', sessionId: null });
+        const participant = subscribe(hub, { audience: 'participant', participantId: 'p1', sessionId: 's1' });
+        const viewer = subscribe(hub, { audience: 'public', sessionId: null });
+
+        hub.publish('quiz-started', { code: 'ABC123' }, { sessionId: 's1' });
+
+        assert.deepEqual(proctor, ['quiz-started']);
+        assert.deepEqual(participant, []);
+        assert.deepEqual(viewer, []);
+    });
+
+    it('keeps each session\'s events to its own subscribers', () => {
+        const hub = new EventHub();
+        const inSession = subscribe(hub, { audience: 'participant', participantId: 'p1', sessionId: 's1' });
+        const elsewhere = subscribe(hub, { audience: 'participant', participantId: 'p2', sessionId: 's2' });
+
+        hub.publish('leaderboard-changed', {}, { sessionId: 's1' });
+
+        assert.deepEqual(inSession, ['leaderboard-changed']);
+        assert.deepEqual(elsewhere, []);
+    });
+
+    it('limits participant delivery to the listed participants', () => {
+        const hub = new EventHub();
+        const member = subscribe(hub, { audience: 'participant', participantId: 'p1', sessionId: 's1' });
+        const other = subscribe(hub, { audience: 'participant', participantId: 'p2', sessionId: 's1' });
+
+        hub.publish('team-changed', {}, { sessionId: 's1', participantIds: ['p1'] });
+
+        assert.deepEqual(member, ['team-changed']);
+        assert.deepEqual(other, []);
+    });
+
+    it('refuses unknown event types', () => {
+        assert.throws(() => new EventHub().publish('nope', {}), /Unknown event type/);
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FillBlankMatcher = require('../fill-blank-matcher');
+const QuestionTypes = require('../public/question-types');
+
+function accepts(question, answer) {
+    return FillBlankMatcher.match(question, answer).isCorrect;
+}
+
+describe('FillBlankMatcher.match', () => {
+    it('accepts any accepted answer, ignoring case and surrounding spaces by default', () => {
+        const question = { correct: ['colour', 'color'] };
+
+        assert.deepEqual(FillBlankMatcher.match(question, '  Color '), { isCorrect: true, rule: { type: 'answer', value: 'color' } });
+        assert.deepEqual(FillBlankMatcher.match(question, 'colr'), { isCorrect: false, rule: null });
+        assert.equal(accepts(question, ''), false);
+        assert.equal(accepts(question, null), false);
+    });
+
+    it('follows caseSensitive and accentSensitive', () => {
+        assert.equal(accepts({ correct: 'Paris', matching: { caseSensitive: true } }, 'paris'), false);
+        assert.equal(accepts({ correct: 'Paris', matching: { caseSensitive: true } }, 'Paris'), true);
+        assert.equal(accepts({ correct: 'café' }, 'cafe'), false);
+        assert.equal(accepts({ correct: 'café', matching: { accentSensitive: false } }, 'CAFE'), true);
+    });
+
+    it('ignores punctuation around the answer only when asked', () => {
+        assert.equal(accepts({ correct: 'Paris' }, 'Paris.'), false);
+        assert.equal(accepts({ correct: 'Paris', matching: { trimPunctuation: true } }, '"Paris."'), true);
+    });
+
+    it('counts runs of spaces as one only when asked', () => {
+        assert.equal(accepts({ correct: 'new york' }, 'new   york'), false);
+        assert.equal(accepts({ correct: 'new york', matching: { collapseSpaces: true } }, 'new   york'), true);
+    });
+
+    it('accepts answers a pattern matches in full', () => {
+        const question = { correct: 'blue', patterns: ['hue|shade', 'sky\\s?blue'] };
+
+        assert.deepEqual(FillBlankMatcher.match(question, 'Shade'), { isCorrect: true, rule: { type: 'pattern', value: 'hue|shade' } });
+        assert.equal(accepts(question, 'skyblue'), true);
+        assert.equal(accepts(question, 'shades'), false);
+        assert.equal(accepts({ correct: 'x', patterns: ['Hue'], matching: { caseSensitive: true } }, 'hue'), false);
+    });
+
+    it('skips invalid patterns', () => {
+        assert.equal(accepts({ correct: 'blue', patterns: ['(', 'blu+e'] }, 'bluue'), true);
+    });
+
+    it('gives up on a pattern that runs out of time', () => {
+        // Overlapping alternatives backtrack exponentially on a near miss
+        const question = { correct: 'x', patterns: ['(a|aa)+', 'a+b'] };
+        const started = Date.now();
+
+        assert.equal(accepts(question, `${'a'.repeat(60)}c`), false);
+        assert.ok(Date.now() - started < 20 * FillBlankMatcher.PATTERN_TIME_LIMIT_MS);
+        assert.equal(accepts(question, 'aaa'), true);
+        assert.equal(accepts(question, `${'a'.repeat(60)}b`), true);
+    });
+
+    it('allows up to maxEdits typos against an accepted answer', () => {
+        const question = { correct: ['necessary'], matching: { maxEdits: 1 } };
+
+        assert.deepEqual(FillBlankMatcher.match(question, 'neccessary'), {
+            isCorrect: true,
+            rule: { type: 'fuzzy', value: 'necessary', distance: 1 }
+        });
+        assert.equal(accepts(question, 'neccesary'), false);
+        assert.equal(accepts({ correct: 'necessary' }, 'neccessary'), false);
+    });
+
+    it('only compares long answers with the accepted answers', () => {
+        const long = 'a'.repeat(FillBlankMatcher.MAX_PATTERN_ANSWER_LENGTH + 1);
+
+        assert.equal(accepts({ correct: 'x', patterns: ['a+'] }, long), false);
+        assert.equal(accepts({ correct: `${long}b`, matching: { maxEdits: 1 } }, long), false);
+        assert.equal(accepts({ correct: long }, long), true);
+    });
+});
+
+describe('fill-blank question type', () => {
+    const plugin = QuestionTypes.get('fill-blank');
+
+    function patternErrors(pattern) {
+        return QuestionTypes.validate({ type: 'fill-blank', question: 'The sky is ____.', correct: 'blue', patterns: [pattern] });
+    }
+
+    it('rejects patterns that repeat a repeated group', () => {
+        ['(a+)+', '(?:ab*)*', '((a+))+', '(\\d+\\s?)+', '(a+){2,}'].forEach(pattern => {
+            assert.equal(patternErrors(pattern).length, 1, pattern);
+            assert.match(patternErrors(pattern)[0], /may not contain a repeat/);
+        });
+    });
+
+    it('accepts patterns without nested repeats', () => {
+        ['(a|b)+', 'colou?r', '(a+)?', '[(+]+', '(x\\+)+', 'a{2,}b', '(a){1}'].forEach(pattern => {
+            assert.deepEqual(patternErrors(pattern), [], pattern);
+        });
+    });
+
+    it('reports patterns that don\'t compile', () => {
+        assert.match(patternErrors('(')[0], /Invalid pattern \(/);
+    });
+
+    it('skips unsafe patterns saved before they were checked', () => {
+        const question = { id: 'q1', type: 'fill-blank', correct: 'blue', patterns: ['(a+)+b', 'hue'], points: 1 };
+
+        assert.equal(plugin.score(question, 'a'.repeat(40)).isCorrect, false);
+        assert.deepEqual(plugin.score(question, 'hue').matchedRule, { type: 'pattern', value: 'hue' });
+    });
+
+    it('keeps the matching options with the answer key', () => {
+        assert.ok(plugin.schema.privateFields.includes('matching'));
+    });
+});
@@ -0,0 +1,209 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const gradingEngine = require('../grading-engine');
+
+function buildQuiz() {
+    return {
+        questions: [
+            { id: 'q1', type: 'multiple-choice', options: { a: '3', b: '4' }, correct: 'b', points: 2 },
+            { id: 'q2', type: 'short-answer', points: 3 },
+            {
+                id: 'q3',
+                type: 'essay',
+                points: 10,
+                rubric: [
+                    { id: 'c1', name: 'Argument', maxPoints: 6 },
+                    { id: 'c2', name: 'Evidence', maxPoints: 4 }
+                ]
+            },
+            { id: 'q4', type: 'true-false', correct: 'true', points: 1 }
+        ]
+    };
+}
+
+const ANSWERS = ['b', 'Because', 'An essay', 'false'];
+
+describe('gradingEngine.grade', () => {
+    it('totals the auto-graded answers and flags the manual ones', () => {
+        const result = gradingEngine.grade(buildQuiz(), ANSWERS);
+
+        assert.equal(result.score, 2);
+        assert.equal(result.totalPoints, 16);
+        assert.equal(result.percentage, 13);
+        assert.equal(result.totalGraded, 2);
+        assert.equal(result.manualGradingNeeded, true);
+        assert.deepEqual(result.detailedResults.map(d => d.questionId), ['q1', 'q2', 'q3', 'q4']);
+        assert.deepEqual(result.detailedResults.map(d => d.needsManualGrading), [false, true, true, false]);
+    });
+
+    it('scores a voided question as nothing and a bonused one as full credit', () => {
+        const quiz = buildQuiz();
+        quiz.questions[0].adjustment = 'void';
+        quiz.questions[3].adjustment = 'bonus';
+
+        const result = gradingEngine.grade(quiz, ANSWERS);
+
+        assert.equal(result.totalPoints, 14);
+        assert.equal(result.detailedResults[0].earnedPoints, 0);
+        assert.equal(result.detailedResults[0].adjustment, 'void');
+        assert.equal(result.detailedResults[3].earnedPoints, 1);
+        assert.equal(result.score, 1);
+    });
+});
+
+describe('gradingEngine.applyManualGrade', () => {
+    it('awards partial credit and recomputes the totals', () => {
+        const quiz = buildQuiz();
+        const result = gradingEngine.grade(quiz, ANSWERS);
+
+        const graded = gradingEngine.applyManualGrade(quiz, result, 'q2', { points: 1.5, comment: '  Nearly  ', gradedBy: 'grader1' });
+        const detail = graded.detailedResults[1];
+
+        assert.equal(detail.earnedPoints, 1.5);
+        assert.equal(detail.isCorrect, false);
+        assert.equal(detail.manuallyGraded, true);
+        assert.equal(detail.needsManualGrading, false);
+        assert.equal(detail.comment, 'Nearly');
+        assert.equal(detail.gradedBy, 'grader1');
+        assert.equal(graded.score, 3.5);
+        assert.equal(graded.percentage, 22);
+        assert.equal(graded.totalGraded, 3);
+        assert.equal(graded.manualGradingNeeded, true);
+        // The stored result is left as it was
+        assert.equal(result.score, 2);
+    });
+
+    it('replaces an earlier grade rather than adding to it', () => {
+        const quiz = buildQuiz();
+        const first = gradingEngine.applyManualGrade(quiz, gradingEngine.grade(quiz, ANSWERS), 'q2', { points: 3 });
+        const second = gradingEngine.applyManualGrade(quiz, first, 'q2', { points: 1 });
+
+        assert.equal(first.detailedResults[1].isCorrect, true);
+        assert.equal(second.score, 3);
+        assert.equal(second.detailedResults[1].isCorrect, false);
+    });
+
+    it('keeps the comment unless a new one is given, and clears it when empty', () => {
+        const quiz = buildQuiz();
+        const commented = gradingEngine.applyManualGrade(quiz, gradingEngine.grade(quiz, ANSWERS), 'q2', { points: 2, comment: 'Good' });
+
+        assert.equal(gradingEngine.applyManualGrade(quiz, commented, 'q2', { points: 3 }).detailedResults[1].comment, 'Good');
+        assert.equal(gradingEngine.applyManualGrade(quiz, commented, 'q2', { points: 3, comment: '' }).detailedResults[1].comment, null);
+    });
+
+    it('scores essays from their rubric', () => {
+        const quiz = buildQuiz();
+        const graded = gradingEngine.applyManualGrade(quiz, gradingEngine.grade(quiz, ANSWERS), 'q3', {
+            rubricScores: { c1: 3, c2: 2 }
+        });
+
+        assert.equal(graded.detailedResults[2].earnedPoints, 5);
+        assert.deepEqual(graded.detailedResults[2].rubricScores, { c1: 3, c2: 2 });
+        assert.equal(graded.score, 7);
+    });
+
+    it('refuses points or rubric scores out of range', () => {
+        const quiz = buildQuiz();
+        const result = gradingEngine.grade(quiz, ANSWERS);
+
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'q2', { points: 4 }), /between 0 and 3/);
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'q2', { points: -1 }), /between 0 and 3/);
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'q2', {}), /between 0 and 3/);
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'q3', { rubricScores: { c1: 7 } }), /0 to 6/);
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'q3', { rubricScores: { c9: 1 } }), /Unknown rubric criterion/);
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'q2', { rubricScores: { c1: 1 } }), /no rubric/);
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'missing', { points: 1 }), /not found/);
+    });
+
+    it('refuses to grade a voided or bonused question', () => {
+        const quiz = buildQuiz();
+        const result = gradingEngine.grade(quiz, ANSWERS);
+        quiz.questions[1].adjustment = 'void';
+
+        assert.throws(() => gradingEngine.applyManualGrade(quiz, result, 'q2', { points: 1 }), /voided or bonused/);
+    });
+});
+
+describe('gradingEngine.regradeResult', () => {
+    it('rescores answers against a changed answer key and lists what changed', () => {
+        const quiz = buildQuiz();
+        const result = gradingEngine.grade(quiz, ANSWERS);
+        quiz.questions[3].correct = 'false';
+
+        const { result: regraded, questions } = gradingEngine.regradeResult(quiz, result);
+
+        assert.equal(regraded.score, 3);
+        assert.equal(regraded.percentage, 19);
+        assert.deepEqual(questions, [{ questionId: 'q4', questionIndex: 3, before: 0, after: 1 }]);
+    });
+
+    it('keeps grades given by hand', () => {
+        const quiz = buildQuiz();
+        const graded = gradingEngine.applyManualGrade(quiz, gradingEngine.grade(quiz, ANSWERS), 'q2', { points: 2 });
+
+        const { result: regraded, questions } = gradingEngine.regradeResult(quiz, graded);
+
+        assert.equal(regraded.detailedResults[1].earnedPoints, 2);
+        assert.equal(regraded.score, 4);
+        assert.deepEqual(questions, []);
+    });
+
+    it('takes a voided question out of the score and the total', () => {
+        const quiz = buildQuiz();
+        const result = gradingEngine.grade(quiz, ANSWERS);
+        quiz.questions[0].adjustment = 'void';
+
+        const { result: regraded, questions } = gradingEngine.regradeResult(quiz, result);
+
+        assert.equal(regraded.score, 0);
+        assert.equal(regraded.totalPoints, 14);
+        assert.equal(regraded.detailedResults[0].adjustment, 'void');
+        assert.deepEqual(questions, [{ questionId: 'q1', questionIndex: 0, before: 2, after: 0, adjustment: 'void' }]);
+    });
+
+    it('gives everyone full credit for a bonused question, hand grades included', () => {
+        const quiz = buildQuiz();
+        const graded = gradingEngine.applyManualGrade(quiz, gradingEngine.grade(quiz, ANSWERS), 'q2', { points: 1 });
+        quiz.questions[1].adjustment = 'bonus';
+        quiz.questions[3].adjustment = 'bonus';
+
+        const { result: regraded } = gradingEngine.regradeResult(quiz, graded);
+
+        assert.equal(regraded.detailedResults[1].earnedPoints, 3);
+        assert.equal(regraded.detailedResults[3].earnedPoints, 1);
+        assert.equal(regraded.score, 6);
+        assert.equal(regraded.totalPoints, 16);
+    });
+
+    it('brings back the hand grade when the adjustment is lifted', () => {
+        const quiz = buildQuiz();
+        const graded = gradingEngine.applyManualGrade(quiz, gradingEngine.grade(quiz, ANSWERS), 'q2', { points: 1, comment: 'Thin' });
+        quiz.questions[1].adjustment = 'void';
+        const voided = gradingEngine.regradeResult(quiz, graded).result;
+
+        delete quiz.questions[1].adjustment;
+        const { result: restored } = gradingEngine.regradeResult(quiz, voided);
+        const detail = restored.detailedResults[1];
+
+        assert.equal(voided.detailedResults[1].earnedPoints, 0);
+        assert.equal(detail.earnedPoints, 1);
+        assert.equal(detail.manuallyGraded, true);
+        assert.equal(detail.comment, 'Thin');
+        assert.equal(detail.adjustment, undefined);
+        assert.equal(detail.unadjusted, undefined);
+        assert.equal(restored.score, 3);
+        assert.equal(restored.totalPoints, 16);
+    });
+
+    it('applies a live answer\'s speed factor to its new score', () => {
+        const quiz = buildQuiz();
+        const result = gradingEngine.grade(quiz, ANSWERS);
+        result.detailedResults[3].speedFactor = 0.5;
+        quiz.questions[3].correct = 'false';
+
+        const { result: regraded } = gradingEngine.regradeResult(quiz, result);
+
+        assert.equal(regraded.detailedResults[3].earnedPoints, 0.5);
+    });
+});
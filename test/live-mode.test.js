@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LiveMode = require('../live-mode');
+
+function buildQuiz() {
+    return {
+        questions: [
+            { id: 'q1', type: 'multiple-choice', options: { a: '3', b: '4' }, correct: 'b', points: 2 },
+            { id: 'q2', type: 'true-false', correct: 'true', points: 1 }
+        ]
+    };
+}
+
+const START = new Date('2026-01-01T10:00:00Z');
+
+function after(seconds) {
+    return new Date(START.getTime() + seconds * 1000);
+}
+
+describe('LiveMode question flow', () => {
+    it('plays the questions in turn and finishes after the last', () => {
+        const quiz = buildQuiz();
+        const live = LiveMode.create(quiz, { questionSeconds: 20 });
+
+        assert.equal(live.phase, 'waiting');
+        assert.equal(LiveMode.advance(quiz, live, START), null);
+        assert.equal(live.phase, 'question');
+        assert.equal(live.questionIndex, 0);
+        assert.equal(live.closesAt, after(20).toISOString());
+
+        assert.equal(LiveMode.advance(quiz, live, after(5)), 0);
+        assert.equal(live.questionIndex, 1);
+        assert.equal(LiveMode.advance(quiz, live, after(10)), 1);
+        assert.equal(live.phase, 'finished');
+        assert.throws(() => LiveMode.advance(quiz, live, after(11)), /has finished/);
+    });
+
+    it('takes answers until the countdown (and its grace) ends or the host moves on', () => {
+        const quiz = buildQuiz();
+        const live = LiveMode.create(quiz, { questionSeconds: 20 });
+        LiveMode.advance(quiz, live, START);
+
+        assert.equal(LiveMode.isAccepting(live, after(20)), true);
+        assert.equal(LiveMode.isAccepting(live, after(20.5)), true);
+        assert.equal(LiveMode.isAccepting(live, after(22)), false);
+
+        LiveMode.reveal(live, after(5));
+        assert.equal(live.phase, 'reveal');
+        assert.equal(live.closedAt, after(5).toISOString());
+        assert.equal(LiveMode.isAccepting(live, after(6)), false);
+        assert.throws(() => LiveMode.reveal(live, after(7)), /No question is waiting/);
+    });
+
+    it('only scores the questions whose answers are locked', () => {
+        const quiz = buildQuiz();
+        const live = LiveMode.create(quiz);
+        LiveMode.advance(quiz, live, START);
+        LiveMode.recordAnswer(live, 'p1', 'b', after(1));
+
+        assert.equal(LiveMode.grade(quiz, live, 'p1').score, 0);
+
+        LiveMode.reveal(live, after(2));
+        const grading = LiveMode.grade(quiz, live, 'p1');
+        assert.equal(grading.score, 2);
+        assert.equal(grading.totalPoints, 3);
+        assert.equal(grading.detailedResults[0].responseTimeSeconds, 1);
+    });
+
+    it('scales correct answers by speed when speed scoring is on', () => {
+        const quiz = buildQuiz();
+        const live = LiveMode.create(quiz, { speedScoring: true, questionSeconds: 10 });
+        LiveMode.advance(quiz, live, START);
+        LiveMode.recordAnswer(live, 'fast', 'b', START);
+        LiveMode.recordAnswer(live, 'slow', 'b', after(10));
+        LiveMode.reveal(live, after(10));
+
+        assert.equal(LiveMode.grade(quiz, live, 'fast').score, 2);
+        assert.equal(LiveMode.grade(quiz, live, 'slow').score, 1);
+    });
+});
+
+describe('LiveMode.getView', () => {
+    function revealed(participants) {
+        const quiz = buildQuiz();
+        const live = LiveMode.create(quiz);
+        LiveMode.advance(quiz, live, START);
+        participants.forEach((p, idx) => LiveMode.recordAnswer(live, p.id, p.answer, after(idx + 1)));
+        LiveMode.reveal(live, after(5));
+        return { quiz, live };
+    }
+
+    it('shows the answer key, the spread of answers and the standings once revealed', () => {
+        const participants = [{ id: 'p1', name: 'Ann', answer: 'a' }, { id: 'p2', name: 'Bob', answer: 'b' }];
+        const { quiz, live } = revealed(participants);
+
+        const view = LiveMode.getView(quiz, live, null, participants, after(6));
+
+        assert.equal(view.reveal.answerKey.correct, 'b');
+        assert.deepEqual(view.reveal.distribution, { counts: { a: 1, b: 1 }, noAnswer: 0 });
+        assert.deepEqual(view.standings.map(s => [s.name, s.score, s.rank]), [['Bob', 2, 1], ['Ann', 0, 2]]);
+    });
+
+    it('keeps the answer key and standings back while the question is open', () => {
+        const quiz = buildQuiz();
+        const live = LiveMode.create(quiz);
+        LiveMode.advance(quiz, live, START);
+
+        const view = LiveMode.getView(quiz, live, null, [], after(1));
+
+        assert.equal(view.reveal, null);
+        assert.equal(view.standings, null);
+        assert.equal(view.remainingSeconds, 29);
+    });
+
+    it('works the standings out again when a participant or the answer key changes', () => {
+        const participants = [{ id: 'p1', name: 'Ann', answer: 'a' }, { id: 'p2', name: 'Bob', answer: 'b' }];
+        const { quiz, live } = revealed(participants);
+        LiveMode.getView(quiz, live, null, participants, after(6));
+
+        // Same number of participants, but a different one
+        const swapped = [participants[0], { id: 'p3', name: 'Cat' }];
+        assert.deepEqual(
+            LiveMode.getView(quiz, live, null, swapped, after(6)).standings.map(s => s.name).sort(),
+            ['Ann', 'Cat']
+        );
+
+        quiz.questions[0].correct = 'a';
+        assert.deepEqual(
+            LiveMode.getView(quiz, live, null, participants, after(6)).standings.map(s => [s.name, s.score]),
+            [['Ann', 2], ['Bob', 0]]
+        );
+    });
+});
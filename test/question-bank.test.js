@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const QuestionBank = require('../question-bank');
+
+function choice(id, pool) {
+    return {
+        id,
+        type: 'multiple-choice',
+        options: { a: `${id}-1`, b: `${id}-2`, c: `${id}-3`, d: `${id}-4` },
+        correct: 'a',
+        ...(pool ? { pool } : {})
+    };
+}
+
+function buildQuiz(settings = {}) {
+    return {
+        settings,
+        pools: [{ id: 'easy', draw: 2 }, { id: 'hard', draw: 1 }],
+        questions: [
+            choice('fixed'),
+            choice('e1', 'easy'), choice('e2', 'easy'), choice('e3', 'easy'), choice('e4', 'easy'),
+            choice('h1', 'hard'), choice('h2', 'hard'), choice('h3', 'hard'),
+            { id: 'tf', type: 'true-false', correct: 'true' }
+        ]
+    };
+}
+
+describe('QuestionBank.createPaper', () => {
+    it('draws each pool\'s count and keeps the questions outside pools', () => {
+        const quiz = buildQuiz();
+
+        for (let i = 0; i < 20; i++) {
+            const { questionIds } = QuestionBank.createPaper(quiz);
+
+            assert.equal(questionIds.length, 5);
+            assert.ok(questionIds.includes('fixed'));
+            assert.ok(questionIds.includes('tf'));
+            assert.equal(questionIds.filter(id => id.startsWith('e')).length, 2);
+            assert.equal(questionIds.filter(id => id.startsWith('h')).length, 1);
+            assert.equal(new Set(questionIds).size, questionIds.length);
+        }
+    });
+
+    it('lays out the same paper for the same seed', () => {
+        const quiz = buildQuiz({ randomizeQuestions: true, randomizeOptions: true });
+
+        assert.deepEqual(QuestionBank.createPaper(quiz, { seed: 'abc123' }), QuestionBank.createPaper(quiz, { seed: 'abc123' }));
+    });
+
+    it('keeps the quiz order unless questions are randomized', () => {
+        const quiz = buildQuiz();
+        const { questionIds } = QuestionBank.createPaper(quiz, { seed: 'abc123' });
+        const order = quiz.questions.map(q => q.id);
+
+        assert.deepEqual(questionIds, [...questionIds].sort((a, b) => order.indexOf(a) - order.indexOf(b)));
+    });
+
+    it('shuffles questions and options when the settings ask for it', () => {
+        const quiz = buildQuiz({ randomizeQuestions: true, randomizeOptions: true });
+        const layouts = Array.from({ length: 20 }, (_, i) => QuestionBank.createPaper(quiz, { seed: `seed-${i}` }));
+
+        assert.ok(layouts.some(l => l.questionIds[0] !== 'fixed'));
+        layouts.forEach(({ questionIds, optionOrder }) => {
+            questionIds.filter(id => id !== 'tf').forEach(id => {
+                assert.deepEqual([...optionOrder[id]].sort(), ['a', 'b', 'c', 'd']);
+            });
+            // True/false keeps its order
+            assert.equal(optionOrder.tf, undefined);
+        });
+        assert.ok(layouts.some(l => l.optionOrder.fixed.join('') !== 'abcd'));
+    });
+
+    it('leaves papers answered together unshuffled', () => {
+        const quiz = buildQuiz({ randomizeQuestions: true, randomizeOptions: true });
+        const { optionOrder } = QuestionBank.createPaper(quiz, { seed: 'abc123', shuffle: false });
+
+        assert.deepEqual(optionOrder, {});
+    });
+});
+
+describe('QuestionBank.paperFor', () => {
+    it('returns only the paper\'s questions, in paper order', () => {
+        const quiz = buildQuiz();
+        const paper = QuestionBank.paperFor(quiz, ['h2', 'fixed', 'missing']);
+
+        assert.deepEqual(paper.questions.map(q => q.id), ['h2', 'fixed']);
+        assert.equal(QuestionBank.paperFor(quiz, null), quiz);
+    });
+});
+
+describe('QuestionBank answer mapping', () => {
+    const question = choice('q1');
+    const order = ['c', 'a', 'd', 'b']; // shown A is canonical c, and so on
+
+    it('relabels shuffled options so the first one shown is always "a"', () => {
+        const shown = QuestionBank.presentQuestion(question, order);
+
+        assert.deepEqual(shown.options, { a: 'q1-3', b: 'q1-1', c: 'q1-4', d: 'q1-2' });
+        assert.equal(QuestionBank.presentQuestion(question, undefined), question);
+    });
+
+    it('maps answers between shown and canonical keys', () => {
+        assert.equal(QuestionBank.mapAnswer(question, 'a', order), 'c');
+        assert.equal(QuestionBank.mapAnswer(question, 'c', order, 'shown'), 'a');
+        assert.deepEqual(QuestionBank.mapAnswer(question, ['a', 'd'], order), ['c', 'b']);
+        // Unknown keys and empty answers pass through
+        assert.equal(QuestionBank.mapAnswer(question, 'z', order), 'z');
+        assert.equal(QuestionBank.mapAnswer(question, null, order), null);
+    });
+
+    it('picks the same option text either way round', () => {
+        const shown = QuestionBank.presentQuestion(question, order);
+
+        Object.keys(shown.options).forEach(key => {
+            assert.equal(question.options[QuestionBank.mapAnswer(question, key, order)], shown.options[key]);
+        });
+    });
+
+    it('maps a whole answer set by paper position', () => {
+        const quiz = { questions: [choice('q1'), { id: 'q2', type: 'short-answer' }, choice('q3')] };
+        const paper = QuestionBank.paperFor(quiz, ['q3', 'q2', 'q1']);
+        const optionOrder = { q1: order, q3: ['b', 'a', 'c', 'd'] };
+
+        const canonical = QuestionBank.mapAnswers(paper, ['a', 'Free text', 'b'], optionOrder);
+
+        assert.deepEqual(canonical, ['b', 'Free text', 'a']);
+        assert.deepEqual(QuestionBank.mapAnswers(paper, canonical, optionOrder, 'shown'), ['a', 'Free text', 'b']);
+        assert.deepEqual(QuestionBank.mapAnswers(paper, ['a'], null), ['a']);
+    });
+});
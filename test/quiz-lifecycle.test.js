@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const QuizLifecycle = require('../quiz-lifecycle');
+
+const NOW = new Date('2026-01-01T10:00:00Z');
+
+function after(minutes) {
+    return new Date(NOW.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+describe('QuizLifecycle.transition', () => {
+    it('only makes the allowed transitions', () => {
+        const session = { state: 'draft' };
+
+        assert.deepEqual(QuizLifecycle.transition(session, 'lobby', {}, NOW), { from: 'draft', to: 'lobby', pausedMs: 0 });
+        assert.throws(() => QuizLifecycle.transition(session, 'closed', {}, NOW), /Cannot change a lobby quiz to closed/);
+        assert.throws(() => QuizLifecycle.transition(session, 'finished', {}, NOW), /Unknown quiz state/);
+        assert.equal(session.state, 'lobby');
+        assert.equal(session.stateChangedAt, NOW.toISOString());
+    });
+
+    it('treats sessions without a state as open', () => {
+        const session = {};
+
+        assert.equal(QuizLifecycle.getState(session), 'open');
+        assert.equal(QuizLifecycle.allows(session, 'submit'), true);
+        assert.equal(QuizLifecycle.transition(session, 'paused', {}, NOW).from, 'open');
+    });
+
+    it('needs a future opening time to schedule, and a closing time after it', () => {
+        assert.throws(() => QuizLifecycle.transition({ state: 'draft' }, 'scheduled', {}, NOW), /opening time in the future/);
+        assert.throws(() => QuizLifecycle.transition({ state: 'draft' }, 'scheduled', { opensAt: after(-1) }, NOW), /in the future/);
+        assert.throws(
+            () => QuizLifecycle.transition({ state: 'draft' }, 'scheduled', { opensAt: after(10), closesAt: after(5) }, NOW),
+            /closing time must be after the opening time/
+        );
+        assert.throws(() => QuizLifecycle.transition({ state: 'draft' }, 'open', { closesAt: 'soon' }, NOW), /Invalid closesAt/);
+
+        const session = { state: 'draft' };
+        QuizLifecycle.transition(session, 'scheduled', { opensAt: after(10), closesAt: after(40) }, NOW);
+        assert.deepEqual(session.schedule, { opensAt: after(10), closesAt: after(40) });
+    });
+
+    it('keeps schedule fields that aren\'t given and clears empty ones', () => {
+        const session = { state: 'draft', schedule: { opensAt: null, closesAt: after(30) } };
+
+        QuizLifecycle.transition(session, 'open', {}, NOW);
+        assert.equal(session.schedule.closesAt, after(30));
+
+        QuizLifecycle.transition(session, 'paused', { closesAt: '' }, NOW);
+        assert.equal(session.schedule.closesAt, null);
+    });
+
+    it('reports how long a session was paused', () => {
+        const session = { state: 'open' };
+        QuizLifecycle.transition(session, 'paused', {}, NOW);
+
+        assert.equal(session.pausedAt, NOW.toISOString());
+        assert.equal(QuizLifecycle.transition(session, 'open', {}, new Date(after(3))).pausedMs, 3 * 60 * 1000);
+        assert.equal(session.pausedAt, null);
+    });
+});
+
+describe('QuizLifecycle rules', () => {
+    it('lets students join early, but only answer while the quiz is open', () => {
+        const table = QuizLifecycle.STATES.map(state => [state, ['join', 'view', 'answer', 'submit'].filter(action => QuizLifecycle.allows({ state }, action))]);
+
+        assert.deepEqual(table, [
+            ['draft', []],
+            ['scheduled', ['join']],
+            ['lobby', ['join']],
+            ['open', ['join', 'view', 'answer', 'submit']],
+            ['paused', ['join']],
+            ['closed', []],
+            ['archived', []]
+        ]);
+        assert.equal(QuizLifecycle.describe({ state: 'paused' }), 'The quiz is paused');
+    });
+
+    it('opens and closes sessions when their schedule is due', () => {
+        const schedule = { opensAt: after(10), closesAt: after(40) };
+
+        assert.equal(QuizLifecycle.dueTransition({ state: 'scheduled', schedule }, new Date(after(9))), null);
+        assert.equal(QuizLifecycle.dueTransition({ state: 'scheduled', schedule }, new Date(after(10))), 'open');
+        assert.equal(QuizLifecycle.dueTransition({ state: 'open', schedule }, new Date(after(40))), 'closed');
+        assert.equal(QuizLifecycle.dueTransition({ state: 'paused', schedule }, new Date(after(41))), 'closed');
+        assert.equal(QuizLifecycle.dueTransition({ state: 'lobby', schedule }, new Date(after(41))), null);
+    });
+});
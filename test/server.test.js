@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const QUIZ = {
+    title: 'Arithmetic',
+    questions: [
+        { id: 'q1', type: 'multiple-choice', question: '2 + 2?', options: { a: '3', b: '4' }, correct: 'b', points: 1 }
+    ]
+};
+
+// A port nothing is listening on
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Run a copy of the server in a temporary directory, so its data/ and
+// quizzes/ start empty and the tree's own stay untouched
+async function startServer() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quiz-server-'));
+    fs.readdirSync(ROOT).filter(name => name.endsWith('.js')).forEach(name => {
+        fs.copyFileSync(path.join(ROOT, name), path.join(dir, name));
+    });
+    fs.cpSync(path.join(ROOT, 'code-runners'), path.join(dir, 'code-runners'), { recursive: true });
+    ['node_modules', 'public'].forEach(name => {
+        fs.symlinkSync(path.join(ROOT, name), path.join(dir, name), 'dir');
+    });
+    fs.mkdirSync(path.join(dir, 'quizzes'));
+
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: dir,
+        env: { ...process.env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let log = '';
+    child.stderr.on('data', chunk => { log += chunk; });
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            log += chunk;
+            if (log.includes('Server listening')) resolve();
+        });
+        child.once('exit', code => reject(new Error(`Server exited (${code}):\n${log}`)));
+    });
+
+    return {
+        dir,
+        async request(method, url, body, token) {
+            const response = await fetch(`http://127.0.0.1:${port}${url}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        },
+        stop() {
+            child.kill();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+describe('Ending a quiz', () => {
+    let server;
+    let adminToken;
+
+    before(async () => {
+        server = await startServer();
+        await server.request('POST', '/api/admin/setup', { username: 'owner', password: 'correct horse battery' });
+        adminToken = (await server.request('POST', '/api/admin/login', { username: 'owner', password: 'correct horse battery' })).body.token;
+    });
+
+    after(() => server.stop());
+
+    // Start a session of a new quiz file in which Ann starts the quiz
+    // without submitting it
+    async function startAttempt(quizFile) {
+        fs.writeFileSync(path.join(server.dir, 'quizzes', quizFile), JSON.stringify(QUIZ));
+        const session = (await server.request('POST', '/api/sessions', { quizFile }, adminToken)).body;
+        const joined = (await server.request('POST', '/api/join', { name: 'Ann', sessionCode: session.code })).body;
+        // Fetching the quiz starts the attempt
+        assert.equal((await server.request('GET', '/api/currentQuiz', undefined, joined.token)).status, 200);
+        return { session, token: joined.token };
+    }
+
+    it('submits the attempts still in progress and saves their results with the run', async () => {
+        const { session } = await startAttempt('arithmetic.json');
+
+        const ended = await server.request('POST', `/api/sessions/${session.id}/end`, {}, adminToken);
+
+        assert.equal(ended.status, 200, ended.body.message);
+        assert.equal(ended.body.run.resultCount, 1);
+        const saved = JSON.parse(fs.readFileSync(path.join(server.dir, 'quizzes', 'arithmetic.json'), 'utf8'));
+        assert.deepEqual(saved.results.map(r => r.runId), [session.id]);
+    });
+
+    it('still shows students their result from the quiz file afterwards', async () => {
+        const { session, token } = await startAttempt('arithmetic-2.json');
+        await server.request('POST', `/api/sessions/${session.id}/end`, {}, adminToken);
+
+        const resumed = await server.request('POST', '/api/resume', {}, token);
+
+        assert.equal(resumed.status, 200, resumed.body.message);
+        assert.equal(resumed.body.status, 'completed');
+        assert.equal(resumed.body.name, 'Ann');
+        assert.equal(resumed.body.result.totalPoints, 1);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const StateStore = require('../state-store');
+
+const dirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+    dirs.push(dir);
+    return dir;
+}
+
+after(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('StateStore', () => {
+    it('restores what was saved, with defaults for missing keys', () => {
+        const filePath = path.join(tempDir(), 'nested', 'state.json');
+        new StateStore(filePath, { sessions: [] }).save({ teams: ['t1'] });
+
+        const state = new StateStore(filePath, { sessions: [], teams: [] }).load();
+
+        assert.deepEqual(state.sessions, []);
+        assert.deepEqual(state.teams, ['t1']);
+        assert.ok(state.savedAt);
+    });
+
+    it('falls back to the defaults when the saved state can\'t be read', () => {
+        const filePath = path.join(tempDir(), 'state.json');
+        fs.writeFileSync(filePath, '{"sessions": [');
+
+        assert.deepEqual(new StateStore(filePath, { sessions: [] }).load(), { sessions: [] });
+    });
+});
+
+describe('StateStore.writeJson', () => {
+    it('replaces the file and leaves no temp file behind', () => {
+        const dir = tempDir();
+        const filePath = path.join(dir, 'quiz.json');
+        fs.writeFileSync(filePath, '{"results": []}');
+
+        StateStore.writeJson(filePath, { results: [{ score: 1 }] });
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { results: [{ score: 1 }] });
+        assert.deepEqual(fs.readdirSync(dir), ['quiz.json']);
+    });
+
+    it('keeps the previous file when the new one can\'t be written', () => {
+        const dir = tempDir();
+        const filePath = path.join(dir, 'quiz.json');
+        fs.writeFileSync(filePath, '{"results": []}');
+        // A directory where the temp file goes makes the write fail
+        fs.mkdirSync(`${filePath}.tmp`);
+
+        assert.throws(() => StateStore.writeJson(filePath, { results: [{ score: 1 }] }));
+        assert.equal(fs.readFileSync(filePath, 'utf8'), '{"results": []}');
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TimeLimits = require('../time-limits');
+
+const START = new Date('2026-01-01T10:00:00Z');
+
+function after(seconds) {
+    return new Date(START.getTime() + seconds * 1000);
+}
+
+function timedQuiz(settings = {}) {
+    return {
+        settings: { timeLimitType: 'per-quiz', timeLimitValue: 10, ...settings },
+        questions: [{ id: 'q1' }, { id: 'q2' }, { id: 'q3' }]
+    };
+}
+
+describe('TimeLimits deadlines', () => {
+    it('works the limit out for the whole quiz or per question', () => {
+        assert.equal(TimeLimits.getTimeLimitMs(timedQuiz()), 10 * 60 * 1000);
+        assert.equal(TimeLimits.getTimeLimitMs(timedQuiz({ timeLimitType: 'per-question', timeLimitValue: 2 })), 3 * 2 * 60 * 1000);
+        assert.equal(TimeLimits.getTimeLimitMs(timedQuiz({ timeLimitType: 'none' })), null);
+        assert.equal(TimeLimits.getTimeLimitMs(timedQuiz({ timeLimitValue: 0 })), null);
+        assert.equal(TimeLimits.getTimeLimitMs({ questions: [] }), null);
+    });
+
+    it('counts the deadline from the start the server recorded', () => {
+        const timing = TimeLimits.getTiming(timedQuiz(), START.toISOString(), after(90));
+
+        assert.equal(timing.deadline, after(600).toISOString());
+        assert.equal(timing.remainingSeconds, 510);
+        assert.equal(timing.gracePeriodSeconds, TimeLimits.DEFAULT_GRACE_PERIOD_SECONDS);
+        assert.deepEqual(TimeLimits.getTiming(timedQuiz(), null, START), { timed: false, startedAt: null });
+    });
+
+    it('only counts a submission as late once the grace period has passed too', () => {
+        const quiz = timedQuiz({ gracePeriodSeconds: 30 });
+        const started = START.toISOString();
+
+        assert.deepEqual(TimeLimits.checkSubmission(quiz, started, after(620)), {
+            deadline: after(600).toISOString(),
+            lateBySeconds: 20,
+            late: false
+        });
+        assert.equal(TimeLimits.checkSubmission(quiz, started, after(631)).late, true);
+        assert.equal(TimeLimits.isExpired(quiz, started, after(630)), false);
+        assert.equal(TimeLimits.isExpired(quiz, started, after(631)), true);
+        assert.equal(TimeLimits.isExpired(timedQuiz({ timeLimitType: 'none' }), started, after(100000)), false);
+    });
+
+    it('allows a grace period of zero and falls back to the default for bad ones', () => {
+        assert.equal(TimeLimits.getGracePeriodMs(timedQuiz({ gracePeriodSeconds: 0 })), 0);
+        assert.equal(TimeLimits.getGracePeriodMs(timedQuiz({ gracePeriodSeconds: -5 })), TimeLimits.DEFAULT_GRACE_PERIOD_SECONDS * 1000);
+    });
+
+    it('rejects late submissions unless the quiz asks to flag them', () => {
+        assert.equal(TimeLimits.getLatePolicy(timedQuiz()), 'reject');
+        assert.equal(TimeLimits.getLatePolicy(timedQuiz({ lateSubmissionPolicy: 'flag' })), 'flag');
+        assert.equal(TimeLimits.getLatePolicy(timedQuiz({ lateSubmissionPolicy: 'ignore' })), 'reject');
+    });
+});
+
+describe('TimeLimits per-question windows', () => {
+    const quiz = timedQuiz({ timeLimitType: 'per-question', timeLimitValue: 1, gracePeriodSeconds: 5 });
+
+    it('runs the questions one at a time: opening one closes the others', () => {
+        const timings = {};
+        TimeLimits.openQuestion(quiz, timings, 0, START);
+        TimeLimits.openQuestion(quiz, timings, 1, after(20));
+
+        assert.equal(timings[0].closedAt, after(20).toISOString());
+        assert.equal(timings[1].closesAt, after(80).toISOString());
+        assert.equal(TimeLimits.isQuestionOpen(quiz, timings, 0, after(21)), false);
+        assert.equal(TimeLimits.isQuestionOpen(quiz, timings, 1, after(21)), true);
+        // Going back doesn't reopen a question
+        assert.equal(TimeLimits.openQuestion(quiz, timings, 0, after(30)).closedAt, after(20).toISOString());
+        assert.deepEqual(TimeLimits.getOpenedQuestions(timings), [0, 1]);
+    });
+
+    it('keeps a question open until its window and grace period end', () => {
+        const timings = {};
+        TimeLimits.openQuestion(quiz, timings, 0, START);
+
+        assert.equal(TimeLimits.isQuestionOpen(quiz, timings, 0, after(65)), true);
+        assert.equal(TimeLimits.isQuestionOpen(quiz, timings, 0, after(66)), false);
+        assert.equal(TimeLimits.isQuestionOpen(quiz, timings, 2, START), false);
+        assert.equal(TimeLimits.getQuestionWindow(quiz, timings, 0, after(45)).remainingSeconds, 15);
+    });
+
+    it('leaves every question open until the quiz ends without per-question limits', () => {
+        const untimed = timedQuiz();
+        const timings = {};
+        TimeLimits.openQuestion(untimed, timings, 0, START);
+        TimeLimits.openQuestion(untimed, timings, 1, after(20));
+
+        assert.equal(timings[0].closesAt, null);
+        assert.equal(TimeLimits.isQuestionOpen(untimed, timings, 0, after(100000)), true);
+
+        TimeLimits.closeQuestions(timings, after(30));
+        assert.equal(TimeLimits.isQuestionOpen(untimed, timings, 1, after(30)), false);
+    });
+
+    it('keeps the saved answer of a closed question and reports the change as locked', () => {
+        const timings = {};
+        TimeLimits.openQuestion(quiz, timings, 0, START);
+        TimeLimits.openQuestion(quiz, timings, 1, after(20));
+
+        const { answers, lockedQuestions } = TimeLimits.lockAnswers(quiz, timings, ['b', 'c', 'd'], ['a'], after(25));
+
+        assert.deepEqual(answers, ['a', 'c', null]);
+        assert.deepEqual(lockedQuestions, [0, 2]);
+    });
+
+    it('records when answers last changed and the time spent on each question', () => {
+        const timings = {};
+        TimeLimits.openQuestion(quiz, timings, 0, START);
+        TimeLimits.recordAnswers(timings, ['a'], ['a', 'b'], after(10));
+        TimeLimits.recordAnswers(timings, [], ['c'], after(12));
+
+        assert.equal(timings[1].answeredAt, after(10).toISOString());
+        assert.equal(TimeLimits.summarizeQuestion(timings[0]).timeSpentSeconds, 12);
+        assert.equal(TimeLimits.summarizeQuestion(timings[1]).timeSpentSeconds, null);
+        assert.equal(TimeLimits.summarizeQuestion(undefined), null);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TokenSigner = require('../token-signer');
+
+describe('TokenSigner', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-signer-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('verifies its own tokens and returns the payload with its times', () => {
+        const signer = new TokenSigner(path.join(dir, 'roundtrip', 'secret'));
+        const payload = signer.verify(signer.sign({ kind: 'participant', sub: 'p1' }, 60 * 1000));
+
+        assert.equal(payload.kind, 'participant');
+        assert.equal(payload.sub, 'p1');
+        assert.ok(payload.exp > payload.iat);
+    });
+
+    it('rejects expired tokens', () => {
+        const signer = new TokenSigner(path.join(dir, 'expired'));
+
+        assert.equal(signer.verify(signer.sign({ sub: 'p1' }, -1000)), null);
+    });
+
+    it('rejects tokens whose payload was changed', () => {
+        const signer = new TokenSigner(path.join(dir, 'tampered'));
+        const [, signature] = signer.sign({ kind: 'participant', sub: 'p1' }, 60 * 1000).split('.');
+        const forged = Buffer.from(JSON.stringify({ kind: 'admin', sub: 'owner', exp: Date.now() + 60 * 1000 })).toString('base64url');
+
+        assert.equal(signer.verify(`${forged}.${signature}`), null);
+    });
+
+    it('rejects tokens signed with another secret, and malformed ones', () => {
+        const signer = new TokenSigner(path.join(dir, 'one'));
+        const other = new TokenSigner(path.join(dir, 'two'));
+
+        assert.equal(signer.verify(other.sign({ sub: 'p1' }, 60 * 1000)), null);
+        assert.equal(signer.verify('not-a-token'), null);
+        assert.equal(signer.verify('a.b'), null);
+        assert.equal(signer.verify(''), null);
+        assert.equal(signer.verify(null), null);
+    });
+
+    it('keeps its secret on disk, so tokens outlive a restart', () => {
+        const secretFile = path.join(dir, 'restart');
+        const token = new TokenSigner(secretFile).sign({ sub: 'p1' }, 60 * 1000);
+
+        assert.equal(new TokenSigner(secretFile).verify(token).sub, 'p1');
+    });
+});
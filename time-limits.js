@@ -0,0 +1,264 @@
+/**
+ * Time Limits
+ * Server-side view of a quiz's time limit. The server records when each
+ * participant (or team) started and works out their deadline from that, so
+ * the browser timer is only a display: late submissions are rejected or
+ * flagged, and whoever never submits is finalized with their saved answers.
+ *
+ * Each question also has a window tracked on the server (its open, close and
+ * last-answer times). With per-question limits the questions run one at a
+ * time and a question's answer locks when its window closes.
+ *
+ * Quiz settings used:
+ *   timeLimitType         - 'none', 'per-quiz' or 'per-question'
+ *   timeLimitValue        - Minutes (for the whole quiz, or for each question)
+ *   gracePeriodSeconds    - Allowance after the deadline for network delays
+ *   lateSubmissionPolicy  - 'reject' (default) or 'flag'
+ */
+
+const DEFAULT_GRACE_PERIOD_SECONDS = 30;
+const LATE_SUBMISSION_POLICIES = ['reject', 'flag'];
+
+class TimeLimits {
+    /**
+     * Total time allowed for the quiz
+     * @returns {Number|null} Milliseconds, or null when the quiz is untimed
+     */
+    static getTimeLimitMs(quiz) {
+        const settings = quiz.settings || {};
+        const minutes = Number(settings.timeLimitValue) || 0;
+        if (minutes <= 0) return null;
+
+        switch (settings.timeLimitType) {
+            case 'per-quiz':
+                return minutes * 60 * 1000;
+            case 'per-question':
+                return minutes * 60 * 1000 * (quiz.questions || []).length;
+            default:
+                return null;
+        }
+    }
+
+    static getGracePeriodMs(quiz) {
+        const seconds = Number((quiz.settings || {}).gracePeriodSeconds);
+        return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_GRACE_PERIOD_SECONDS) * 1000;
+    }
+
+    static getLatePolicy(quiz) {
+        const policy = (quiz.settings || {}).lateSubmissionPolicy;
+        return LATE_SUBMISSION_POLICIES.includes(policy) ? policy : 'reject';
+    }
+
+    /**
+     * Deadline for someone who started at `startedAt`
+     * @returns {Date|null} null when the quiz is untimed or not started
+     */
+    static getDeadline(quiz, startedAt) {
+        const limit = this.getTimeLimitMs(quiz);
+        if (!limit || !startedAt) return null;
+        return new Date(new Date(startedAt).getTime() + limit);
+    }
+
+    /**
+     * Timing summary sent to students
+     * @param {Object} quiz - Quiz data
+     * @param {String} startedAt - ISO start time recorded by the server
+     * @param {Date} now
+     * @returns {Object} { timed, startedAt, deadline, remainingSeconds, gracePeriodSeconds,
+     *   questionLimitSeconds (per-question limits only) }
+     */
+    static getTiming(quiz, startedAt, now = new Date()) {
+        const deadline = this.getDeadline(quiz, startedAt);
+        if (!deadline) {
+            return { timed: false, startedAt: startedAt || null };
+        }
+
+        return {
+            timed: true,
+            startedAt,
+            deadline: deadline.toISOString(),
+            remainingSeconds: Math.max(0, Math.ceil((deadline - now) / 1000)),
+            gracePeriodSeconds: this.getGracePeriodMs(quiz) / 1000,
+            questionLimitSeconds: this.getQuestionLimitMs(quiz) ? this.getQuestionLimitMs(quiz) / 1000 : null
+        };
+    }
+
+    /**
+     * Check a submission against the deadline
+     * @returns {Object} { deadline, lateBySeconds, late } where `late` means
+     *   past the deadline plus the grace period
+     */
+    static checkSubmission(quiz, startedAt, now = new Date()) {
+        const deadline = this.getDeadline(quiz, startedAt);
+        if (!deadline) {
+            return { deadline: null, lateBySeconds: 0, late: false };
+        }
+
+        const overMs = now - deadline;
+        return {
+            deadline: deadline.toISOString(),
+            lateBySeconds: Math.max(0, Math.round(overMs / 1000)),
+            late: overMs > this.getGracePeriodMs(quiz)
+        };
+    }
+
+    /**
+     * Whether time (including grace) has run out
+     */
+    static isExpired(quiz, startedAt, now = new Date()) {
+        return this.checkSubmission(quiz, startedAt, now).late;
+    }
+
+    // ---- Per-question windows ----
+    // `timings` maps question index -> { openedAt, closesAt, closedAt, answeredAt }
+    // and is kept on the participant (or team), updated in place.
+
+    /**
+     * Time allowed for each question
+     * @returns {Number|null} Milliseconds, or null unless the quiz has per-question limits
+     */
+    static getQuestionLimitMs(quiz) {
+        const settings = quiz.settings || {};
+        const minutes = Number(settings.timeLimitValue) || 0;
+        return settings.timeLimitType === 'per-question' && minutes > 0 ? minutes * 60 * 1000 : null;
+    }
+
+    /**
+     * Open a question (the first open starts its window). With per-question
+     * limits questions run one at a time, so opening one closes the others.
+     * @returns {Object} The question's timing record
+     */
+    static openQuestion(quiz, timings, index, now = new Date()) {
+        // Going back to an earlier question doesn't reopen it (or close the current one)
+        if (timings[index] && timings[index].openedAt) return timings[index];
+
+        if (this.getQuestionLimitMs(quiz)) {
+            Object.keys(timings)
+                .filter(key => Number(key) !== index)
+                .forEach(key => this.closeQuestion(timings[key], now));
+        }
+
+        const limit = this.getQuestionLimitMs(quiz);
+        timings[index] = {
+            openedAt: now.toISOString(),
+            closesAt: limit ? new Date(now.getTime() + limit).toISOString() : null,
+            closedAt: null,
+            answeredAt: null
+        };
+
+        return timings[index];
+    }
+
+    static closeQuestion(record, now = new Date()) {
+        if (record && !record.closedAt) {
+            const closesAt = record.closesAt ? new Date(record.closesAt) : null;
+            record.closedAt = (closesAt && closesAt < now ? closesAt : now).toISOString();
+        }
+    }
+
+    /**
+     * Close every question (on submission)
+     */
+    static closeQuestions(timings, now = new Date()) {
+        Object.values(timings).forEach(record => this.closeQuestion(record, now));
+    }
+
+    /**
+     * Whether a question still accepts answers. Without per-question limits
+     * every question is open until the quiz itself ends.
+     */
+    static isQuestionOpen(quiz, timings, index, now = new Date()) {
+        const record = timings[index];
+        if (!this.getQuestionLimitMs(quiz)) {
+            return !(record && record.closedAt);
+        }
+        if (!record || record.closedAt) return false;
+
+        return now - new Date(record.closesAt) <= this.getGracePeriodMs(quiz);
+    }
+
+    /**
+     * Window summary sent to students
+     */
+    static getQuestionWindow(quiz, timings, index, now = new Date()) {
+        const record = timings[index] || {};
+        return {
+            questionIndex: index,
+            openedAt: record.openedAt || null,
+            closesAt: record.closesAt || null,
+            remainingSeconds: record.closesAt ? Math.max(0, Math.ceil((new Date(record.closesAt) - now) / 1000)) : null,
+            open: this.isQuestionOpen(quiz, timings, index, now)
+        };
+    }
+
+    /**
+     * Keep the answers given while each question was open
+     * @param {Array} answers - Incoming answers
+     * @param {Array} savedAnswers - Answers saved earlier
+     * @returns {Object} { answers, lockedQuestions } where answers to closed
+     *   questions are replaced by their saved answer
+     */
+    static lockAnswers(quiz, timings, answers, savedAnswers = [], now = new Date()) {
+        const lockedQuestions = [];
+        const accepted = (quiz.questions || []).map((q, idx) => {
+            const answer = answers[idx] === undefined ? null : answers[idx];
+            const saved = savedAnswers[idx] === undefined ? null : savedAnswers[idx];
+
+            if (this.isQuestionOpen(quiz, timings, idx, now)) return answer;
+            if (JSON.stringify(answer) !== JSON.stringify(saved)) lockedQuestions.push(idx);
+            return saved;
+        });
+
+        return { answers: accepted, lockedQuestions };
+    }
+
+    /**
+     * Note when each question's answer last changed
+     */
+    static recordAnswers(timings, previousAnswers, answers, now = new Date()) {
+        answers.forEach((answer, idx) => {
+            const previous = previousAnswers[idx] === undefined ? null : previousAnswers[idx];
+            if (JSON.stringify(answer) !== JSON.stringify(previous)) {
+                this.recordAnswer(timings, idx, now);
+            }
+        });
+    }
+
+    static recordAnswer(timings, index, now = new Date()) {
+        if (!timings[index]) {
+            timings[index] = { openedAt: null, closesAt: null, closedAt: null, answeredAt: null };
+        }
+        timings[index].answeredAt = now.toISOString();
+    }
+
+    /**
+     * Questions opened so far, in the order they were opened
+     */
+    static getOpenedQuestions(timings = {}) {
+        return Object.keys(timings)
+            .filter(key => timings[key].openedAt)
+            .sort((a, b) => new Date(timings[a].openedAt) - new Date(timings[b].openedAt))
+            .map(Number);
+    }
+
+    /**
+     * Per-question timing stored with a result
+     * @returns {Object|null} { openedAt, closesAt, closedAt, answeredAt, timeSpentSeconds }
+     *   where time spent runs from opening the question to its last answer
+     *   (or to its close when it was never answered)
+     */
+    static summarizeQuestion(record) {
+        if (!record) return null;
+
+        const end = record.answeredAt || record.closedAt;
+        const timeSpentSeconds = record.openedAt && end
+            ? Math.max(0, Math.round((new Date(end) - new Date(record.openedAt)) / 1000))
+            : null;
+
+        return { ...record, timeSpentSeconds };
+    }
+}
+
+TimeLimits.DEFAULT_GRACE_PERIOD_SECONDS = DEFAULT_GRACE_PERIOD_SECONDS;
+
+module.exports = TimeLimits;
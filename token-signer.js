@@ -0,0 +1,84 @@
+/**
+ * Token Signer
+ * Issues and verifies compact HMAC-SHA256 signed tokens:
+ *   base64url(JSON payload) + "." + base64url(signature)
+ * The payload carries its own expiry (`exp`, ms since epoch). The signing
+ * secret is generated on first run and kept in data/ so tokens stay valid
+ * across server restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class TokenSigner {
+    /**
+     * @param {String} secretFile - Where the signing secret is stored
+     */
+    constructor(secretFile) {
+        this.secret = this.loadOrCreateSecret(secretFile);
+    }
+
+    loadOrCreateSecret(secretFile) {
+        if (fs.existsSync(secretFile)) {
+            return fs.readFileSync(secretFile, 'utf8').trim();
+        }
+
+        const dir = path.dirname(secretFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+        return secret;
+    }
+
+    signature(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    /**
+     * Create a signed token
+     * @param {Object} payload - Claims to embed (e.g. { kind, sub })
+     * @param {Number} ttlMs - Lifetime in milliseconds
+     * @returns {String} Signed token
+     */
+    sign(payload, ttlMs) {
+        const body = Buffer.from(JSON.stringify({
+            ...payload,
+            iat: Date.now(),
+            exp: Date.now() + ttlMs
+        })).toString('base64url');
+
+        return `${body}.${this.signature(body)}`;
+    }
+
+    /**
+     * Verify a token's signature and expiry
+     * @param {String} token - Token from the client
+     * @returns {Object|null} Payload, or null if forged, malformed or expired
+     */
+    verify(token) {
+        if (typeof token !== 'string') return null;
+
+        const [body, sig] = token.split('.');
+        if (!body || !sig) return null;
+
+        const expected = Buffer.from(this.signature(body));
+        const actual = Buffer.from(sig);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            if (!payload.exp || payload.exp < Date.now()) return null;
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = TokenSigner;